@@ -3,8 +3,15 @@
  * 
  * Centralized configuration for all autonomous testing features
  * Includes scheduling, monitoring, reporting, and data management settings
+ *
+ * Read through utils/config/configLoader.js - never require this file directly.
+ * The loader validates it against utils/config/configSchema.js and applies
+ * the selected profile (see PROFILES below).
  */
 
+// Bundled offline Sauce Demo stand-in (see stand-in/server.js)
+const STAND_IN_URL = `http://127.0.0.1:${process.env.STAND_IN_PORT || 3100}`;
+
 module.exports = {
   // ==================== SCHEDULING ====================
   scheduling: {
@@ -77,6 +84,18 @@ module.exports = {
       json: true,
       junit: false,
     },
+    // Flakiness history across runs and the quarantine list (FlakinessTracker)
+    flakiness: {
+      enabled: true,
+      storePath: '.flaky-store/flakiness.json',
+      window: 20, // most recent runs scored per test and project
+      minExecutions: 5, // runs of a test on a project before it can be auto-quarantined there
+      quarantineThreshold: 0.3, // flakiness score (0..1) that auto-quarantines a test
+      // A pass that needed executeWithRetry retries counts this much as flaky;
+      // below quarantineThreshold, so in-test recoveries alone never quarantine a test
+      recoveredWeight: 0.25,
+      releaseAfter: 10, // consecutive clean runs in quarantine that release an auto-quarantined test
+    },
   },
 
   // ==================== DATA MANAGEMENT ====================
@@ -86,6 +105,9 @@ module.exports = {
       enabled: true,
       useFaker: true,
       generateDynamicData: true,
+      // Run seed for generated data: DATA_SEED overrides it, random per run when unset
+      // seed: 12345,
+      perTestSeed: true, // derive each test's seed from the run seed and its title
     },
     cleanup: {
       enabled: true,
@@ -103,8 +125,16 @@ module.exports = {
     enabled: true,
     selectorManagement: {
       enabled: true,
-      cacheSucessfulSelectors: true,
+      cacheSuccessfulSelectors: true,
       generateFallbacks: true,
+      persistSelectors: true, // history shared across runs and workers
+      storePath: '.selector-store/selectors.json',
+      similarityHealing: true, // last resort: match the element's stored DOM fingerprint
+      similarityThreshold: 0.7, // 0..1, minimum score to accept a similar element
+      // Locator families in the order they are tried: css, role, label, placeholder, text
+      strategyOrder: ['css', 'role', 'label', 'placeholder', 'text'],
+      // Per-element order, keyed 'PageName::Element Name' (e.g. { 'LoginPage::Login Button': ['role', 'css'] })
+      elementStrategies: {},
     },
     retryStrategy: {
       enabled: true,
@@ -118,12 +148,71 @@ module.exports = {
         'ERR_NAME_NOT_RESOLVED',
         'net::ERR',
       ],
+      // Retry tuning per ErrorAnalyzer type; 'default' applies to every type it does not override.
+      // Attempts, initial delay and multiplier fall back to maxRetries, initialDelay and
+      // backoffMultiplier above (and their profile overrides).
+      // backoff: 'exponential' | 'linear' | 'constant'; jitter: +/- share of the delay (0..1)
+      errorTypes: {
+        default: {
+          backoff: 'exponential',
+          maxDelay: 5000,
+          jitter: 0.2,
+        },
+        NETWORK_ERROR: { maxAttempts: 4, initialDelay: 1000, jitter: 0.5 },
+        NAVIGATION_ERROR: { maxAttempts: 3, initialDelay: 1000 },
+        SERVER_ERROR: { maxAttempts: 3, initialDelay: 2000, maxDelay: 10000 },
+        VISIBILITY_ERROR: { maxAttempts: 3, backoff: 'linear', initialDelay: 250 },
+        ELEMENT_NOT_FOUND: { maxAttempts: 2, backoff: 'constant', initialDelay: 500 },
+        // Page still busy (requests in flight, DOM changing): not a network failure
+        TIMEOUT_ERROR: { maxAttempts: 2, backoff: 'constant', initialDelay: 500 },
+        ASSERTION_ERROR: { retry: false }, // a retried assertion hides a real failure
+        AUTH_ERROR: { retry: false }, // credentials do not fix themselves
+      },
+      // Named policies for executeWithRetry({ policy }) and BasePage.withRetry():
+      // the error types they retry, optionally capping attempts
+      policies: {
+        interaction: {
+          retryOn: ['VISIBILITY_ERROR', 'ELEMENT_NOT_FOUND', 'NETWORK_ERROR', 'TIMEOUT_ERROR'],
+          maxAttempts: 2,
+        },
+        navigation: {
+          retryOn: ['NAVIGATION_ERROR', 'NETWORK_ERROR', 'SERVER_ERROR', 'ELEMENT_NOT_FOUND', 'TIMEOUT_ERROR'],
+        },
+        login: {
+          retryOn: ['NETWORK_ERROR', 'NAVIGATION_ERROR', 'VISIBILITY_ERROR', 'ELEMENT_NOT_FOUND', 'TIMEOUT_ERROR'],
+        },
+      },
+      // Shared by every worker: fails retries fast while the target is down
+      circuitBreaker: {
+        enabled: true,
+        errorTypes: ['NETWORK_ERROR', 'NAVIGATION_ERROR'], // failures that count
+        failureThreshold: 5, // consecutive failed calls across the run that open the circuit
+        probeInterval: 10000, // ms; while open, probe the target this often (half-open)
+        probeTimeout: 5000, // ms
+        maxEvents: 100, // most recent events kept in the state file and the report
+        statePath: '.circuit-breaker/state.json',
+      },
     },
     smartWaiting: {
       enabled: true,
       waitForVisibility: true,
       waitForStability: true,
       waitForNetworkIdle: true,
+      // BasePage.settleAfter() (login, logout): page-load requests, then DOM mutations,
+      // quiet this long (ms); a DOM still changing after domTimeout is logged, not failed
+      settle: {
+        requestQuietTime: 200,
+        domQuietTime: 100,
+        domTimeout: 5000,
+      },
+      // Per-test wait accounting (WaitTracker) and the wait budget report
+      budget: {
+        enabled: true,
+        instantThreshold: 20, // ms; waits resolving this fast were not needed
+        dominatedRatio: 0.5, // flag tests spending more than this share of their time waiting
+        minWaitTime: 2000, // ms; ignore tests waiting less than this in total
+        minSamples: 2, // flag waits that timed out on every one of at least this many calls
+      },
     },
   },
 
@@ -168,9 +257,66 @@ module.exports = {
 
   // ==================== ENVIRONMENT ====================
   environment: {
-    baseUrl: process.env.BASE_URL || 'https://www.saucedemo.com',
-    apiBaseUrl: process.env.API_BASE_URL || 'https://www.saucedemo.com',
+    // Set BASE_URL=https://www.saucedemo.com to run against the public site
+    baseUrl: process.env.BASE_URL || STAND_IN_URL,
+    apiBaseUrl: process.env.API_BASE_URL || process.env.BASE_URL || STAND_IN_URL,
+    standInUrl: STAND_IN_URL,
     headless: process.env.HEADLESS !== 'false',
     slowMo: process.env.SLOW_MO ? parseInt(process.env.SLOW_MO) : 0,
   },
+
+  // ==================== PROFILES ====================
+  // Overrides layered onto the settings above. Select one with
+  // AUTONOMOUS_PROFILE=<name> (Playwright runs) or --profile <name> (node scripts).
+  // Objects merge key by key; arrays and plain values replace.
+  profiles: {
+    local: {
+      selfHealing: {
+        retryStrategy: { maxRetries: 1 },
+      },
+      notifications: {
+        slack: { enabled: false },
+        email: { enabled: false },
+      },
+      advanced: {
+        enableDetailedLogging: true,
+        parallelExecution: { maxWorkers: 2 },
+      },
+    },
+    staging: {
+      environment: {
+        baseUrl: process.env.BASE_URL || process.env.STAGING_BASE_URL || 'https://www.saucedemo.com',
+        apiBaseUrl:
+          process.env.API_BASE_URL || process.env.STAGING_BASE_URL || 'https://www.saucedemo.com',
+      },
+      reporting: {
+        dashboard: { retentionDays: 14 },
+      },
+    },
+    'prod-smoke': {
+      environment: {
+        baseUrl: process.env.BASE_URL || 'https://www.saucedemo.com',
+        apiBaseUrl: process.env.API_BASE_URL || 'https://www.saucedemo.com',
+      },
+      scheduling: {
+        jobs: [
+          {
+            name: 'hourly-smoke-tests',
+            cronExpression: '0 * * * *', // Every hour
+            testType: 'ui',
+            notifyOnFailure: true,
+          },
+        ],
+      },
+      performance: {
+        thresholds: { maxTestDuration: 20000, maxResponseTime: 3000 },
+      },
+      selfHealing: {
+        retryStrategy: { maxRetries: 2 },
+      },
+      advanced: {
+        enableVideoRecording: true,
+      },
+    },
+  },
 };
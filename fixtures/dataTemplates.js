@@ -0,0 +1,144 @@
+/**
+ * Data Templates - Entity Shapes for AutonomousDataFactory
+ *
+ * One template per entity type, one field spec per property:
+ * - type: 'string', 'number', 'integer', 'boolean', 'object' or 'array'
+ * - faker / args: faker method that generates the value ('internet.email')
+ * - enum, pattern, length { min, max }, min, max, precision: constraints.
+ *   Without a faker method they generate the value; faker values are
+ *   regenerated until they satisfy them. Patterns match the whole value.
+ * - fields: fields of a nested object; items: spec of each array item
+ *   (length is the item count)
+ * - template: embed an entity of another template
+ * - ref: id (or refField) of a related entity of another template, generated
+ *   once per build unless passed in options.related
+ * - derive: (entity) => value, computed after the other fields and overrides
+ * - generate: (faker, entity) => value, for anything the above cannot express
+ *   (entity holds the fields generated before it)
+ * - value: constant; timestamp: current ISO time
+ * - invalid: malformed examples of a string field, used as 'invalid-format'
+ *   variants by AutonomousDataFactory.buildVariants()
+ * - optional: only set when overridden
+ *
+ * Generated entities are validated against their template. Bump `version`
+ * on incompatible format changes.
+ */
+
+const TAX_RATE = 0.1;
+const CURRENT_YEAR = new Date().getFullYear();
+
+const round = (value) => parseFloat(value.toFixed(2));
+const subtotal = ({ items }) => round(items.reduce((sum, item) => sum + item.price, 0));
+
+const address = {
+  type: 'object',
+  fields: {
+    street: { type: 'string', faker: 'location.streetAddress', length: { min: 1 } },
+    city: { type: 'string', faker: 'location.city', length: { min: 1 } },
+    state: { type: 'string', faker: 'location.state', length: { min: 1 } },
+    zip: {
+      type: 'string',
+      faker: 'location.zipCode',
+      pattern: '[0-9]{5}(-[0-9]{4})?',
+      invalid: ['ABCDE', '1234', '123456', '12 345', '12345-67'],
+    },
+    country: { type: 'string', faker: 'location.country', length: { min: 1 } },
+  },
+};
+
+// Priced line items: subtotal, tax and total follow the items
+const totals = {
+  subtotal: { type: 'number', min: 0, derive: subtotal },
+  tax: { type: 'number', min: 0, derive: (entity) => round(subtotal(entity) * TAX_RATE) },
+  total: { type: 'number', min: 0, derive: (entity) => round(subtotal(entity) * (1 + TAX_RATE)) },
+};
+
+module.exports = {
+  version: 1,
+  templates: {
+    user: {
+      fields: {
+        id: { type: 'string', faker: 'string.uuid' },
+        username: { type: 'string', faker: 'internet.username', length: { min: 3, max: 30 } },
+        email: {
+          type: 'string',
+          faker: 'internet.email',
+          pattern: '[^@\\s]+@[^@\\s]+\\.[^@\\s]+',
+          invalid: ['plainaddress', 'user@', '@example.com', 'user@@example.com', 'user@example'],
+        },
+        password: {
+          type: 'string',
+          faker: 'internet.password',
+          args: [{ length: 12, memorable: false, pattern: /[A-Za-z0-9!@#$%^&*]/ }],
+          length: { min: 12, max: 12 },
+        },
+        firstName: { type: 'string', faker: 'person.firstName', length: { min: 1 } },
+        lastName: { type: 'string', faker: 'person.lastName', length: { min: 1 } },
+        phone: { type: 'string', faker: 'phone.number' },
+        address,
+        createdAt: { type: 'string', timestamp: true },
+      },
+    },
+
+    product: {
+      fields: {
+        id: { type: 'string', faker: 'string.uuid' },
+        name: { type: 'string', faker: 'commerce.productName', length: { min: 1 } },
+        description: { type: 'string', faker: 'commerce.productDescription' },
+        price: { type: 'number', min: 1, max: 1000, precision: 2 },
+        category: { type: 'string', faker: 'commerce.department' },
+        sku: { type: 'string', pattern: '[A-Z0-9]{8}' },
+        quantity: { type: 'integer', min: 1, max: 100 },
+        image: { type: 'string', faker: 'image.url' },
+        rating: { type: 'number', min: 0, max: 5, precision: 1 },
+        reviews: { type: 'integer', min: 0, max: 1000 },
+        inStock: { type: 'boolean' },
+        createdAt: { type: 'string', timestamp: true },
+      },
+    },
+
+    order: {
+      fields: {
+        id: { type: 'string', faker: 'string.uuid' },
+        orderNumber: { type: 'string', pattern: 'ORD-[A-Z0-9]{8}' },
+        userId: { type: 'string', ref: 'user' },
+        items: { type: 'array', items: { type: 'object', template: 'product' }, length: { min: 1, max: 5 } },
+        ...totals,
+        status: { type: 'string', enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'] },
+        paymentMethod: { type: 'string', enum: ['credit_card', 'debit_card', 'paypal', 'bank_transfer'] },
+        shippingAddress: address,
+        createdAt: { type: 'string', timestamp: true },
+        updatedAt: { type: 'string', timestamp: true },
+      },
+    },
+
+    cart: {
+      fields: {
+        id: { type: 'string', faker: 'string.uuid' },
+        items: { type: 'array', items: { type: 'object', template: 'product' }, length: { min: 1, max: 5 } },
+        itemCount: { type: 'integer', min: 0, derive: ({ items }) => items.length },
+        ...totals,
+        createdAt: { type: 'string', timestamp: true },
+        updatedAt: { type: 'string', timestamp: true },
+      },
+    },
+
+    paymentInfo: {
+      fields: {
+        cardNumber: {
+          type: 'string',
+          faker: 'finance.creditCardNumber',
+          length: { min: 1 },
+          // Wrong check digit, too short, letters, too long
+          invalid: ['4111-1111-1111-1112', '4111-1111', 'ABCD-EFGH-IJKL-MNOP', '4111-1111-1111-1111-1111-1'],
+        },
+        cardHolder: { type: 'string', faker: 'person.fullName', length: { min: 1 } },
+        expiryMonth: { type: 'integer', min: 1, max: 12 },
+        // Unexpired cards; last year is the 'below-min' variant of buildVariants()
+        expiryYear: { type: 'integer', min: CURRENT_YEAR, max: CURRENT_YEAR + 5 },
+        cvv: { type: 'string', pattern: '[0-9]{3}', invalid: ['12', '1234', '12a'] },
+        billingAddress: address,
+      },
+    },
+  },
+};
@@ -44,6 +44,15 @@ const testData = {
     maximumItems: 6,
   },
 
+  // Checkout
+  checkout: {
+    taxRate: 0.08,
+    paymentInfo: 'SauceCard #31337',
+    shippingInfo: 'Free Pony Express Delivery!',
+    overviewTitle: 'Checkout: Overview',
+    completeHeader: 'Thank you for your order!',
+  },
+
   // API endpoints (Example - adjust based on your API)
   api: {
     inventory: '/inventory',
@@ -0,0 +1,239 @@
+/**
+ * Test Fixtures - Playwright test.extend() Fixtures
+ *
+ * Features:
+ * - Page objects created per test; loginPage/coursePage pick the desktop or
+ *   mobile variant from the project (PageFactory)
+ * - APIHelper bound to the test's request context and configured base URL
+ * - AutonomousDataFactory whose created data is registered for cleanup
+ * - Generated data seeded per test (run seed + title), attached as 'data-seed'
+ *   and printed with a replay command when the test fails
+ * - DataCleanupManager.cleanupAll() after every test
+ * - PerformanceMonitor started before and stopped after every test
+ * - Wait time of every test tracked (WaitTracker) and attached as 'wait-budget'
+ * - executeWithRetry calls of every test (TestRetryManager registry) attached as 'retry-stats'
+ * - Tests quarantined on their project (FlakinessTracker) annotated 'quarantine'
+ * - Pre-authenticated personas (storageState from tests/auth.setup.js)
+ *
+ * Usage:
+ *   const { test, expect } = require('../../fixtures/testFixtures');
+ *   test('login', async ({ loginPage, dataFactory }) => { ... });
+ *
+ * Pre-authenticated persona (key of testData.users), per file/describe:
+ *   test.use({ persona: 'validUser' });
+ * or per test:
+ *   test('cart', { annotation: { type: 'persona', description: 'validUser' } }, ...);
+ */
+
+const base = require('@playwright/test');
+const PageFactory = require('../pages/pageFactory');
+const CartPage = require('../pages/cartPage');
+const ProductDetailPage = require('../pages/productDetailPage');
+const CheckoutInformationPage = require('../pages/checkoutInformationPage');
+const CheckoutOverviewPage = require('../pages/checkoutOverviewPage');
+const CheckoutCompletePage = require('../pages/checkoutCompletePage');
+const MobileLoginPage = require('../pages/mobile/mobileLoginPage');
+const MobileProductsPage = require('../pages/mobile/mobileCoursePage');
+const APIHelper = require('../utils/api/apiHelper');
+const AutonomousDataFactory = require('../utils/data/autonomousDataFactory');
+const DataCleanupManager = require('../utils/data/dataCleanupManager');
+const PerformanceMonitor = require('../utils/monitoring/performanceMonitor');
+const WaitTracker = require('../utils/monitoring/waitTracker');
+const AuthStateManager = require('../utils/helpers/authState');
+const TestRetryManager = require('../utils/helpers/testRetry');
+const FlakinessTracker = require('../utils/monitoring/flakinessTracker');
+
+const test = base.test.extend({
+  persona: [null, { option: true }],
+
+  // Automatic: every test's waits are accounted for, whichever fixtures it uses
+  waitBudget: [
+    async ({}, use, testInfo) => {
+      WaitTracker.begin(testInfo.titlePath.slice(1).join(' › '));
+
+      await use();
+
+      const summary = WaitTracker.end();
+      if (summary && summary.count > 0) {
+        await testInfo.attach(WaitTracker.getAttachmentName(), {
+          body: JSON.stringify(summary, null, 2),
+          contentType: 'application/json',
+        });
+      }
+    },
+    { auto: true },
+  ],
+
+  // Automatic: the worker's registry holds one test's calls at a time
+  retryStats: [
+    async ({}, use, testInfo) => {
+      const registry = TestRetryManager.getRegistry();
+      registry.clearStats();
+
+      await use(registry);
+
+      const calls = registry.getCalls();
+      registry.clearStats();
+      if (calls.length > 0) {
+        await testInfo.attach(TestRetryManager.getAttachmentName(), {
+          body: JSON.stringify(calls, null, 2),
+          contentType: 'application/json',
+        });
+      }
+    },
+    { auto: true },
+  ],
+
+  // Automatic: static generate* calls are seeded too, not only the dataFactory fixture
+  dataSeed: [
+    async ({}, use, testInfo) => {
+      const testId = testInfo.titlePath.join(' › ');
+      const { runSeed, seed } = AutonomousDataFactory.seedForTest(testId);
+      const replay = `${AutonomousDataFactory.getSeedEnvVar()}=${runSeed}`;
+
+      await testInfo.attach('data-seed', {
+        body: JSON.stringify({ runSeed, seed, test: testId, replay }, null, 2),
+        contentType: 'application/json',
+      });
+
+      await use({ runSeed, seed });
+
+      if (testInfo.status !== testInfo.expectedStatus) {
+        console.error(
+          `✗ [${testInfo.title}] Data seed ${seed} (run seed ${runSeed}) - replay with: ` +
+            `${replay} npx playwright test -g "${testInfo.title}"`
+        );
+      }
+    },
+    { auto: true },
+  ],
+
+  // Automatic: quarantined tests run as usual; FlakinessReporter keeps their failures from failing the build
+  quarantine: [
+    async ({}, use, testInfo) => {
+      const quarantine = new FlakinessTracker().getQuarantine(
+        FlakinessTracker.getTestId(testInfo.titlePath, testInfo.project.name)
+      );
+      if (quarantine) {
+        testInfo.annotations.push({
+          type: 'quarantine',
+          description: `${quarantine.reason} (${quarantine.source}, since ${quarantine.since})`,
+        });
+      }
+
+      await use(quarantine);
+    },
+    { auto: true },
+  ],
+
+  // Must not depend on `browser`: API-only tests resolve storageState through `request`
+  storageState: async (
+    { persona, storageState, playwright, browserName, launchOptions, baseURL },
+    use,
+    testInfo
+  ) => {
+    const annotation = testInfo.annotations.find(({ type }) => type === 'persona');
+    const selected = (annotation && annotation.description) || persona;
+
+    if (!selected) {
+      await use(storageState);
+      return;
+    }
+
+    // Saved by the setup project; refreshed here if missing or stale
+    const statePath = await AuthStateManager.ensureState(
+      playwright[browserName],
+      selected,
+      baseURL,
+      launchOptions
+    );
+    await use(statePath);
+  },
+
+  loginPage: async ({ page, isMobile }, use) => {
+    await use(PageFactory.create('login', page, { isMobile }));
+  },
+
+  coursePage: async ({ page, isMobile }, use) => {
+    await use(PageFactory.create('products', page, { isMobile }));
+  },
+
+  cartPage: async ({ page }, use) => {
+    await use(new CartPage(page));
+  },
+
+  productDetailPage: async ({ page }, use) => {
+    await use(new ProductDetailPage(page));
+  },
+
+  checkoutInformationPage: async ({ page }, use) => {
+    await use(new CheckoutInformationPage(page));
+  },
+
+  checkoutOverviewPage: async ({ page }, use) => {
+    await use(new CheckoutOverviewPage(page));
+  },
+
+  checkoutCompletePage: async ({ page }, use) => {
+    await use(new CheckoutCompletePage(page));
+  },
+
+  mobileLoginPage: async ({ page }, use) => {
+    await use(new MobileLoginPage(page));
+  },
+
+  mobileProductsPage: async ({ page }, use) => {
+    await use(new MobileProductsPage(page));
+  },
+
+  apiHelper: async ({ request }, use) => {
+    // No explicit URL: APIHelper resolves environment.apiBaseUrl
+    await use(new APIHelper(undefined, request));
+  },
+
+  cleanupManager: async ({}, use) => {
+    const cleanupManager = new DataCleanupManager();
+
+    await use(cleanupManager);
+
+    await cleanupManager.cleanupAll();
+  },
+
+  dataFactory: async ({ cleanupManager }, use) => {
+    const dataFactory = new AutonomousDataFactory();
+
+    await use(dataFactory);
+
+    // Hand everything created during the test to the cleanup manager,
+    // which tears down after this fixture
+    for (const { type, data } of dataFactory.getGeneratedData()) {
+      if (type && data && data.id) {
+        cleanupManager.registerDataForCleanup(type, data.id, { data });
+      }
+    }
+    dataFactory.clearGeneratedData();
+  },
+
+  perfMonitor: async ({}, use, testInfo) => {
+    const perfMonitor = new PerformanceMonitor();
+    perfMonitor.activeTimer = perfMonitor.startTestMonitoring(testInfo.title);
+
+    await use(perfMonitor);
+
+    const metrics = perfMonitor.endTestMonitoring(perfMonitor.activeTimer, {
+      status: testInfo.status,
+      project: testInfo.project.name,
+    });
+    perfMonitor.activeTimer = null;
+
+    await testInfo.attach('performance-metrics', {
+      body: JSON.stringify(metrics, null, 2),
+      contentType: 'application/json',
+    });
+  },
+});
+
+module.exports = {
+  test,
+  expect: base.expect,
+};
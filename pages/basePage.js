@@ -0,0 +1,309 @@
+const ConfigLoader = require('../utils/config/configLoader');
+const SmartWait = require('../utils/helpers/smartWait');
+const TestRetryManager = require('../utils/helpers/testRetry');
+const SelectorManager = require('../utils/helpers/selectorManager');
+const SelectorRegistry = require('../utils/helpers/selectorRegistry');
+
+// Requests that make up a page load (app traffic like analytics is not waited for)
+const PAGE_LOAD_RESOURCES = ['document', 'script', 'stylesheet'];
+
+/**
+ * BasePage - Shared Page Object Behaviour
+ *
+ * Features:
+ * - Navigation relative to baseURL
+ * - Elements looked up by key in the selector registry (pages/selectors.js)
+ * - Smart selection with fallbacks (SelectorManager) that fails loudly,
+ *   learning per page which selector works
+ * - Click/fill wrapped in TestRetryManager
+ * - Event-driven settling after actions that load a page (no networkidle)
+ * - Variant-aware logging ('[Mobile]' prefix on mobile variants)
+ * - Header helpers shared by every signed-in page (cart badge)
+ * - Form error banner helpers (login and checkout)
+ *
+ * Desktop page objects extend BasePage; mobile variants extend the desktop
+ * class and override only what differs. PageFactory picks the variant.
+ */
+class BasePage {
+  static variant = 'desktop';
+
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.smartWait = SmartWait;
+    // Selector history is persisted per page object class (see SelectorStore)
+    this.selectorManager = new SelectorManager(console, { pageName: this.constructor.name });
+    this.variant = this.constructor.variant;
+    this.logPrefix = this.variant === 'mobile' ? '[Mobile] ' : '';
+
+    // Registry entries of this class and its parents, by element key
+    this.elements = SelectorRegistry.forClass(this.constructor);
+  }
+
+  /**
+   * Whether this is the mobile variant
+   * @returns {boolean}
+   */
+  get isMobile() {
+    return this.variant === 'mobile';
+  }
+
+  log(message) {
+    console.log(`${this.logPrefix}${message}`);
+  }
+
+  warn(message) {
+    console.warn(`${this.logPrefix}${message}`);
+  }
+
+  /**
+   * Navigate relative to baseURL and wait for the DOM
+   * @param {string} path - e.g. '/inventory.html'
+   */
+  async navigate(path) {
+    await this.page.goto(path);
+    await this.page.waitForLoadState('domcontentloaded');
+  }
+
+  /**
+   * Run an action that loads a page, then wait for its requests and rendering to settle
+   * Quiet times and DOM timeout: selfHealing.smartWaiting.settle. A DOM that keeps
+   * changing (e.g. an animated banner) is logged and counted as a timeout in the
+   * wait budget; the action still succeeds.
+   * @param {string} name - Name for wait logs
+   * @param {Function} action - Async action (e.g. a submit click)
+   * @returns {Promise<number>} - Time spent settling, including the action (ms)
+   */
+  async settleAfter(name, action) {
+    const { requestQuietTime = 200, domQuietTime = 100, domTimeout = 5000 } =
+      ConfigLoader.get('selfHealing.smartWaiting.settle', {});
+    const label = `${this.logPrefix}${name}`;
+    const startTime = Date.now();
+
+    await this.smartWait.waitForRequestsSettled(this.page, {
+      action,
+      resourceTypes: PAGE_LOAD_RESOURCES,
+      quietTime: requestQuietTime,
+      name: label,
+    });
+
+    try {
+      await this.smartWait.waitForDomQuiet(this.page, { quietTime: domQuietTime, timeout: domTimeout, name: label });
+    } catch (error) {
+      if (error.name !== 'TimeoutError') {
+        throw error;
+      }
+      // Already in the wait budget as a timeout (SmartWait tracks it), so the
+      // wait budget report flags a page that never goes quiet
+      console.warn(`⚠ ${error.message} (continuing anyway)`);
+    }
+
+    return Date.now() - startTime;
+  }
+
+  /**
+   * Registry definition of an element
+   * @param {string} key - Element key in pages/selectors.js (e.g. 'loginButton')
+   * @returns {Object} - See SelectorRegistry.normalize()
+   */
+  element(key) {
+    const element = this.elements[key];
+
+    if (!element) {
+      throw new Error(
+        `Unknown element "${key}" for ${this.constructor.name} ` +
+          `(registered: ${Object.keys(this.elements).join(', ')})`
+      );
+    }
+
+    return element;
+  }
+
+  /**
+   * Primary selector of an element, for plain locators (rows, row-scoped parts)
+   * @param {string} key - Element key
+   * @returns {string}
+   */
+  selector(key) {
+    return this.element(key).selector;
+  }
+
+  /**
+   * Find an element via SelectorManager, throwing when nothing matches
+   * @param {string} key - Element key in pages/selectors.js
+   * @param {Object} options
+   * @param {number} options.timeout - Lookup timeout, shared by all selectors (default 5000)
+   * @param {import('@playwright/test').Page|import('@playwright/test').Locator} options.root - Search scope
+   * @param {string[]} options.strategies - Locator strategy order (default: the element's
+   *   registry entry, then selectorManagement config)
+   * @param {Object} options.filter - Narrow a multi-match selector: { hasText, has, index, ... }
+   *   (see SelectorManager.smartSelect)
+   * @returns {Promise<import('@playwright/test').Locator>} - A single element
+   */
+  async findElement(key, { timeout = 5000, root = this.page, strategies, filter } = {}) {
+    const element = this.element(key);
+    const locator = await this.selectorManager.smartSelect(
+      root,
+      element.name,
+      element.selector,
+      element.fallbacks,
+      timeout,
+      {
+        strategies: strategies || element.strategies,
+        a11y: element.a11y,
+        state: element.state,
+        source: { page: element.page, element: key },
+        filter,
+      }
+    );
+
+    if (!locator) {
+      const ambiguity = this.selectorManager.getAmbiguity(element.name);
+      if (ambiguity) {
+        throw new Error(
+          `${element.name} is ambiguous: ` +
+            `${ambiguity.map(({ selector, matches }) => `${selector} matches ${matches} elements`).join(', ')}` +
+            ' (pass a root or filter)'
+        );
+      }
+      throw new Error(`${element.name} not found`);
+    }
+
+    return locator;
+  }
+
+  /**
+   * Run an action with TestRetryManager
+   * Uses the 'interaction' retry policy unless options name another policy
+   * or pass legacy retryableErrors.
+   * @param {string} testName - Name for retry logs
+   * @param {Function} action - Async action
+   * @param {Object} options - policy / maxRetries / retryableErrors overrides
+   */
+  async withRetry(testName, action, options = {}) {
+    const defaults = options.retryableErrors ? { maxRetries: 2 } : { policy: 'interaction' };
+
+    return TestRetryManager.executeWithRetry(action, {
+      ...defaults,
+      testName,
+      ...options,
+    });
+  }
+
+  /**
+   * Find and click an element with retry
+   * @param {string} key - Element key
+   * @param {Object} options
+   * @param {RegExp} options.waitForUrl - URL expected after the click
+   * @param {Object} options.root - Search scope (see findElement)
+   * @param {string[]} options.strategies - Locator strategy order (see findElement)
+   * @param {Object} options.filter - Match filter (see findElement)
+   */
+  async clickElement(key, { waitForUrl, root, strategies, filter } = {}) {
+    const element = await this.findElement(key, { root, strategies, filter });
+
+    await this.withRetry(this.element(key).name, async () => {
+      await element.click();
+      if (waitForUrl) {
+        await this.page.waitForURL(waitForUrl, { timeout: 10000 });
+      }
+    });
+  }
+
+  /**
+   * Find and fill an input
+   * @param {string} key - Element key
+   * @param {string} value
+   * @param {Object} options - See findElement
+   */
+  async fillElement(key, value, options = {}) {
+    const element = await this.findElement(key, options);
+    await element.fill(value);
+  }
+
+  /**
+   * Read an element's trimmed text
+   * @param {string} key - Element key
+   * @param {Object} options - See findElement
+   * @returns {Promise<string>}
+   */
+  async getElementText(key, options = {}) {
+    const element = await this.findElement(key, options);
+    return (await element.textContent()).trim();
+  }
+
+  /**
+   * Check visibility without throwing
+   * @param {string} selector
+   * @param {number} timeout
+   * @returns {Promise<boolean>}
+   */
+  async isVisible(selector, timeout = 2000) {
+    return this.smartWait.isVisible(this.page, selector, timeout);
+  }
+
+  /**
+   * Get the header cart badge count (0 when the badge is hidden)
+   * @returns {Promise<number>}
+   */
+  async getCartBadgeCount() {
+    const { selector: badgeSelector, fallbacks } = this.element('cartBadge');
+    let badge = null;
+
+    if (await this.isVisible(badgeSelector, 2000)) {
+      badge = this.page.locator(badgeSelector);
+    } else {
+      // Healing: check fallbacks without waiting again
+      for (const selector of fallbacks) {
+        if ((await this.page.locator(selector).count()) > 0) {
+          badge = this.page.locator(selector);
+          break;
+        }
+      }
+    }
+
+    const count = badge ? parseInt(await badge.first().textContent()) || 0 : 0;
+    this.log(`Cart badge count: ${count}`);
+    return count;
+  }
+
+  /**
+   * Check whether the form error banner is shown
+   * @returns {Promise<boolean>}
+   */
+  async isErrorDisplayed() {
+    const visible = await this.isVisible(this.selector('errorMessage'), 2000);
+    this.log(`Error message ${visible ? 'visible' : 'not visible'}`);
+    return visible;
+  }
+
+  /**
+   * Get the form error text (e.g. 'Epic sadface: ...' or 'Error: First Name is required')
+   * @returns {Promise<string|null>} - null when no error is shown
+   */
+  async getErrorMessage() {
+    let error;
+    try {
+      error = await this.findElement('errorMessage', { timeout: 2000 });
+    } catch {
+      return null;
+    }
+
+    const text = (await error.textContent()).replace('×', '').trim();
+    this.log(`Error message: ${text}`);
+    return text;
+  }
+
+  /**
+   * Parse a displayed price ('$29.99') into a number
+   * @param {string} text
+   * @returns {number}
+   */
+  static parsePrice(text) {
+    return parseFloat(text.replace(/[^0-9.]/g, ''));
+  }
+}
+
+module.exports = BasePage;
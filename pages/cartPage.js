@@ -0,0 +1,184 @@
+const BasePage = require('./basePage');
+
+/**
+ * Cart Page Object Model
+ * Line-item inspection, removal and navigation out of the cart.
+ * Shared by desktop and mobile projects (same markup on both).
+ * Selectors: CartPage in pages/selectors.js
+ */
+class CartPage extends BasePage {
+  /**
+   * Open the cart directly (requires a signed-in session)
+   */
+  async goto() {
+    await this.navigate('/cart.html');
+    await this.waitForCartToLoad();
+  }
+
+  /**
+   * Wait for the cart list to render
+   */
+  async waitForCartToLoad() {
+    try {
+      await this.findElement('cartList');
+    } catch {
+      throw new Error('Cart list not found - is the cart page open?');
+    }
+  }
+
+  /**
+   * Get the line-item selector, healing to a fallback if the primary matches nothing
+   * @returns {Promise<string>}
+   */
+  async getItemSelector() {
+    const { selector: itemSelector, fallbacks } = this.element('cartItem');
+
+    for (const selector of [itemSelector, ...fallbacks]) {
+      if ((await this.page.locator(selector).count()) > 0) {
+        return selector;
+      }
+    }
+
+    // Empty cart - primary selector still describes the (absent) rows
+    return itemSelector;
+  }
+
+  /**
+   * Get the line-item locator
+   * @returns {Promise<import('@playwright/test').Locator>}
+   */
+  async getItemLocator() {
+    return this.page.locator(await this.getItemSelector());
+  }
+
+  /**
+   * List cart line items
+   * @returns {Promise<Array<{name: string, price: number, quantity: number, description: string}>>}
+   */
+  async getItems() {
+    await this.waitForCartToLoad();
+
+    const rows = await this.getItemLocator();
+    const count = await rows.count();
+    const items = [];
+
+    for (let i = 0; i < count; i++) {
+      const row = rows.nth(i);
+      const quantityText = await row.locator(this.selector('itemQuantity')).textContent();
+
+      items.push({
+        name: (await row.locator(this.selector('itemName')).textContent()).trim(),
+        price: BasePage.parsePrice(await row.locator(this.selector('itemPrice')).textContent()),
+        quantity: parseInt(quantityText, 10) || 0,
+        description: (await row.locator(this.selector('itemDescription')).textContent()).trim(),
+      });
+    }
+
+    this.log(`✓ Cart contains ${items.length} item(s)`);
+    return items;
+  }
+
+  /**
+   * Get cart item names in display order
+   * @returns {Promise<string[]>}
+   */
+  async getItemNames() {
+    const items = await this.getItems();
+    return items.map((item) => item.name);
+  }
+
+  /**
+   * Get the number of line items
+   * @returns {Promise<number>}
+   */
+  async getItemCount() {
+    await this.waitForCartToLoad();
+    return (await this.getItemLocator()).count();
+  }
+
+  /**
+   * Check whether the cart has no items
+   * @returns {Promise<boolean>}
+   */
+  async isEmpty() {
+    return (await this.getItemCount()) === 0;
+  }
+
+  /**
+   * Remove a line item by product name
+   * @param {string} name - Exact product name
+   */
+  async removeItemByName(name) {
+    const rows = await this.getItemLocator();
+    const row = rows.filter({
+      has: this.page.locator(this.selector('itemName')).getByText(name, { exact: true }),
+    });
+
+    if ((await row.count()) === 0) {
+      throw new Error(`Cart item not found: ${name}`);
+    }
+
+    await this.removeRow(row.first(), name);
+  }
+
+  /**
+   * Remove a line item by position
+   * @param {number} index - Item index (0-based)
+   */
+  async removeItemByIndex(index) {
+    const rows = await this.getItemLocator();
+    const count = await rows.count();
+
+    if (index < 0 || index >= count) {
+      throw new Error(`Cart item index ${index} out of range (cart has ${count} item(s))`);
+    }
+
+    const row = rows.nth(index);
+    const name = (await row.locator(this.selector('itemName')).textContent()).trim();
+
+    await this.removeRow(row, name);
+  }
+
+  /**
+   * Click a row's remove button and wait for the row to disappear
+   * @param {import('@playwright/test').Locator} row - Single cart row
+   * @param {string} name - Product name (for logging and verification)
+   */
+  async removeRow(row, name) {
+    const itemSelector = await this.getItemSelector();
+    const countBefore = await this.page.locator(itemSelector).count();
+
+    await this.clickElement('removeButton', { root: row });
+
+    await this.page.waitForFunction(
+      ({ selector, expected }) => document.querySelectorAll(selector).length === expected,
+      { selector: itemSelector, expected: countBefore - 1 },
+      { timeout: 5000 }
+    );
+
+    this.log(`✓ Removed from cart: ${name}`);
+  }
+
+  /**
+   * Return to the inventory
+   */
+  async continueShopping() {
+    await this.clickElement('continueShoppingButton', { waitForUrl: /\/inventory\.html/ });
+    this.log('✓ Continued shopping');
+  }
+
+  /**
+   * Proceed to checkout (information step)
+   * @returns {Promise<CheckoutInformationPage>}
+   */
+  async checkout() {
+    await this.clickElement('checkoutButton', { waitForUrl: /\/checkout-step-one\.html/ });
+    this.log('✓ Proceeded to checkout');
+
+    // Required lazily: the checkout pages read cart rows through CartPage
+    const CheckoutInformationPage = require('./checkoutInformationPage');
+    return new CheckoutInformationPage(this.page);
+  }
+}
+
+module.exports = CartPage;
@@ -0,0 +1,47 @@
+const BasePage = require('./basePage');
+
+/**
+ * Checkout: Complete
+ * Order confirmation and the way back to the inventory.
+ * Selectors: CheckoutCompletePage in pages/selectors.js
+ */
+class CheckoutCompletePage extends BasePage {
+  /**
+   * Get the confirmation header (e.g. 'Thank you for your order!')
+   * @returns {Promise<string>}
+   */
+  async getHeader() {
+    return this.getElementText('completeHeader');
+  }
+
+  /**
+   * Get the confirmation body text
+   * @returns {Promise<string>}
+   */
+  async getText() {
+    return this.getElementText('completeText');
+  }
+
+  /**
+   * Check whether the order confirmation is shown
+   * @returns {Promise<boolean>}
+   */
+  async isOrderComplete() {
+    try {
+      const header = await this.getHeader();
+      return /thank you for your order/i.test(header);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Return to the inventory
+   */
+  async backHome() {
+    await this.clickElement('backHomeButton', { waitForUrl: /\/inventory\.html/ });
+    this.log('✓ Returned to inventory');
+  }
+}
+
+module.exports = CheckoutCompletePage;
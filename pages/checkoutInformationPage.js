@@ -0,0 +1,110 @@
+const BasePage = require('./basePage');
+const AutonomousDataFactory = require('../utils/data/autonomousDataFactory');
+const CheckoutOverviewPage = require('./checkoutOverviewPage');
+
+/**
+ * Checkout: Your Information (step one)
+ * Fills the customer form from factory users and exposes validation errors.
+ * Selectors: CheckoutInformationPage in pages/selectors.js
+ */
+class CheckoutInformationPage extends BasePage {
+  /**
+   * Open the information step directly (requires a signed-in session)
+   */
+  async goto() {
+    await this.navigate('/checkout-step-one.html');
+  }
+
+  /**
+   * Fill the customer form
+   * Fields left undefined are not touched, so missing-field errors can be provoked.
+   * @param {Object} info
+   * @param {string} info.firstName
+   * @param {string} info.lastName
+   * @param {string} info.postalCode
+   */
+  async fillForm({ firstName, lastName, postalCode }) {
+    const fields = { firstName, lastName, postalCode };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      await this.fillElement(key, value);
+    }
+  }
+
+  /**
+   * Fill the form from a factory user (generated when not given)
+   * @param {Object} user - AutonomousDataFactory.generateUser() result
+   * @returns {Promise<Object>} - The user that was entered
+   */
+  async fillFromUser(user = AutonomousDataFactory.generateUser()) {
+    await this.fillForm({
+      firstName: user.firstName,
+      lastName: user.lastName,
+      postalCode: user.address.zip,
+    });
+
+    this.log(`✓ Checkout information filled for ${user.firstName} ${user.lastName}`);
+    return user;
+  }
+
+  /**
+   * Submit the form and wait for the overview
+   * @returns {Promise<CheckoutOverviewPage>}
+   */
+  async continue() {
+    await this.submit();
+
+    try {
+      await this.page.waitForURL(/\/checkout-step-two\.html/, { timeout: 10000 });
+    } catch (error) {
+      const validationError = await this.getErrorMessage();
+      throw new Error(
+        validationError
+          ? `Checkout information rejected: ${validationError}`
+          : `Overview did not open: ${error.message}`
+      );
+    }
+
+    this.log('✓ Continued to checkout overview');
+    return new CheckoutOverviewPage(this.page);
+  }
+
+  /**
+   * Submit the form without expecting navigation (e.g. to read validation errors)
+   */
+  async submit() {
+    await this.clickElement('continueButton');
+  }
+
+  /**
+   * Get the names of inputs highlighted as invalid
+   * @returns {Promise<string[]>} - e.g. ['firstName', 'lastName', 'postalCode']
+   */
+  async getFieldsWithErrors() {
+    return this.page.locator(this.selector('fieldWithError')).evaluateAll((inputs) =>
+      inputs.map((input) => input.getAttribute('data-test'))
+    );
+  }
+
+  /**
+   * Close the validation error banner
+   */
+  async dismissError() {
+    await this.page.click(this.selector('errorDismissButton'));
+    await this.smartWait.waitForHidden(this.page, this.selector('errorMessage'), 3000);
+  }
+
+  /**
+   * Cancel back to the cart
+   */
+  async cancel() {
+    await this.clickElement('cancelButton', { waitForUrl: /\/cart\.html/ });
+    this.log('✓ Checkout cancelled');
+  }
+}
+
+module.exports = CheckoutInformationPage;
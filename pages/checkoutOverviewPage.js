@@ -0,0 +1,151 @@
+const BasePage = require('./basePage');
+const CartPage = require('./cartPage');
+const CheckoutCompletePage = require('./checkoutCompletePage');
+
+const DEFAULT_TAX_RATE = 0.08; // Sauce Demo charges 8%
+
+/**
+ * Checkout: Overview (step two)
+ * Reads the order summary and verifies its math against the cart contents.
+ * Selectors: CheckoutOverviewPage in pages/selectors.js
+ */
+class CheckoutOverviewPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    super(page);
+
+    // Line items use the same markup as the cart
+    this.lineItems = new CartPage(page);
+  }
+
+  /**
+   * Open the overview directly (requires a signed-in session)
+   */
+  async goto() {
+    await this.navigate('/checkout-step-two.html');
+  }
+
+  /**
+   * Get the page title ('Checkout: Overview')
+   * @returns {Promise<string>}
+   */
+  async getTitle() {
+    return this.getElementText('title');
+  }
+
+  /**
+   * List the ordered items
+   * @returns {Promise<Array<{name: string, price: number, quantity: number, description: string}>>}
+   */
+  async getItems() {
+    return this.lineItems.getItems();
+  }
+
+  /**
+   * Read the order summary
+   * @returns {Promise<{itemTotal: number, tax: number, total: number, paymentInfo: string, shippingInfo: string}>}
+   */
+  async getSummary() {
+    const summary = {
+      itemTotal: await this.readAmount('itemTotal'),
+      tax: await this.readAmount('tax'),
+      total: await this.readAmount('total'),
+      paymentInfo: (await this.page.textContent(this.selector('paymentInfo'))).trim(),
+      shippingInfo: (await this.page.textContent(this.selector('shippingInfo'))).trim(),
+    };
+
+    this.log(
+      `✓ Order summary: item total $${summary.itemTotal}, tax $${summary.tax}, total $${summary.total}`
+    );
+    return summary;
+  }
+
+  /**
+   * Read a "$x.yz" amount from a summary label
+   * @param {string} key - Element key ('itemTotal', 'tax' or 'total')
+   * @returns {Promise<number>}
+   */
+  async readAmount(key) {
+    const label = await this.findElement(key);
+    const text = await label.textContent();
+    const match = text.match(/\$([\d,]+\.?\d*)/);
+
+    if (!match) {
+      throw new Error(`Could not read amount from "${text}"`);
+    }
+
+    return parseFloat(match[1].replace(/,/g, ''));
+  }
+
+  /**
+   * Verify item total, tax and total against the cart contents
+   * @param {Array<{name: string, price: number, quantity: number}>} cartItems - From CartPage.getItems()
+   * @param {Object} options
+   * @param {number} options.taxRate - Expected tax rate (default 0.08)
+   * @returns {Promise<Object>} - { valid, errors[], expected, actual }
+   */
+  async verifyTotals(cartItems, { taxRate = DEFAULT_TAX_RATE } = {}) {
+    const actual = await this.getSummary();
+    const orderedItems = await this.getItems();
+    const errors = [];
+
+    const cents = (amount) => Math.round(amount * 100);
+    const itemTotal = cartItems.reduce((sum, item) => sum + item.price * (item.quantity || 1), 0);
+    const expected = {
+      itemTotal: cents(itemTotal) / 100,
+      tax: cents(itemTotal * taxRate) / 100,
+    };
+    expected.total = (cents(expected.itemTotal) + cents(expected.tax)) / 100;
+
+    const cartNames = cartItems.map((item) => item.name).sort();
+    const orderedNames = orderedItems.map((item) => item.name).sort();
+    if (JSON.stringify(cartNames) !== JSON.stringify(orderedNames)) {
+      errors.push(`Items differ: cart [${cartNames.join(', ')}], overview [${orderedNames.join(', ')}]`);
+    }
+
+    for (const key of ['itemTotal', 'tax', 'total']) {
+      if (cents(actual[key]) !== cents(expected[key])) {
+        errors.push(`${key}: expected $${expected[key].toFixed(2)}, shown $${actual[key].toFixed(2)}`);
+      }
+    }
+
+    // Internal consistency, independent of the cart
+    if (cents(actual.itemTotal) + cents(actual.tax) !== cents(actual.total)) {
+      errors.push(
+        `total $${actual.total.toFixed(2)} is not item total + tax ($${actual.itemTotal.toFixed(2)} + $${actual.tax.toFixed(2)})`
+      );
+    }
+
+    const valid = errors.length === 0;
+    if (valid) {
+      this.log('✓ Checkout totals verified against cart');
+    } else {
+      this.warn(`⚠ Checkout totals mismatch:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { valid, errors, expected, actual };
+  }
+
+  /**
+   * Place the order
+   * @returns {Promise<CheckoutCompletePage>}
+   */
+  async finish() {
+    await this.clickElement('finishButton', { waitForUrl: /\/checkout-complete\.html/ });
+
+    this.log('✓ Order placed');
+    return new CheckoutCompletePage(this.page);
+  }
+
+  /**
+   * Cancel back to the inventory
+   */
+  async cancel() {
+    await this.clickElement('cancelButton', { waitForUrl: /\/inventory\.html/ });
+    this.log('✓ Checkout cancelled');
+  }
+}
+
+module.exports = CheckoutOverviewPage;
@@ -1,74 +1,254 @@
-const SmartWait = require('../utils/helpers/smartWait');
-const TestRetryManager = require('../utils/helpers/testRetry');
-const SelectorManager = require('../utils/helpers/selectorManager');
+const BasePage = require('./basePage');
+const CartPage = require('./cartPage');
+const ProductDetailPage = require('./productDetailPage');
 
-class CoursePage {
+/**
+ * Sort options of the product sort dropdown
+ * compare() gives the expected order of two product records
+ */
+const SORT_OPTIONS = {
+  nameAsc: {
+    value: 'az',
+    label: 'Name (A to Z)',
+    compare: (a, b) => a.name.localeCompare(b.name),
+  },
+  nameDesc: {
+    value: 'za',
+    label: 'Name (Z to A)',
+    compare: (a, b) => b.name.localeCompare(a.name),
+  },
+  priceAsc: {
+    value: 'lohi',
+    label: 'Price (low to high)',
+    compare: (a, b) => a.price - b.price,
+  },
+  priceDesc: {
+    value: 'hilo',
+    label: 'Price (high to low)',
+    compare: (a, b) => b.price - a.price,
+  },
+};
+
+/**
+ * Products (inventory) page - desktop variant
+ * MobileProductsPage extends this for mobile projects.
+ * Selectors: CoursePage in pages/selectors.js
+ */
+class CoursePage extends BasePage {
   /**
-   * @param {import('@playwright/test').Page} page
+   * Open the inventory directly (requires a signed-in persona)
    */
-  constructor(page) {
-    this.page = page;
-    this.smartWait = SmartWait;
-    this.selectorManager = new SelectorManager();
-
-    // Using Sauce Demo - inventory items
-    this.searchBox = 'input[placeholder="Search"]';
-    this.searchButton = 'button:has-text("Search")';
-    this.firstProductName = '.inventory_item:first-child .inventory_item_name';
-    this.addToCartButton = '.inventory_item:first-child button';
-    this.cartBadge = '.shopping_cart_badge';
-    
-    // Fallback selectors
-    this.addToCartFallbacks = ['button[data-test*="add-to-cart"]', '.inventory_item button'];
-    this.cartBadgeFallbacks = ['span.badge', '[class*="cart"][class*="badge"]'];
+  async goto() {
+    this.log('Navigating to inventory');
+    await this.navigate('/inventory.html');
+    await this.waitForProductsToLoad();
   }
 
-  async searchCourse(name) {
+  /**
+   * Wait for the inventory and find products whose name contains `name`
+   * @param {string} name - Name fragment (all products when omitted)
+   * @returns {Promise<Object[]>} - Matching product records
+   */
+  async searchCourse(name = '') {
     // For Sauce Demo, wait for inventory to load
     try {
-      await this.page.waitForSelector(this.firstProductName, { state: 'visible', timeout: 5000 });
-      console.log('✓ Product list loaded');
+      await this.smartWait.waitForElement(this.page, this.selector('firstProductName'), {
+        timeout: 5000,
+        visible: true,
+        stable: false,
+        name: 'First Product Name',
+      });
+      this.log('✓ Product list loaded');
     } catch (error) {
-      console.warn(`⚠ Product list not found: ${error.message}`);
+      this.warn(`⚠ Product list not found: ${error.message}`);
+      return [];
     }
+
+    const products = await this.getProducts();
+    const matches = products.filter((product) =>
+      product.name.toLowerCase().includes(name.toLowerCase())
+    );
+
+    this.log(`✓ ${matches.length} product(s) match "${name}"`);
+    return matches;
   }
 
-  async enrollFirstCourse() {
-    try {
-      // Get add to cart button with fallback support
-      const addBtn = await this.selectorManager.smartSelectAny(
-        this.page,
-        'Add to Cart Button',
-        [this.addToCartButton, ...this.addToCartFallbacks],
-        5000
-      );
+  /**
+   * Wait for the product list to render
+   */
+  async waitForProductsToLoad() {
+    await this.findElement('productList');
+  }
+
+  /**
+   * List all products in display order
+   * @returns {Promise<Array<{name: string, price: number, description: string, imageSrc: string}>>}
+   */
+  async getProducts() {
+    await this.waitForProductsToLoad();
+
+    const rows = this.page.locator(this.selector('productItem'));
+    const count = await rows.count();
+    const products = [];
 
-      if (!addBtn) {
-        throw new Error('Add to cart button not found');
-      }
-
-      // Click with retry
-      await TestRetryManager.executeWithRetry(
-        async () => {
-          await addBtn.click();
-        },
-        {
-          maxRetries: 2,
-          testName: 'Add to Cart',
-          retryableErrors: ['timeout', 'Click intercepted'],
-        }
+    for (let i = 0; i < count; i++) {
+      const row = rows.nth(i);
+
+      products.push({
+        name: (await row.locator(this.selector('productName')).textContent()).trim(),
+        price: BasePage.parsePrice(await row.locator(this.selector('productPrice')).textContent()),
+        description: (await row.locator(this.selector('productDescription')).textContent()).trim(),
+        imageSrc: await row.locator(this.selector('productImage')).getAttribute('src'),
+      });
+    }
+
+    return products;
+  }
+
+  /**
+   * Get product names in display order
+   * @returns {Promise<string[]>}
+   */
+  async getProductNames() {
+    const products = await this.getProducts();
+    return products.map((product) => product.name);
+  }
+
+  /**
+   * Get all product names (logged)
+   * @returns {Promise<string[]>}
+   */
+  async getAllProductNames() {
+    const names = await this.getProductNames();
+    this.log(`Found ${names.length} products`);
+    return names;
+  }
+
+  /**
+   * Find a product record by exact name
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async getProduct(name) {
+    const products = await this.getProducts();
+    return products.find((product) => product.name === name) || null;
+  }
+
+  /**
+   * Get the inventory row for a product
+   * @param {string} name - Exact product name
+   * @returns {Promise<import('@playwright/test').Locator>}
+   */
+  async getProductRow(name) {
+    await this.waitForProductsToLoad();
+
+    const row = this.page.locator(this.selector('productItem')).filter({
+      has: this.page.locator(this.selector('productName')).getByText(name, { exact: true }),
+    });
+
+    if ((await row.count()) === 0) {
+      throw new Error(`Product not found: ${name}`);
+    }
+
+    return row.first();
+  }
+
+  /**
+   * Check whether a product's button shows it as in the cart
+   * @param {string} name - Exact product name
+   * @returns {Promise<boolean>}
+   */
+  async isProductInCart(name) {
+    const row = await this.getProductRow(name);
+    const button = row.locator(this.selector('productButton'));
+    const dataTest = (await button.getAttribute('data-test')) || '';
+
+    return dataTest.startsWith('remove');
+  }
+
+  /**
+   * Add a product to the cart by name
+   * @param {string} name - Exact product name
+   */
+  async addProductByName(name) {
+    if (await this.isProductInCart(name)) {
+      this.log(`⊘ Already in cart: ${name}`);
+      return;
+    }
+
+    await this.toggleProduct(name, true);
+    this.log(`✓ Added to cart: ${name}`);
+  }
+
+  /**
+   * Remove a product from the cart by name
+   * @param {string} name - Exact product name
+   */
+  async removeProductByName(name) {
+    if (!(await this.isProductInCart(name))) {
+      this.log(`⊘ Not in cart: ${name}`);
+      return;
+    }
+
+    await this.toggleProduct(name, false);
+    this.log(`✓ Removed from cart: ${name}`);
+  }
+
+  /**
+   * Click a product's add/remove button and verify the button flipped
+   * @param {string} name - Exact product name
+   * @param {boolean} shouldBeInCart - Expected state after the click
+   */
+  async toggleProduct(name, shouldBeInCart) {
+    const row = await this.getProductRow(name);
+    const button = await this.findElement('productButton', { root: row, timeout: 3000 });
+
+    await this.withRetry(shouldBeInCart ? 'Add Product' : 'Remove Product', async () => {
+      await button.click();
+    });
+
+    if ((await this.isProductInCart(name)) !== shouldBeInCart) {
+      throw new Error(
+        `${shouldBeInCart ? 'Add to cart' : 'Remove'} had no effect for product: ${name}`
       );
+    }
+  }
 
-      // Wait for cart badge
-      try {
-        await this.page.waitForSelector(this.cartBadge, { state: 'visible', timeout: 3000 });
-      } catch {
-        // Badge may not appear, continue anyway
-      }
+  /**
+   * Add the first product that is not yet in the cart
+   */
+  async addFirstProductToCart() {
+    await this.addProductToCartByIndex(0);
+    this.log('✓ Item added to cart successfully');
+  }
 
-      console.log('✓ Item added to cart successfully');
+  /**
+   * Add product to cart by index among the remaining "Add to cart" buttons
+   * @param {number} index - Button index (0-based)
+   */
+  async addProductToCartByIndex(index) {
+    await this.waitForProductsToLoad();
+
+    await this.withRetry(`Add Product ${index}`, async () => {
+      this.log(`Adding product at index ${index} to cart`);
+
+      // Every row has an add button: narrow to the one we want (smartSelect is strict)
+      const addBtn = await this.findElement('addToCartButton', { filter: { index } });
+      await addBtn.click();
+    });
+
+    // Badge may not appear for broken products (problem_user) - don't fail here
+    await this.isVisible(this.selector('cartBadge'), 2000);
+  }
+
+  /**
+   * Add to cart (legacy name)
+   */
+  async enrollFirstCourse() {
+    try {
+      await this.addFirstProductToCart();
     } catch (error) {
-      console.error(`✗ Failed to add to cart: ${error.message}`);
+      this.warn(`✗ Failed to add to cart: ${error.message}`);
       throw error;
     }
   }
@@ -77,39 +257,163 @@ class CoursePage {
    * Add to cart with retry support
    */
   async enrollFirstCourseWithRetry(maxRetries = 3) {
-    return TestRetryManager.executeWithRetry(
-      () => this.enrollFirstCourse(),
-      {
-        maxRetries,
-        testName: 'Enroll First Course',
-        retryableErrors: ['timeout', 'Click', 'intercepted'],
-      }
-    );
+    return this.withRetry('Enroll First Course', () => this.enrollFirstCourse(), {
+      policy: 'interaction',
+      maxRetries,
+    });
   }
 
   /**
-   * Get cart item count
+   * Get cart item count (legacy name for getCartBadgeCount)
    */
   async getCartItemCount() {
-    try {
-      const cartBadge = await this.selectorManager.smartSelectAny(
-        this.page,
-        'Cart Badge',
-        [this.cartBadge, ...this.cartBadgeFallbacks],
-        3000
+    return this.getCartBadgeCount();
+  }
+
+  /**
+   * Apply a sort option
+   * @param {string} sortKey - 'nameAsc', 'nameDesc', 'priceAsc' or 'priceDesc'
+   */
+  async sortBy(sortKey) {
+    const option = SORT_OPTIONS[sortKey];
+
+    if (!option) {
+      throw new Error(
+        `Unknown sort "${sortKey}" (expected one of: ${Object.keys(SORT_OPTIONS).join(', ')})`
       );
+    }
 
-      if (!cartBadge) {
-        return 0;
-      }
+    const dropdown = await this.findElement('sortDropdown');
 
-      const count = await cartBadge.textContent();
-      return parseInt(count) || 0;
-    } catch (error) {
-      console.warn(`⚠ Could not get cart count: ${error.message}`);
-      return 0;
+    await this.withRetry(
+      `Sort ${sortKey}`,
+      async () => {
+        await dropdown.selectOption(option.value);
+        await this.smartWait.waitForElement(
+          this.page,
+          this.page.locator(this.selector('activeSortOption'), { hasText: option.label }),
+          { timeout: 3000, name: 'Active Sort Option' }
+        );
+      },
+      { policy: 'interaction' }
+    );
+
+    this.log(`✓ Sorted by ${option.label}`);
+  }
+
+  /**
+   * Get the label of the active sort option
+   * @returns {Promise<string>}
+   */
+  async getActiveSort() {
+    return (await this.page.textContent(this.selector('activeSortOption'))).trim();
+  }
+
+  /**
+   * Verify the displayed order matches a sort option
+   * @param {string} sortKey - 'nameAsc', 'nameDesc', 'priceAsc' or 'priceDesc'
+   * @returns {Promise<Object>} - { valid, expected[], actual[] } (product names)
+   */
+  async verifySortOrder(sortKey) {
+    const option = SORT_OPTIONS[sortKey];
+
+    if (!option) {
+      throw new Error(`Unknown sort "${sortKey}"`);
+    }
+
+    const products = await this.getProducts();
+    const actual = products.map((product) => product.name);
+
+    // Array.prototype.sort is stable, so equal prices keep their displayed order
+    const expected = [...products].sort(option.compare).map((product) => product.name);
+    const valid = JSON.stringify(actual) === JSON.stringify(expected);
+
+    if (valid) {
+      this.log(`✓ Product order matches ${option.label}`);
+    } else {
+      this.warn(`⚠ Product order does not match ${option.label}: ${actual.join(', ')}`);
+    }
+
+    return { valid, expected, actual };
+  }
+
+  /**
+   * Open a product's detail page from its title link
+   * @param {string} name - Exact product name
+   * @returns {Promise<ProductDetailPage>}
+   */
+  async openProductDetails(name) {
+    const row = await this.getProductRow(name);
+
+    await this.withRetry('Open Product Details', async () => {
+      await row.locator(this.selector('productName')).click();
+      await this.page.waitForURL(/\/inventory-item\.html/, { timeout: 10000 });
+    }, { policy: 'navigation' });
+
+    this.log(`✓ Opened details for: ${name}`);
+
+    const detailPage = new ProductDetailPage(this.page);
+    await detailPage.waitForDetailsToLoad();
+    return detailPage;
+  }
+
+  /**
+   * Open the cart from the header link
+   * @returns {Promise<CartPage>}
+   */
+  async openCart() {
+    this.log('Opening shopping cart');
+    await this.clickElement('cartLink', { waitForUrl: /\/cart\.html/ });
+
+    const cartPage = new CartPage(this.page);
+    await cartPage.waitForCartToLoad();
+    return cartPage;
+  }
+
+  /**
+   * Open the hamburger menu
+   */
+  async openMenu() {
+    this.log('Opening hamburger menu');
+    await this.withRetry('Open Menu', async () => {
+      const menuBtn = await this.findElement('menuButton');
+      await menuBtn.click();
+      await this.smartWait.waitForElement(this.page, this.selector('burgerMenu'), {
+        timeout: 3000,
+        visible: true,
+        stable: false,
+        name: 'Burger Menu',
+      });
+      // The menu slides in: links are not clickable where they are until it stops
+      await this.smartWait.waitForAnimationsFinished(this.page, this.selector('menuPanel'), {
+        timeout: 3000,
+        name: `${this.logPrefix}Menu`,
+      });
+    });
+  }
+
+  /**
+   * Log out through the menu
+   */
+  async logout() {
+    this.log('Logging out');
+    await this.openMenu();
+    await this.settleAfter('Logout', () => this.clickElement('logoutLink'));
+  }
+
+  /**
+   * Verify cart icon is visible
+   * @returns {Promise<boolean>} True if visible
+   */
+  async isCartIconVisible() {
+    const visible = await this.isVisible(this.selector('cartIcon'), 3000);
+    if (visible) {
+      this.log('Cart icon visible');
     }
+    return visible;
   }
 }
 
+CoursePage.SORT_OPTIONS = SORT_OPTIONS;
+
 module.exports = CoursePage;
@@ -1,100 +1,84 @@
-const SmartWait = require('../utils/helpers/smartWait');
-const TestRetryManager = require('../utils/helpers/testRetry');
-const SelectorManager = require('../utils/helpers/selectorManager');
+const BasePage = require('./basePage');
+
+/**
+ * Login Page Object Model - desktop variant
+ * MobileLoginPage extends this for mobile projects.
+ * Selectors: LoginPage in pages/selectors.js
+ */
+class LoginPage extends BasePage {
+  async goto() {
+    // Resolved against baseURL (the bundled stand-in unless BASE_URL is set)
+    await this.navigate('/');
+    this.log('Navigated to Sauce Demo login page');
+  }
 
-class LoginPage {
   /**
-   * @param {import('@playwright/test').Page} page
+   * Enter username with smart selector
+   * @param {string} username - Username to enter
    */
-  constructor(page) {
-    this.page = page;
-    this.smartWait = SmartWait;
-    this.selectorManager = new SelectorManager();
-    
-    // Using Sauce Demo - a public demo application
-    this.email = 'input[data-test="username"]';
-    this.password = 'input[data-test="password"]';
-    this.submit = 'input[data-test="login-button"]';
-    
-    // Fallback selectors for self-healing
-    this.emailFallbacks = ['input[name="user-name"]', 'input[placeholder*="Username"]'];
-    this.passwordFallbacks = ['input[name="password"]', 'input[placeholder*="Password"]'];
-    this.submitFallbacks = ['button[type="submit"]', 'button:has-text("Login")'];
+  async enterUsername(username) {
+    this.log(`Entering username: ${username}`);
+    await this.fillElement('usernameInput', username);
   }
 
-  async goto() {
-    // Using Sauce Labs Demo App - a reliable open-source test site
-    await this.page.goto('https://www.saucedemo.com/');
-    await this.page.waitForLoadState('domcontentloaded');
+  /**
+   * Enter password with smart selector
+   * @param {string} password - Password to enter
+   */
+  async enterPassword(password) {
+    this.log('Entering password');
+    await this.fillElement('passwordInput', password);
   }
 
-  async login(username, pwd) {
-    try {
-      // Use smart selectors with fallback support
-      const emailField = await this.selectorManager.smartSelect(
-        this.page,
-        'Email Input',
-        this.email,
-        this.emailFallbacks,
-        5000
-      );
-
-      const passwordField = await this.selectorManager.smartSelect(
-        this.page,
-        'Password Input',
-        this.password,
-        this.passwordFallbacks,
-        5000
-      );
-
-      const submitBtn = await this.selectorManager.smartSelect(
-        this.page,
-        'Login Button',
-        this.submit,
-        this.submitFallbacks,
-        5000
-      );
+  /**
+   * Click login button with retry
+   */
+  async clickLoginButton() {
+    this.log('Clicking login button');
+    await this.clickElement('loginButton');
+  }
 
-      if (!emailField || !passwordField || !submitBtn) {
-        throw new Error('Could not find required login elements');
-      }
+  /**
+   * Fill the form, submit and wait for the next page to settle (single attempt)
+   * Failed logins (e.g. locked_out_user) do not throw - check isErrorDisplayed().
+   */
+  async submitCredentials(username, pwd) {
+    await this.enterUsername(username);
+    await this.enterPassword(pwd);
+    await this.settleAfter('Login', () => this.clickLoginButton());
 
-      // Fill with retry logic
-      await emailField.fill(username);
-      await passwordField.fill(pwd);
-      
-      // Click with retry logic
-      await TestRetryManager.executeWithRetry(
-        async () => {
-          await submitBtn.click();
-          await this.page.waitForLoadState('networkidle');
-        },
-        {
-          maxRetries: 2,
-          testName: 'Login',
-          retryableErrors: ['timeout', 'Timeout'],
-        }
-      );
+    this.log('✓ Login completed');
+  }
 
-      console.log('✓ Login successful');
+  async login(username, pwd) {
+    try {
+      await this.submitCredentials(username, pwd);
     } catch (error) {
-      console.error(`✗ Login failed: ${error.message}`);
+      console.error(`${this.logPrefix}✗ Login failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Login with retry support
+   * Login with retry support (retries the whole flow)
    */
   async loginWithRetry(username, pwd, maxRetries = 3) {
-    return TestRetryManager.executeWithRetry(
-      () => this.login(username, pwd),
-      {
-        maxRetries,
-        testName: 'Login with Retry',
-        retryableErrors: ['timeout', 'Timeout', 'Navigation'],
-      }
-    );
+    return this.withRetry('Login with Retry', () => this.submitCredentials(username, pwd), {
+      policy: 'login',
+      maxRetries,
+    });
+  }
+
+  /**
+   * Verify logo is visible (app loaded)
+   * @returns {Promise<boolean>} True if logo visible
+   */
+  async isLogoVisible() {
+    const visible = await this.isVisible(this.selector('appLogo'), 3000);
+    if (visible) {
+      this.log('Logo visible');
+    }
+    return visible;
   }
 }
 
@@ -0,0 +1,74 @@
+const LoginPage = require('./loginPage');
+const CoursePage = require('./coursePage');
+const MobileLoginPage = require('./mobile/mobileLoginPage');
+const MobileProductsPage = require('./mobile/mobileCoursePage');
+
+/**
+ * PageFactory - Desktop/Mobile Variant Selection
+ *
+ * Features:
+ * - One logical name per page ('login', 'products')
+ * - Variant picked from the project's isMobile, falling back to viewport width
+ * - Pages without a mobile variant resolve to the desktop class
+ */
+const PAGES = {
+  login: { desktop: LoginPage, mobile: MobileLoginPage },
+  products: { desktop: CoursePage, mobile: MobileProductsPage },
+};
+
+// Below this viewport width a project without isMobile is still treated as mobile
+const MOBILE_MAX_WIDTH = 768;
+
+class PageFactory {
+  /**
+   * Decide which variant fits the page's project
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} options
+   * @param {boolean} options.isMobile - The project's isMobile setting
+   * @returns {string} - 'desktop' or 'mobile'
+   */
+  static detectVariant(page, { isMobile } = {}) {
+    if (isMobile) {
+      return 'mobile';
+    }
+
+    const viewport = page.viewportSize();
+    if (viewport && viewport.width < MOBILE_MAX_WIDTH) {
+      return 'mobile';
+    }
+
+    return 'desktop';
+  }
+
+  /**
+   * Create the page object variant for this project
+   * @param {string} name - Registered page name ('login', 'products')
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} options - Passed to detectVariant()
+   * @returns {import('./basePage')}
+   */
+  static create(name, page, options = {}) {
+    const variants = PAGES[name];
+
+    if (!variants) {
+      throw new Error(
+        `Unknown page "${name}" (expected one of: ${Object.keys(PAGES).join(', ')})`
+      );
+    }
+
+    const variant = PageFactory.detectVariant(page, options);
+    const PageClass = variants[variant] || variants.desktop;
+
+    return new PageClass(page);
+  }
+
+  /**
+   * List registered page names
+   * @returns {string[]}
+   */
+  static getPageNames() {
+    return Object.keys(PAGES);
+  }
+}
+
+module.exports = PageFactory;
@@ -0,0 +1,112 @@
+const BasePage = require('./basePage');
+
+/**
+ * Product Detail Page Object Model (inventory-item.html)
+ * Reachable from CoursePage and MobileProductsPage via openProductDetails().
+ * Selectors: ProductDetailPage in pages/selectors.js
+ */
+class ProductDetailPage extends BasePage {
+  /**
+   * Open a product's detail page directly (requires a signed-in session)
+   * @param {number} productId - Sauce Demo item id
+   */
+  async goto(productId) {
+    await this.navigate(`/inventory-item.html?id=${productId}`);
+    await this.waitForDetailsToLoad();
+  }
+
+  /**
+   * Wait for the product name to render
+   */
+  async waitForDetailsToLoad() {
+    try {
+      await this.findElement('productName');
+    } catch {
+      throw new Error('Product detail not found - is the detail page open?');
+    }
+  }
+
+  /**
+   * Read the product shown
+   * @returns {Promise<{name: string, description: string, price: number, imageSrc: string}>}
+   */
+  async getDetails() {
+    await this.waitForDetailsToLoad();
+
+    return {
+      name: (await this.page.textContent(this.selector('productName'))).trim(),
+      description: (await this.page.textContent(this.selector('productDescription'))).trim(),
+      price: BasePage.parsePrice(await this.page.textContent(this.selector('productPrice'))),
+      imageSrc: await this.page.getAttribute(this.selector('productImage'), 'src'),
+    };
+  }
+
+  /**
+   * Check whether the button shows the product as in the cart
+   * @returns {Promise<boolean>}
+   */
+  async isInCart() {
+    await this.waitForDetailsToLoad();
+    return (await this.page.locator(this.selector('removeButton')).count()) > 0;
+  }
+
+  /**
+   * Get the cart state as seen from this view
+   * @returns {Promise<{inCart: boolean, badgeCount: number}>}
+   */
+  async getCartState() {
+    return {
+      inCart: await this.isInCart(),
+      badgeCount: await this.getCartBadgeCount(),
+    };
+  }
+
+  /**
+   * Add the product to the cart
+   */
+  async addToCart() {
+    if (await this.isInCart()) {
+      this.log('⊘ Product already in cart');
+      return;
+    }
+
+    await this.clickCartButton('addToCartButton', 'removeButton');
+    this.log('✓ Product added to cart from detail page');
+  }
+
+  /**
+   * Remove the product from the cart
+   */
+  async removeFromCart() {
+    if (!(await this.isInCart())) {
+      this.log('⊘ Product not in cart');
+      return;
+    }
+
+    await this.clickCartButton('removeButton', 'addToCartButton');
+    this.log('✓ Product removed from cart on detail page');
+  }
+
+  /**
+   * Click add/remove and wait for the opposite button to replace it
+   * @param {string} key - Button to click
+   * @param {string} expectedKey - Button expected afterwards
+   */
+  async clickCartButton(key, expectedKey) {
+    await this.clickElement(key);
+
+    if (!(await this.isVisible(this.selector(expectedKey), 3000))) {
+      throw new Error(`${this.element(key).name} had no effect`);
+    }
+  }
+
+  /**
+   * Return to the inventory
+   */
+  async backToProducts() {
+    await this.clickElement('backButton', { waitForUrl: /\/inventory\.html/ });
+    this.log('✓ Returned to products');
+  }
+}
+
+module.exports = ProductDetailPage;
@@ -0,0 +1,386 @@
+/**
+ * Selector Registry - Page Object Elements by Page and Key
+ *
+ * One entry per element a page object uses:
+ * - name: friendly name for logs and the selector history (SelectorStore key)
+ * - selector / fallbacks: primary CSS selector and self-healing fallbacks
+ * - state: state to wait for when the element is looked up ('attached' or 'visible')
+ * - a11y: accessibility hints for getByRole/getByLabel/getByPlaceholder/getByText
+ * - strategies: locator strategy order for this element (see selectorManagement.strategyOrder)
+ * - multiple: the selector matches one element per row (lists, row-scoped buttons)
+ * - dynamic: only rendered after an interaction (error banners, toggled buttons)
+ *
+ * Pages inherit the entries of their parent class (BasePage elements are
+ * shared, mobile variants reuse the desktop entries). `lint.path` is where
+ * `npm run selectors:lint` checks the page; `lint.auth` needs a signed-in session.
+ *
+ * Keep one property per line: the heal report patches `selector:` and
+ * `fallbacks:` lines in place. Bump `version` on incompatible format changes.
+ */
+
+module.exports = {
+  version: 1,
+  pages: {
+    BasePage: {
+      lint: { path: '/inventory.html', auth: true },
+      elements: {
+        // Header (present on every signed-in page)
+        cartBadge: {
+          name: 'Cart Badge',
+          selector: '.shopping_cart_badge',
+          fallbacks: ['span.badge', '[class*="cart"][class*="badge"]'],
+          state: 'visible',
+        },
+        // Form error banner (login and checkout forms)
+        errorMessage: {
+          name: 'Error Message',
+          selector: '[data-test="error"]',
+          fallbacks: ['.error-message-container h3'],
+          state: 'visible',
+          dynamic: true,
+        },
+      },
+    },
+
+    LoginPage: {
+      lint: { path: '/' },
+      elements: {
+        usernameInput: {
+          name: 'Username Input',
+          selector: 'input[data-test="username"]',
+          fallbacks: ['input[name="user-name"]', 'input[placeholder*="Username" i]'],
+          state: 'visible',
+          a11y: { placeholder: 'Username' },
+        },
+        passwordInput: {
+          name: 'Password Input',
+          selector: 'input[data-test="password"]',
+          fallbacks: ['input[name="password"]', 'input[placeholder*="Password" i]'],
+          state: 'visible',
+          a11y: { placeholder: 'Password' },
+        },
+        loginButton: {
+          name: 'Login Button',
+          selector: 'input[data-test="login-button"]',
+          fallbacks: ['#login-button', 'button[type="submit"]', 'button:has-text("Login")'],
+          state: 'visible',
+          a11y: { role: 'button', name: 'Login' },
+        },
+        appLogo: {
+          name: 'App Logo',
+          selector: '.login_logo',
+          state: 'visible',
+        },
+      },
+    },
+
+    CoursePage: {
+      lint: { path: '/inventory.html', auth: true },
+      elements: {
+        firstProductName: {
+          name: 'First Product Name',
+          selector: '.inventory_item:first-child .inventory_item_name',
+          state: 'visible',
+        },
+        cartLink: {
+          name: 'Cart Link',
+          selector: '[data-test="shopping-cart-link"]',
+          fallbacks: ['.shopping_cart_link', '#shopping_cart_container a'],
+          state: 'visible',
+        },
+        cartIcon: {
+          name: 'Cart Icon',
+          selector: '.shopping_cart_container',
+          state: 'visible',
+        },
+        menuButton: {
+          name: 'Menu Button',
+          selector: '#react-burger-menu-btn',
+          fallbacks: ['button:has-text("Open Menu")', '.bm-burger-button button'],
+        },
+        // Sliding container of the burger menu (attached while closed)
+        menuPanel: {
+          name: 'Menu Panel',
+          selector: '.bm-menu-wrap',
+        },
+        burgerMenu: {
+          name: 'Burger Menu',
+          selector: '.bm-menu',
+          state: 'visible',
+          dynamic: true,
+        },
+        logoutLink: {
+          name: 'Logout Link',
+          selector: '#logout_sidebar_link',
+          fallbacks: ['[data-test="logout-sidebar-link"]', 'a:has-text("Logout")'],
+        },
+        // Product catalog
+        productList: {
+          name: 'Product List',
+          selector: '[data-test="inventory-list"]',
+          fallbacks: ['.inventory_list', '#inventory_container'],
+        },
+        productItem: {
+          name: 'Product Row',
+          selector: '.inventory_item',
+          multiple: true,
+        },
+        productName: {
+          name: 'Product Name',
+          selector: '.inventory_item_name',
+          multiple: true,
+        },
+        productPrice: {
+          name: 'Product Price',
+          selector: '.inventory_item_price',
+          multiple: true,
+        },
+        productDescription: {
+          name: 'Product Description',
+          selector: '.inventory_item_desc',
+          multiple: true,
+        },
+        productImage: {
+          name: 'Product Image',
+          selector: 'img.inventory_item_img',
+          multiple: true,
+        },
+        productButton: {
+          name: 'Product Cart Button',
+          selector: 'button[data-test^="add-to-cart"], button[data-test^="remove"]',
+          fallbacks: ['.pricebar button', 'button.btn_inventory'],
+          multiple: true,
+        },
+        addToCartButton: {
+          name: 'Add to Cart Button',
+          selector: '[data-test^="add-to-cart"]',
+          multiple: true,
+        },
+        sortDropdown: {
+          name: 'Sort Dropdown',
+          selector: '[data-test="product-sort-container"]',
+          fallbacks: ['select.product_sort_container', '.select_container select'],
+        },
+        activeSortOption: {
+          name: 'Active Sort Option',
+          selector: '[data-test="active-option"]',
+          state: 'visible',
+        },
+      },
+    },
+
+    ProductDetailPage: {
+      // Product 0 is not in the cart during lint, so its remove button is absent
+      lint: { path: '/inventory-item.html?id=0', auth: true },
+      elements: {
+        productName: {
+          name: 'Product Detail Name',
+          selector: '.inventory_details_name',
+          fallbacks: ['[data-test="inventory-item-name"]'],
+        },
+        productDescription: {
+          name: 'Product Detail Description',
+          selector: '.inventory_details_desc',
+        },
+        productPrice: {
+          name: 'Product Detail Price',
+          selector: '[data-test="inventory-item-price"]',
+        },
+        productImage: {
+          name: 'Product Detail Image',
+          selector: 'img.inventory_details_img',
+        },
+        addToCartButton: {
+          name: 'Detail Add to Cart Button',
+          selector: '[data-test="add-to-cart"]',
+          fallbacks: ['#add-to-cart', 'button:has-text("Add to cart")'],
+          state: 'visible',
+        },
+        removeButton: {
+          name: 'Detail Remove Button',
+          selector: '[data-test="remove"]',
+          fallbacks: ['#remove', 'button:has-text("Remove")'],
+          state: 'visible',
+          dynamic: true,
+        },
+        backButton: {
+          name: 'Back to Products Button',
+          selector: '[data-test="back-to-products"]',
+          fallbacks: ['#back-to-products', 'button:has-text("Back to products")'],
+          state: 'visible',
+        },
+      },
+    },
+
+    CartPage: {
+      lint: { path: '/cart.html', auth: true },
+      elements: {
+        cartList: {
+          name: 'Cart List',
+          selector: '[data-test="cart-list"]',
+          fallbacks: ['.cart_list', '#cart_contents_container'],
+        },
+        cartItem: {
+          name: 'Cart Row',
+          selector: '.cart_item',
+          fallbacks: ['[data-test="inventory-item"]'],
+          multiple: true,
+        },
+        itemName: {
+          name: 'Cart Item Name',
+          selector: '.inventory_item_name',
+          multiple: true,
+        },
+        itemPrice: {
+          name: 'Cart Item Price',
+          selector: '.inventory_item_price',
+          multiple: true,
+        },
+        itemQuantity: {
+          name: 'Cart Item Quantity',
+          selector: '.cart_quantity',
+          multiple: true,
+        },
+        itemDescription: {
+          name: 'Cart Item Description',
+          selector: '.inventory_item_desc',
+          multiple: true,
+        },
+        removeButton: {
+          name: 'Cart Remove Button',
+          selector: 'button[data-test^="remove"]',
+          fallbacks: ['.cart_button', 'button:has-text("Remove")'],
+          state: 'visible',
+          multiple: true,
+        },
+        continueShoppingButton: {
+          name: 'Continue Shopping Button',
+          selector: '[data-test="continue-shopping"]',
+          fallbacks: ['#continue-shopping', 'button:has-text("Continue Shopping")'],
+          state: 'visible',
+        },
+        checkoutButton: {
+          name: 'Checkout Button',
+          selector: '[data-test="checkout"]',
+          fallbacks: ['#checkout', 'button:has-text("Checkout")'],
+          state: 'visible',
+        },
+      },
+    },
+
+    CheckoutInformationPage: {
+      lint: { path: '/checkout-step-one.html', auth: true },
+      elements: {
+        firstName: {
+          name: 'First Name Input',
+          selector: 'input[data-test="firstName"]',
+          fallbacks: ['#first-name', 'input[placeholder="First Name"]'],
+          state: 'visible',
+        },
+        lastName: {
+          name: 'Last Name Input',
+          selector: 'input[data-test="lastName"]',
+          fallbacks: ['#last-name', 'input[placeholder="Last Name"]'],
+          state: 'visible',
+        },
+        postalCode: {
+          name: 'Postal Code Input',
+          selector: 'input[data-test="postalCode"]',
+          fallbacks: ['#postal-code', 'input[placeholder*="Postal Code"]'],
+          state: 'visible',
+        },
+        continueButton: {
+          name: 'Checkout Continue Button',
+          selector: '[data-test="continue"]',
+          fallbacks: ['#continue', 'input[type="submit"]'],
+          state: 'visible',
+        },
+        cancelButton: {
+          name: 'Checkout Cancel Button',
+          selector: '[data-test="cancel"]',
+          fallbacks: ['#cancel', 'button:has-text("Cancel")'],
+          state: 'visible',
+        },
+        errorDismissButton: {
+          name: 'Error Dismiss Button',
+          selector: '[data-test="error-button"]',
+          dynamic: true,
+        },
+        fieldWithError: {
+          name: 'Field With Error',
+          selector: '.form_input.error',
+          multiple: true,
+          dynamic: true,
+        },
+      },
+    },
+
+    CheckoutOverviewPage: {
+      lint: { path: '/checkout-step-two.html', auth: true },
+      elements: {
+        title: {
+          name: 'Overview Title',
+          selector: '[data-test="title"]',
+          fallbacks: ['.title'],
+        },
+        itemTotal: {
+          name: 'Summary Item Total',
+          selector: '[data-test="subtotal-label"]',
+          fallbacks: ['.summary_subtotal_label', 'div:text-matches("^Item total:")'],
+        },
+        tax: {
+          name: 'Summary Tax',
+          selector: '[data-test="tax-label"]',
+          fallbacks: ['.summary_tax_label', 'div:text-matches("^Tax:")'],
+        },
+        total: {
+          name: 'Summary Total',
+          selector: '[data-test="total-label"]',
+          fallbacks: ['.summary_total_label', 'div:text-matches("^Total:")'],
+        },
+        paymentInfo: {
+          name: 'Payment Info',
+          selector: '[data-test="payment-info-value"]',
+        },
+        shippingInfo: {
+          name: 'Shipping Info',
+          selector: '[data-test="shipping-info-value"]',
+        },
+        finishButton: {
+          name: 'Checkout Finish Button',
+          selector: '[data-test="finish"]',
+          fallbacks: ['#finish', 'button:has-text("Finish")'],
+          state: 'visible',
+        },
+        cancelButton: {
+          name: 'Checkout Cancel Button',
+          selector: '[data-test="cancel"]',
+          fallbacks: ['#cancel', 'button:has-text("Cancel")'],
+          state: 'visible',
+        },
+      },
+    },
+
+    CheckoutCompletePage: {
+      lint: { path: '/checkout-complete.html', auth: true },
+      elements: {
+        completeHeader: {
+          name: 'Complete Header',
+          selector: '[data-test="complete-header"]',
+          fallbacks: ['.complete-header', 'h2:has-text("Thank you")'],
+        },
+        completeText: {
+          name: 'Complete Text',
+          selector: '[data-test="complete-text"]',
+          fallbacks: ['.complete-text'],
+        },
+        backHomeButton: {
+          name: 'Back Home Button',
+          selector: '[data-test="back-to-products"]',
+          fallbacks: ['#back-to-products', 'button:has-text("Back Home")'],
+          state: 'visible',
+        },
+      },
+    },
+  },
+};
@@ -1,22 +1,76 @@
 
 // @ts-check
 const { devices } = require('@playwright/test');
+const ConfigLoader = require('./utils/config/configLoader');
+const { getBaseUrl, isStandIn } = require('./utils/helpers/environment');
+const AutonomousDataFactory = require('./utils/data/autonomousDataFactory');
+
+const environment = ConfigLoader.get('environment', {});
+const advanced = ConfigLoader.get('advanced', {});
+const testTimeout = advanced.testTimeout || {};
+const parallelExecution = advanced.parallelExecution || {};
+
+// Resolved once by the runner; workers inherit it through DATA_SEED
+AutonomousDataFactory.getRunSeed();
 
 /** @type {import('@playwright/test').PlaywrightTestConfig} */
 const config = {
   testDir: './tests',
-  timeout: 30 * 1000,
+  // Framework tests run once, in the 'framework' project
+  testIgnore: '**/framework/**',
+  timeout: testTimeout.ui || 30 * 1000,
+  workers: parallelExecution.enabled === false ? 1 : parallelExecution.maxWorkers,
   expect: { timeout: 5000 },
-  reporter: [['list'], ['html', { open: 'never' }]],
+  reporter: [
+    ['list'],
+    ['html', { open: 'never' }],
+    ['./utils/reporting/healReporter.js'],
+    ['./utils/reporting/waitBudgetReporter.js'],
+    ['./utils/reporting/retryReporter.js'],
+    ['./utils/reporting/flakinessReporter.js'],
+  ],
+  // Offline Sauce Demo stand-in - started unless BASE_URL points elsewhere
+  webServer: isStandIn()
+    ? {
+        command: 'node stand-in/server.js',
+        url: environment.standInUrl,
+        reuseExistingServer: !process.env.CI,
+        timeout: 30 * 1000,
+      }
+    : undefined,
   use: {
-    headless: true,
+    baseURL: getBaseUrl(),
+    headless: environment.headless !== false,
+    launchOptions: { slowMo: environment.slowMo || 0 },
     actionTimeout: 0,
     trace: 'on-first-retry',
+    screenshot: advanced.enableScreenshots ? 'only-on-failure' : 'off',
+    video: advanced.enableVideoRecording ? 'retain-on-failure' : 'off',
   },
   projects: [
+    // Logs in once per persona (tests/auth.setup.js); see fixtures/testFixtures.js
+    {
+      name: 'setup',
+      testMatch: /.*\.setup\.js/,
+      use: {
+        ...devices['Desktop Chrome'],
+      },
+    },
+
+    // Framework helper tests: one browser, no signed-in personas
+    {
+      name: 'framework',
+      testDir: './tests/framework',
+      testIgnore: [],
+      use: {
+        ...devices['Desktop Chrome'],
+      },
+    },
+
     // Desktop browsers
     { 
       name: 'chromium', 
+      dependencies: ['setup'],
       use: { 
         ...devices['Desktop Chrome'],
         viewport: { width: 1280, height: 720 },
@@ -24,6 +78,7 @@ const config = {
     },
     { 
       name: 'firefox', 
+      dependencies: ['setup'],
       use: { 
         ...devices['Desktop Firefox'],
         viewport: { width: 1280, height: 720 },
@@ -31,6 +86,7 @@ const config = {
     },
     { 
       name: 'webkit', 
+      dependencies: ['setup'],
       use: { 
         ...devices['Desktop Safari'],
         viewport: { width: 1280, height: 720 },
@@ -40,18 +96,24 @@ const config = {
     // Mobile devices
     { 
       name: 'Mobile Chrome', 
+      dependencies: ['setup'],
+      timeout: testTimeout.mobile,
       use: { 
         ...devices['Pixel 5'],
       } 
     },
     { 
       name: 'Mobile Safari', 
+      dependencies: ['setup'],
+      timeout: testTimeout.mobile,
       use: { 
         ...devices['iPhone 12'],
       } 
     },
     { 
       name: 'Samsung Galaxy S21', 
+      dependencies: ['setup'],
+      timeout: testTimeout.mobile,
       use: { 
         ...devices['Galaxy S9+'],
       } 
@@ -7,20 +7,31 @@
  * - Report generation and publishing
  * - Slack notifications
  * - Test result tracking
+ * - Jobs and notification settings from autonomousConfig.js
  */
 
 const cron = require('node-cron');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const ConfigLoader = require('../utils/config/configLoader');
 
 class AutonomousTestScheduler {
   constructor(config = {}) {
+    const slack = ConfigLoader.get('notifications.slack', {});
+    const email = ConfigLoader.get('notifications.email', {});
+    const slackEnabled = ConfigLoader.isEnabled('notifications.slack');
+
     this.config = {
       testCommand: 'npm test',
-      reportsDir: 'test-reports',
-      slackWebhook: process.env.SLACK_WEBHOOK_URL,
-      emailRecipients: process.env.EMAIL_RECIPIENTS?.split(',') || [],
+      reportsDir: ConfigLoader.get('reporting.dashboard.outputDir', 'test-reports'),
+      slackWebhook: slackEnabled ? slack.webhookUrl : undefined,
+      emailRecipients: ConfigLoader.isEnabled('notifications.email')
+        ? email.recipients || []
+        : [],
+      notifyOnSuccess: slack.notifyOnSuccess ?? false,
+      notifyOnFailure: slack.notifyOnFailure ?? true,
+      notifyOnError: slack.notifyOnError ?? true,
       ...config,
     };
 
@@ -34,7 +45,7 @@ class AutonomousTestScheduler {
    * @param {string} cronExpression - Cron expression (e.g., '0 * * * *' for hourly)
    * @param {string} testType - Type of tests to run ('all', 'ui', 'api', 'mobile')
    */
-  scheduleTests(jobName, cronExpression, testType = 'all') {
+  scheduleTests(jobName, cronExpression, testType = 'all', options = {}) {
     try {
       // Validate cron expression
       const job = cron.schedule(cronExpression, async () => {
@@ -48,6 +59,7 @@ class AutonomousTestScheduler {
         job,
         cronExpression,
         testType,
+        notifyOnFailure: options.notifyOnFailure ?? true,
         createdAt: new Date().toISOString(),
       });
 
@@ -62,6 +74,27 @@ class AutonomousTestScheduler {
     }
   }
 
+  /**
+   * Schedule every job listed in scheduling.jobs of autonomousConfig.js
+   * @returns {number} - Number of jobs scheduled
+   */
+  scheduleFromConfig() {
+    if (!ConfigLoader.isEnabled('scheduling')) {
+      console.log('⊘ Scheduling disabled in autonomousConfig.js');
+      return 0;
+    }
+
+    const jobs = ConfigLoader.get('scheduling.jobs', []);
+
+    jobs.forEach((job) => {
+      this.scheduleTests(job.name, job.cronExpression, job.testType, {
+        notifyOnFailure: job.notifyOnFailure,
+      });
+    });
+
+    return jobs.length;
+  }
+
   /**
    * Execute tests based on type
    * @param {string} testType - 'all', 'ui', 'api', 'mobile'
@@ -194,7 +227,7 @@ class AutonomousTestScheduler {
    * Send Slack notification on success
    */
   async notifySuccess(execution) {
-    if (!this.config.slackWebhook) return;
+    if (!this.config.slackWebhook || !this.config.notifyOnSuccess) return;
 
     const payload = {
       text: `✅ Tests Passed: ${execution.jobName}`,
@@ -237,7 +270,8 @@ class AutonomousTestScheduler {
    * Send Slack notification on failure
    */
   async notifyFailure(execution) {
-    if (!this.config.slackWebhook) return;
+    if (!this.config.slackWebhook || !this.config.notifyOnFailure) return;
+    if (this.jobs.get(execution.jobName)?.notifyOnFailure === false) return;
 
     const payload = {
       text: `❌ Tests Failed: ${execution.jobName}`,
@@ -280,7 +314,7 @@ class AutonomousTestScheduler {
    * Send Slack notification on error
    */
   async notifyError(execution) {
-    if (!this.config.slackWebhook) return;
+    if (!this.config.slackWebhook || !this.config.notifyOnError) return;
 
     const payload = {
       text: `⚠️ Test Execution Error: ${execution.jobName}`,
@@ -432,4 +466,10 @@ class AutonomousTestScheduler {
   }
 }
 
+if (require.main === module) {
+  const scheduler = new AutonomousTestScheduler();
+  const count = scheduler.scheduleFromConfig();
+  console.log(`✓ ${count} job(s) scheduled from autonomousConfig.js`);
+}
+
 module.exports = AutonomousTestScheduler;
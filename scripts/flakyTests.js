@@ -0,0 +1,110 @@
+/**
+ * Flaky Test Quarantine CLI
+ *
+ * Shows the flakiness history and manages the quarantine list:
+ *   node scripts/flakyTests.js                           # flaky tests, most flaky first
+ *   node scripts/flakyTests.js quarantine                # quarantined tests
+ *   node scripts/flakyTests.js add <test> [--reason <text>]
+ *   node scripts/flakyTests.js release <test>
+ *
+ * <test> is a test id ('<file> › <describe> › <title> [<project>]') or a part
+ * of it that matches a single tracked test; without a project it applies to
+ * every project the test is tracked on. A full id may name a test without history.
+ */
+
+const FlakinessTracker = require('../utils/monitoring/flakinessTracker');
+
+const OUTCOME_MARKS = { passed: '·', recovered: 'r', flaky: '±', failed: 'F' };
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+/**
+ * Resolve a test id or a unique part of one to the ids of that test on each matching project
+ */
+function resolveTest(query, ids) {
+  if (!query) {
+    throw new Error('Missing test (id or part of one)');
+  }
+  if (ids.includes(query)) {
+    return [query];
+  }
+
+  const matches = ids.filter((id) => id.includes(query));
+  const tests = new Set(matches.map((id) => FlakinessTracker.parseTestId(id).test));
+  if (tests.size === 1) {
+    return matches;
+  }
+
+  throw new Error(
+    matches.length === 0
+      ? `No tracked test matches "${query}"${query.includes(' › ') && !FlakinessTracker.parseTestId(query) ? ' (end a new id with its project, e.g. " [chromium]")' : ''}`
+      : `"${query}" matches ${tests.size} tests:\n  ${[...tests].join('\n  ')}`
+  );
+}
+
+function printTests(tests) {
+  for (const entry of tests) {
+    const outcomes = entry.executions.map(({ outcome }) => OUTCOME_MARKS[outcome]).join('');
+    console.log(
+      `  ${entry.score.toFixed(2)} ${entry.id}${entry.quarantine ? ' [quarantined]' : ''}` +
+        `${outcomes ? `\n       ${outcomes}` : ''}`
+    );
+  }
+}
+
+async function main() {
+  const tracker = new FlakinessTracker();
+  const [command = 'list', query] = process.argv.slice(2);
+  const ids = tracker.getTests().map(({ id }) => id);
+
+  switch (command) {
+    case 'list': {
+      const flaky = tracker.getTests().filter((entry) => entry.score > 0 || entry.quarantine);
+      if (flaky.length === 0) {
+        console.log('⊘ No flaky test recorded yet');
+        break;
+      }
+      console.log('\n=== FLAKY TESTS === (· passed, r recovered, ± flaky, F failed - oldest first)');
+      printTests(flaky);
+      break;
+    }
+    case 'quarantine': {
+      const quarantined = tracker.getQuarantined();
+      if (quarantined.length === 0) {
+        console.log('⊘ Quarantine is empty');
+        break;
+      }
+      console.log('\n=== QUARANTINE ===');
+      for (const { id, score, source, since, reason } of quarantined) {
+        console.log(`  ${id}\n    ${source}, since ${since}: ${reason} (flakiness ${score.toFixed(2)})`);
+      }
+      break;
+    }
+    case 'add': {
+      const untracked = query && query.includes(' › ') && FlakinessTracker.parseTestId(query) &&
+        !ids.some((known) => known.includes(query));
+      for (const id of untracked ? [query] : resolveTest(query, ids)) {
+        await tracker.quarantine(id, getArg('--reason') || undefined);
+        console.log(`✓ Quarantined: ${id}`);
+      }
+      break;
+    }
+    case 'release': {
+      for (const id of resolveTest(query, tracker.getQuarantined().map((entry) => entry.id))) {
+        await tracker.release(id);
+        console.log(`✓ Released: ${id}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected: list, quarantine, add, release)`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+/**
+ * Healed Selector Report CLI
+ *
+ * Regenerates the healed-selector report from the heal log of the last run:
+ *   node scripts/healReport.js           # print and save report + patch
+ *   node scripts/healReport.js --clear   # empty the heal log
+ */
+
+const SelectorStore = require('../utils/helpers/selectorStore');
+const HealReportGenerator = require('../utils/reporting/healReportGenerator');
+
+try {
+  if (process.argv.includes('--clear')) {
+    new SelectorStore().clearHeals();
+    console.log('✓ Heal log cleared');
+  } else {
+    new HealReportGenerator().saveReport();
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,38 @@
+/**
+ * Selector Registry Lint CLI
+ *
+ * Checks pages/selectors.js for dead selectors:
+ *   node scripts/lintSelectors.js                          # against the app (stand-in started if needed)
+ *   node scripts/lintSelectors.js --snapshots <dir>        # against saved DOM snapshots
+ *   node scripts/lintSelectors.js --save-snapshots <dir>   # lint the app and save its snapshots
+ *
+ * Exits with 1 when any selector is dead or the registry is invalid.
+ */
+
+const SelectorLinter = require('../utils/helpers/selectorLinter');
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+async function main() {
+  const linter = new SelectorLinter({
+    snapshotDir: getArg('--snapshots'),
+    saveSnapshotsTo: getArg('--save-snapshots'),
+  });
+
+  const report = await linter.run();
+  SelectorLinter.printReport(report);
+
+  if (linter.saveSnapshotsTo) {
+    console.log(`✓ Snapshots saved to ${linter.saveSnapshotsTo}`);
+  }
+
+  process.exit(report.errors > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
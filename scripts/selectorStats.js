@@ -0,0 +1,29 @@
+/**
+ * Selector Strategy Stats CLI
+ *
+ * Prints how stable each locator strategy family has been across runs,
+ * from the persisted selector history:
+ *   node scripts/selectorStats.js
+ */
+
+const SelectorStore = require('../utils/helpers/selectorStore');
+
+try {
+  const stats = new SelectorStore().getStrategyStats();
+
+  if (stats.length === 0) {
+    console.log('⊘ No selector history yet - run the tests first');
+  } else {
+    console.log('\n=== LOCATOR STRATEGY STABILITY ===');
+    for (const { strategy, success, failure, ambiguous, successRate } of stats) {
+      console.log(
+        `  ${strategy.padEnd(12)} ${(successRate * 100).toFixed(1).padStart(5)}% ` +
+          `(${success}/${success + failure + ambiguous}` +
+          `${ambiguous ? `, ambiguous ${ambiguous}` : ''})`
+      );
+    }
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
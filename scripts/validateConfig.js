@@ -0,0 +1,21 @@
+/**
+ * Config Validation CLI
+ *
+ * Checks autonomousConfig.js and all of its profiles against the schema
+ * without running any tests:
+ *   node scripts/validateConfig.js [--profile <name>]
+ */
+
+const ConfigLoader = require('../utils/config/configLoader');
+
+try {
+  ConfigLoader.getConfig();
+
+  const profile = ConfigLoader.getActiveProfile();
+  console.log(
+    `✓ ${ConfigLoader.getConfigPath()} is valid${profile ? ` (profile: ${profile})` : ''}`
+  );
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
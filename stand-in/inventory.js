@@ -0,0 +1,72 @@
+/**
+ * Stand-in Catalog & Accounts
+ *
+ * Mirrors the product list and accepted usernames of the public
+ * Sauce Demo app so page objects see the same names, prices and ids.
+ */
+
+const PASSWORD = 'secret_sauce';
+
+const users = {
+  standard_user: { behaviour: 'standard' },
+  locked_out_user: { behaviour: 'locked' },
+  problem_user: { behaviour: 'problem' },
+  performance_glitch_user: { behaviour: 'performance' },
+};
+
+const products = [
+  {
+    id: 0,
+    name: 'Sauce Labs Bike Lights',
+    description:
+      "A red light isn't the desired state in testing but it sure helps when riding your bike at night. Water-resistant with 3 lighting modes, 1 AAA battery included.",
+    price: 9.99,
+    image: 'bike-light',
+  },
+  {
+    id: 1,
+    name: 'Sauce Labs Bolt T-Shirt',
+    description:
+      'Get your testing superhero on with the Sauce Labs bolt T-shirt. From American Apparel, 100% ringspun combed cotton, heather gray with red bolt.',
+    price: 15.99,
+    image: 'bolt-shirt',
+  },
+  {
+    id: 2,
+    name: 'Sauce Labs Onesie',
+    description:
+      "Rib snap infant onesie for the junior automation engineer in development. Reinforced 3-snap bottom closure, two-needle hemmed sleeved and bottom won't unravel.",
+    price: 7.99,
+    image: 'red-onesie',
+  },
+  {
+    id: 3,
+    name: 'Test.allTheThings() T-Shirt (Red)',
+    description:
+      'This classic Sauce Labs t-shirt is perfect to wear when cozying up to your keyboard to automate a few tests. Super-soft comfy fabric.',
+    price: 15.99,
+    image: 'red-tatt',
+  },
+  {
+    id: 4,
+    name: 'Sauce Labs Backpack',
+    description:
+      'carry.allTheThings() with the sleek, streamlined Sly Pack that melds uncompromising style with unequaled laptop and tablet protection.',
+    price: 29.99,
+    image: 'sauce-backpack',
+  },
+  {
+    id: 5,
+    name: 'Sauce Labs Fleece Jacket',
+    description:
+      "It's not every day that you come across a midweight quarter-zip fleece jacket capable of handling everything from a relaxing day outdoors to a busy day at the office.",
+    price: 49.99,
+    image: 'sauce-pullover',
+  },
+];
+
+module.exports = {
+  PASSWORD,
+  users,
+  products,
+};
@@ -0,0 +1,677 @@
+/**
+ * Sauce Demo stand-in - browser app
+ *
+ * Renders every route client-side from window.STAND_IN_CATALOG, keeping the
+ * session in the `session-username` cookie and the cart in localStorage
+ * (`cart-contents`), the same places saucedemo.com keeps them.
+ */
+
+(function () {
+  'use strict';
+
+  var catalog = window.STAND_IN_CATALOG;
+  var root = document.getElementById('root');
+
+  var SESSION_COOKIE = 'session-username';
+  var SESSION_MAX_AGE = 600; // seconds, same as saucedemo.com
+  var CART_KEY = 'cart-contents';
+  var LOGIN_ERROR_KEY = 'login-error';
+  var TAX_RATE = 0.08;
+  var PERFORMANCE_GLITCH_DELAY = 2500;
+
+  var SORT_OPTIONS = [
+    { value: 'az', label: 'Name (A to Z)' },
+    { value: 'za', label: 'Name (Z to A)' },
+    { value: 'lohi', label: 'Price (low to high)' },
+    { value: 'hilo', label: 'Price (high to low)' },
+  ];
+
+  // problem_user: these add/remove buttons silently do nothing
+  var PROBLEM_BROKEN_ADD = [1, 3, 5];
+  var PROBLEM_BROKEN_REMOVE = [0, 2, 4];
+
+  var activeSort = 'az';
+
+  // ==================== STATE ====================
+
+  function getSessionUser() {
+    var match = document.cookie.match(/(?:^|;\s*)session-username=([^;]+)/);
+    var username = match ? decodeURIComponent(match[1]) : null;
+    return username && catalog.users[username] ? username : null;
+  }
+
+  function setSessionUser(username) {
+    document.cookie =
+      SESSION_COOKIE + '=' + encodeURIComponent(username) +
+      '; path=/; max-age=' + SESSION_MAX_AGE;
+  }
+
+  function clearSession() {
+    document.cookie = SESSION_COOKIE + '=; path=/; max-age=0';
+    localStorage.removeItem(CART_KEY);
+  }
+
+  function behaviour() {
+    var username = getSessionUser();
+    return username ? catalog.users[username].behaviour : null;
+  }
+
+  function getCart() {
+    try {
+      var ids = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+      return Array.isArray(ids) ? ids : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function setCart(ids) {
+    if (ids.length === 0) {
+      localStorage.removeItem(CART_KEY);
+    } else {
+      localStorage.setItem(CART_KEY, JSON.stringify(ids));
+    }
+  }
+
+  function addToCart(id) {
+    if (behaviour() === 'problem' && PROBLEM_BROKEN_ADD.indexOf(id) !== -1) {
+      return;
+    }
+    var cart = getCart();
+    if (cart.indexOf(id) === -1) {
+      cart.push(id);
+      setCart(cart);
+    }
+  }
+
+  function removeFromCart(id) {
+    if (behaviour() === 'problem' && PROBLEM_BROKEN_REMOVE.indexOf(id) !== -1) {
+      return;
+    }
+    setCart(getCart().filter(function (cartId) { return cartId !== id; }));
+  }
+
+  // ==================== HELPERS ====================
+
+  function findProduct(id) {
+    for (var i = 0; i < catalog.products.length; i++) {
+      if (catalog.products[i].id === id) return catalog.products[i];
+    }
+    return null;
+  }
+
+  function slug(name) {
+    return name.toLowerCase().replace(/ /g, '-');
+  }
+
+  function money(value) {
+    return '$' + value.toFixed(2);
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function imageSrc(product) {
+    var name = behaviour() === 'problem' ? 'sl-404' : product.image;
+    return '/static/media/' + name + '.svg';
+  }
+
+  function go(path) {
+    window.location.assign(path);
+  }
+
+  function on(selector, event, handler) {
+    var elements = root.querySelectorAll(selector);
+    for (var i = 0; i < elements.length; i++) {
+      elements[i].addEventListener(event, handler);
+    }
+  }
+
+  function sortedProducts() {
+    var products = catalog.products.slice();
+
+    // problem_user: sorting is ignored
+    var sort = behaviour() === 'problem' ? 'az' : activeSort;
+
+    products.sort(function (a, b) {
+      switch (sort) {
+        case 'za':
+          return a.name < b.name ? 1 : a.name > b.name ? -1 : 0;
+        case 'lohi':
+          return a.price - b.price || (a.name < b.name ? -1 : 1);
+        case 'hilo':
+          return b.price - a.price || (a.name < b.name ? -1 : 1);
+        default:
+          return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+      }
+    });
+
+    return products;
+  }
+
+  function cartButton(product, extraClass) {
+    var inCart = getCart().indexOf(product.id) !== -1;
+    var prefix = inCart ? 'remove' : 'add-to-cart';
+    var id = prefix + '-' + slug(product.name);
+    var cls = inCart ? 'btn btn_secondary btn_small ' : 'btn btn_primary btn_small ';
+
+    return (
+      '<button class="' + cls + extraClass + '" data-test="' + escapeHtml(id) +
+      '" id="' + escapeHtml(id) + '" name="' + escapeHtml(id) +
+      '" data-item-id="' + product.id + '">' +
+      (inCart ? 'Remove' : 'Add to cart') + '</button>'
+    );
+  }
+
+  // ==================== LAYOUT ====================
+
+  function header(secondary) {
+    var count = getCart().length;
+    var badge = count > 0
+      ? '<span class="shopping_cart_badge" data-test="shopping-cart-badge">' + count + '</span>'
+      : '';
+
+    return (
+      '<div id="header_container" class="header_container" data-test="header-container">' +
+        '<div class="primary_header" data-test="primary-header">' +
+          '<div id="menu_button_container">' +
+            '<div class="bm-burger-button">' +
+              '<button type="button" id="react-burger-menu-btn">Open Menu</button>' +
+            '</div>' +
+            '<div class="bm-menu-wrap" aria-hidden="true" hidden>' +
+              '<div class="bm-menu">' +
+                '<nav class="bm-item-list">' +
+                  '<a id="inventory_sidebar_link" class="bm-item menu-item" href="/inventory.html" data-test="inventory-sidebar-link">All Items</a>' +
+                  '<a id="about_sidebar_link" class="bm-item menu-item" href="https://saucelabs.com/" data-test="about-sidebar-link">About</a>' +
+                  '<a id="logout_sidebar_link" class="bm-item menu-item" href="#" data-test="logout-sidebar-link">Logout</a>' +
+                  '<a id="reset_sidebar_link" class="bm-item menu-item" href="#" data-test="reset-sidebar-link">Reset App State</a>' +
+                '</nav>' +
+              '</div>' +
+              '<div class="bm-cross-button">' +
+                '<button type="button" id="react-burger-cross-btn">Close Menu</button>' +
+              '</div>' +
+            '</div>' +
+          '</div>' +
+          '<div class="header_label"><div class="app_logo">Swag Labs</div></div>' +
+          '<div id="shopping_cart_container" class="shopping_cart_container">' +
+            '<a class="shopping_cart_link" data-test="shopping-cart-link" href="/cart.html">' + badge + '</a>' +
+          '</div>' +
+        '</div>' +
+        '<div class="header_secondary_container" data-test="secondary-header">' + secondary + '</div>' +
+      '</div>'
+    );
+  }
+
+  function footer() {
+    return (
+      '<footer class="footer" data-test="footer">' +
+        '<div class="footer_copy" data-test="footer-copy">© 2024 Sauce Labs. All Rights Reserved. Terms of Service | Privacy Policy</div>' +
+      '</footer>'
+    );
+  }
+
+  function page(secondary, content) {
+    root.innerHTML =
+      '<div id="page_wrapper" class="page_wrapper">' +
+        '<div id="contents_wrapper">' + header(secondary) + content + '</div>' +
+        footer() +
+      '</div>';
+    bindHeader();
+  }
+
+  function refreshBadge() {
+    var link = root.querySelector('.shopping_cart_link');
+    if (!link) return;
+    var count = getCart().length;
+    link.innerHTML = count > 0
+      ? '<span class="shopping_cart_badge" data-test="shopping-cart-badge">' + count + '</span>'
+      : '';
+  }
+
+  function bindHeader() {
+    var wrap = root.querySelector('.bm-menu-wrap');
+
+    on('#react-burger-menu-btn', 'click', function () {
+      wrap.hidden = false;
+      wrap.setAttribute('aria-hidden', 'false');
+    });
+
+    on('#react-burger-cross-btn', 'click', function () {
+      wrap.hidden = true;
+      wrap.setAttribute('aria-hidden', 'true');
+    });
+
+    on('#logout_sidebar_link', 'click', function (event) {
+      event.preventDefault();
+      clearSession();
+      go('/');
+    });
+
+    on('#reset_sidebar_link', 'click', function (event) {
+      event.preventDefault();
+      setCart([]);
+      route();
+    });
+  }
+
+  function bindCartButtons(onChange) {
+    on('button[data-item-id]', 'click', function (event) {
+      var id = parseInt(event.currentTarget.getAttribute('data-item-id'), 10);
+      if (getCart().indexOf(id) === -1) {
+        addToCart(id);
+      } else {
+        removeFromCart(id);
+      }
+      onChange();
+    });
+  }
+
+  function cartItemRow(product, removable) {
+    return (
+      '<div class="cart_item" data-test="inventory-item">' +
+        '<div class="cart_quantity" data-test="item-quantity">1</div>' +
+        '<div class="cart_item_label">' +
+          '<a href="/inventory-item.html?id=' + product.id + '" id="item_' + product.id + '_title_link" data-test="item-' + product.id + '-title-link">' +
+            '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>' +
+          '</a>' +
+          '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.description) + '</div>' +
+          '<div class="item_pricebar">' +
+            '<div class="inventory_item_price" data-test="inventory-item-price">' + money(product.price) + '</div>' +
+            (removable ? cartButton(product, 'cart_button') : '') +
+          '</div>' +
+        '</div>' +
+      '</div>'
+    );
+  }
+
+  function cartProducts() {
+    return getCart().map(findProduct).filter(Boolean);
+  }
+
+  // ==================== PAGES ====================
+
+  function renderLogin() {
+    var pendingError = sessionStorage.getItem(LOGIN_ERROR_KEY);
+    sessionStorage.removeItem(LOGIN_ERROR_KEY);
+
+    var usernames = Object.keys(catalog.users).join('<br>');
+
+    root.innerHTML =
+      '<div class="login_container">' +
+        '<div class="login_logo">Swag Labs</div>' +
+        '<div class="login_wrapper" data-test="login-container">' +
+          '<div class="login_wrapper-inner">' +
+            '<div id="login_button_container" class="form_column">' +
+              '<div class="login-box">' +
+                '<form>' +
+                  '<div class="form_group">' +
+                    '<input class="input_error form_input" placeholder="Username" type="text" data-test="username" id="user-name" name="user-name" autocorrect="off" autocapitalize="none">' +
+                  '</div>' +
+                  '<div class="form_group">' +
+                    '<input class="input_error form_input" placeholder="Password" type="password" data-test="password" id="password" name="password" autocorrect="off" autocapitalize="none">' +
+                  '</div>' +
+                  '<div class="error-message-container"></div>' +
+                  '<input type="submit" class="submit-button btn_action" data-test="login-button" id="login-button" name="login-button" value="Login">' +
+                '</form>' +
+              '</div>' +
+            '</div>' +
+          '</div>' +
+          '<div class="login_credentials_wrap">' +
+            '<div class="login_credentials" id="login_credentials" data-test="login-credentials"><h4>Accepted usernames are:</h4>' + usernames + '</div>' +
+            '<div class="login_password" data-test="login-password"><h4>Password for all users:</h4>' + catalog.password + '</div>' +
+          '</div>' +
+        '</div>' +
+      '</div>';
+
+    var form = root.querySelector('form');
+    var usernameInput = root.querySelector('#user-name');
+    var passwordInput = root.querySelector('#password');
+    var errorContainer = root.querySelector('.error-message-container');
+
+    function showError(message) {
+      errorContainer.className = 'error-message-container error';
+      errorContainer.innerHTML =
+        '<h3 data-test="error">' + escapeHtml(message) +
+        '<button class="error-button" data-test="error-button" type="button">×</button></h3>';
+      usernameInput.classList.add('error');
+      passwordInput.classList.add('error');
+
+      errorContainer.querySelector('.error-button').addEventListener('click', function () {
+        errorContainer.className = 'error-message-container';
+        errorContainer.innerHTML = '';
+        usernameInput.classList.remove('error');
+        passwordInput.classList.remove('error');
+      });
+    }
+
+    if (pendingError) {
+      showError(pendingError);
+    }
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+
+      var username = usernameInput.value;
+      var password = passwordInput.value;
+      var account = catalog.users[username];
+
+      if (!username) {
+        showError('Epic sadface: Username is required');
+        return;
+      }
+      if (!password) {
+        showError('Epic sadface: Password is required');
+        return;
+      }
+      if (!account || password !== catalog.password) {
+        showError('Epic sadface: Username and password do not match any user in this service');
+        return;
+      }
+      if (account.behaviour === 'locked') {
+        showError('Epic sadface: Sorry, this user has been locked out.');
+        return;
+      }
+
+      setSessionUser(username);
+
+      if (account.behaviour === 'performance') {
+        setTimeout(function () { go('/inventory.html'); }, PERFORMANCE_GLITCH_DELAY);
+      } else {
+        go('/inventory.html');
+      }
+    });
+  }
+
+  function renderInventory() {
+    var options = SORT_OPTIONS.map(function (option) {
+      return '<option value="' + option.value + '"' +
+        (option.value === activeSort ? ' selected' : '') + '>' + option.label + '</option>';
+    }).join('');
+    var activeLabel = SORT_OPTIONS.filter(function (o) { return o.value === activeSort; })[0].label;
+
+    var items = sortedProducts().map(function (product) {
+      // problem_user: detail links open the wrong item
+      var linkId = behaviour() === 'problem' ? product.id + 1 : product.id;
+
+      return (
+        '<div class="inventory_item" data-test="inventory-item">' +
+          '<div class="inventory_item_img">' +
+            '<a href="/inventory-item.html?id=' + linkId + '" id="item_' + product.id + '_img_link" data-test="item-' + product.id + '-img-link">' +
+              '<img alt="' + escapeHtml(product.name) + '" class="inventory_item_img" src="' + imageSrc(product) + '" data-test="inventory-item-' + escapeHtml(slug(product.name)) + '-img">' +
+            '</a>' +
+          '</div>' +
+          '<div class="inventory_item_description" data-test="inventory-item-description">' +
+            '<div class="inventory_item_label">' +
+              '<a href="/inventory-item.html?id=' + linkId + '" id="item_' + product.id + '_title_link" data-test="item-' + product.id + '-title-link">' +
+                '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>' +
+              '</a>' +
+              '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.description) + '</div>' +
+            '</div>' +
+            '<div class="pricebar">' +
+              '<div class="inventory_item_price" data-test="inventory-item-price">' + money(product.price) + '</div>' +
+              cartButton(product, 'btn_inventory') +
+            '</div>' +
+          '</div>' +
+        '</div>'
+      );
+    }).join('');
+
+    page(
+      '<span class="title" data-test="title">Products</span>' +
+      '<div class="right_component">' +
+        '<span class="select_container">' +
+          '<span class="active_option" data-test="active-option">' + activeLabel + '</span>' +
+          '<select class="product_sort_container" data-test="product-sort-container">' + options + '</select>' +
+        '</span>' +
+      '</div>',
+      '<div id="inventory_container" class="inventory_container" data-test="inventory-container">' +
+        '<div class="inventory_list" data-test="inventory-list">' + items + '</div>' +
+      '</div>'
+    );
+
+    on('.product_sort_container', 'change', function (event) {
+      activeSort = event.currentTarget.value;
+      renderInventory();
+    });
+
+    bindCartButtons(renderInventory);
+  }
+
+  function renderItem() {
+    var params = new URLSearchParams(window.location.search);
+    var id = parseInt(params.get('id'), 10);
+    var product = findProduct(id);
+
+    var details;
+    if (!product) {
+      details =
+        '<div class="inventory_details_desc_container">' +
+          '<div class="inventory_details_name large_size" data-test="inventory-item-name">ITEM NOT FOUND</div>' +
+          '<div class="inventory_details_desc large_size" data-test="inventory-item-desc">We\'re sorry, but your call could not be completed as dialled.</div>' +
+        '</div>';
+    } else {
+      var inCart = getCart().indexOf(product.id) !== -1;
+      var buttonId = inCart ? 'remove' : 'add-to-cart';
+
+      details =
+        '<div class="inventory_details_img_container">' +
+          '<img alt="' + escapeHtml(product.name) + '" class="inventory_details_img" src="' + imageSrc(product) + '" data-test="item-' + escapeHtml(slug(product.name)) + '-img">' +
+        '</div>' +
+        '<div class="inventory_details_desc_container">' +
+          '<div class="inventory_details_name large_size" data-test="inventory-item-name">' + escapeHtml(product.name) + '</div>' +
+          '<div class="inventory_details_desc large_size" data-test="inventory-item-desc">' + escapeHtml(product.description) + '</div>' +
+          '<div class="inventory_details_price" data-test="inventory-item-price">' + money(product.price) + '</div>' +
+          '<button class="btn ' + (inCart ? 'btn_secondary' : 'btn_primary') + ' btn_small btn_inventory" data-test="' + buttonId + '" id="' + buttonId + '" name="' + buttonId + '" data-item-id="' + product.id + '">' +
+            (inCart ? 'Remove' : 'Add to cart') +
+          '</button>' +
+        '</div>';
+    }
+
+    page(
+      '<button class="btn btn_secondary back btn_large inventory_details_back_button" data-test="back-to-products" id="back-to-products" name="back-to-products">Back to products</button>',
+      '<div id="inventory_item_container" class="inventory_item_container">' +
+        '<div class="inventory_details" data-test="inventory-container">' +
+          '<div class="inventory_details_container">' + details + '</div>' +
+        '</div>' +
+      '</div>'
+    );
+
+    on('#back-to-products', 'click', function () { go('/inventory.html'); });
+    bindCartButtons(renderItem);
+  }
+
+  function renderCart() {
+    var rows = cartProducts().map(function (product) {
+      return cartItemRow(product, true);
+    }).join('');
+
+    page(
+      '<span class="title" data-test="title">Your Cart</span>',
+      '<div id="cart_contents_container" class="cart_contents_container">' +
+        '<div>' +
+          '<div class="cart_list" data-test="cart-list">' +
+            '<div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>' +
+            '<div class="cart_desc_label" data-test="cart-desc-label">Description</div>' +
+            rows +
+          '</div>' +
+          '<div class="cart_footer">' +
+            '<button class="btn btn_secondary back btn_medium" data-test="continue-shopping" id="continue-shopping" name="continue-shopping">Continue Shopping</button>' +
+            '<button class="btn btn_action btn_medium checkout_button" data-test="checkout" id="checkout" name="checkout">Checkout</button>' +
+          '</div>' +
+        '</div>' +
+      '</div>'
+    );
+
+    on('#continue-shopping', 'click', function () { go('/inventory.html'); });
+    on('#checkout', 'click', function () { go('/checkout-step-one.html'); });
+    bindCartButtons(renderCart);
+  }
+
+  function renderCheckoutInformation() {
+    page(
+      '<span class="title" data-test="title">Checkout: Your Information</span>',
+      '<div id="checkout_info_container" class="checkout_info_container">' +
+        '<div class="checkout_info_wrapper">' +
+          '<form>' +
+            '<div class="checkout_info" data-test="checkout-info-container">' +
+              '<div class="form_group"><input class="input_error form_input" placeholder="First Name" type="text" data-test="firstName" id="first-name" name="firstName" autocorrect="off" autocapitalize="none"></div>' +
+              '<div class="form_group"><input class="input_error form_input" placeholder="Last Name" type="text" data-test="lastName" id="last-name" name="lastName" autocorrect="off" autocapitalize="none"></div>' +
+              '<div class="form_group"><input class="input_error form_input" placeholder="Zip/Postal Code" type="text" data-test="postalCode" id="postal-code" name="postalCode" autocorrect="off" autocapitalize="none"></div>' +
+              '<div class="error-message-container"></div>' +
+            '</div>' +
+            '<div class="checkout_buttons">' +
+              '<button class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel" type="button">Cancel</button>' +
+              '<input type="submit" class="submit-button btn btn_primary cart_button btn_action" data-test="continue" id="continue" name="continue" value="Continue">' +
+            '</div>' +
+          '</form>' +
+        '</div>' +
+      '</div>'
+    );
+
+    var firstName = root.querySelector('#first-name');
+    var lastName = root.querySelector('#last-name');
+    var postalCode = root.querySelector('#postal-code');
+    var errorContainer = root.querySelector('.error-message-container');
+
+    // problem_user: typing a last name overwrites the first name instead
+    if (behaviour() === 'problem') {
+      lastName.addEventListener('input', function () {
+        firstName.value = lastName.value.slice(-1);
+        lastName.value = '';
+      });
+    }
+
+    on('#cancel', 'click', function () { go('/cart.html'); });
+
+    root.querySelector('form').addEventListener('submit', function (event) {
+      event.preventDefault();
+
+      var message = null;
+      if (!firstName.value) message = 'Error: First Name is required';
+      else if (!lastName.value) message = 'Error: Last Name is required';
+      else if (!postalCode.value) message = 'Error: Postal Code is required';
+
+      if (message) {
+        errorContainer.className = 'error-message-container error';
+        errorContainer.innerHTML =
+          '<h3 data-test="error">' + message +
+          '<button class="error-button" data-test="error-button" type="button">×</button></h3>';
+        [firstName, lastName, postalCode].forEach(function (input) {
+          input.classList.add('error');
+        });
+        errorContainer.querySelector('.error-button').addEventListener('click', function () {
+          errorContainer.className = 'error-message-container';
+          errorContainer.innerHTML = '';
+          [firstName, lastName, postalCode].forEach(function (input) {
+            input.classList.remove('error');
+          });
+        });
+        return;
+      }
+
+      go('/checkout-step-two.html');
+    });
+  }
+
+  function renderCheckoutOverview() {
+    var products = cartProducts();
+    var itemTotal = products.reduce(function (sum, p) { return sum + p.price; }, 0);
+    var tax = Math.round(itemTotal * TAX_RATE * 100) / 100;
+    var total = itemTotal + tax;
+
+    var rows = products.map(function (product) {
+      return cartItemRow(product, false);
+    }).join('');
+
+    page(
+      '<span class="title" data-test="title">Checkout: Overview</span>',
+      '<div id="checkout_summary_container" class="checkout_summary_container">' +
+        '<div data-test="checkout-summary-container">' +
+          '<div class="cart_list" data-test="cart-list">' +
+            '<div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>' +
+            '<div class="cart_desc_label" data-test="cart-desc-label">Description</div>' +
+            rows +
+          '</div>' +
+          '<div class="summary_info">' +
+            '<div class="summary_info_label" data-test="payment-info-label">Payment Information:</div>' +
+            '<div class="summary_value_label" data-test="payment-info-value">SauceCard #31337</div>' +
+            '<div class="summary_info_label" data-test="shipping-info-label">Shipping Information:</div>' +
+            '<div class="summary_value_label" data-test="shipping-info-value">Free Pony Express Delivery!</div>' +
+            '<div class="summary_info_label" data-test="total-info-label">Price Total</div>' +
+            '<div class="summary_subtotal_label" data-test="subtotal-label">Item total: ' + money(itemTotal) + '</div>' +
+            '<div class="summary_tax_label" data-test="tax-label">Tax: ' + money(tax) + '</div>' +
+            '<div class="summary_info_label summary_total_label" data-test="total-label">Total: ' + money(total) + '</div>' +
+            '<div class="cart_footer">' +
+              '<button class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel">Cancel</button>' +
+              '<button class="btn btn_action btn_medium cart_button" data-test="finish" id="finish" name="finish">Finish</button>' +
+            '</div>' +
+          '</div>' +
+        '</div>' +
+      '</div>'
+    );
+
+    on('#cancel', 'click', function () { go('/inventory.html'); });
+    on('#finish', 'click', function () {
+      setCart([]);
+      go('/checkout-complete.html');
+    });
+  }
+
+  function renderCheckoutComplete() {
+    page(
+      '<span class="title" data-test="title">Checkout: Complete!</span>',
+      '<div id="checkout_complete_container" class="checkout_complete_container" data-test="checkout-complete-container">' +
+        '<img alt="Pony Express" class="pony_express" data-test="pony-express" src="/static/media/sl-404.svg">' +
+        '<h2 class="complete-header" data-test="complete-header">Thank you for your order!</h2>' +
+        '<div class="complete-text" data-test="complete-text">Your order has been dispatched, and will arrive just as fast as the pony can get there!</div>' +
+        '<button class="btn btn_primary btn_small" data-test="back-to-products" id="back-to-products" name="back-to-products">Back Home</button>' +
+      '</div>'
+    );
+
+    on('#back-to-products', 'click', function () { go('/inventory.html'); });
+  }
+
+  // ==================== ROUTER ====================
+
+  var PROTECTED_ROUTES = {
+    '/inventory.html': renderInventory,
+    '/inventory-item.html': renderItem,
+    '/cart.html': renderCart,
+    '/checkout-step-one.html': renderCheckoutInformation,
+    '/checkout-step-two.html': renderCheckoutOverview,
+    '/checkout-complete.html': renderCheckoutComplete,
+  };
+
+  function route() {
+    var pathname = window.location.pathname;
+    var renderer = PROTECTED_ROUTES[pathname];
+
+    if (!renderer) {
+      renderLogin();
+      return;
+    }
+
+    if (!getSessionUser()) {
+      sessionStorage.setItem(
+        LOGIN_ERROR_KEY,
+        "Epic sadface: You can only access '" + pathname + "' when you are logged in."
+      );
+      window.location.replace('/');
+      return;
+    }
+
+    renderer();
+  }
+
+  // Keep the header badge in sync with carts changed in other tabs
+  window.addEventListener('storage', function (event) {
+    if (event.key === CART_KEY) refreshBadge();
+  });
+
+  route();
+})();
@@ -0,0 +1,187 @@
+/**
+ * Sauce Demo Stand-in Server
+ *
+ * Serves an offline copy of the Sauce Demo storefront so the suite can run
+ * without network access:
+ * - Login, inventory, item detail, cart, checkout and menu flows
+ * - Same data-test attributes, ids and class names as saucedemo.com
+ * - Same special users (locked_out_user, problem_user, performance_glitch_user)
+ *
+ * Started automatically by playwright.config.js as a webServer, or manually:
+ *   node stand-in/server.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { PASSWORD, users, products } = require('./inventory');
+
+const DEFAULT_PORT = 3100;
+const DEFAULT_HOST = '127.0.0.1';
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Every client-side route renders from the same document, like the real SPA
+const APP_ROUTES = new Set([
+  '/',
+  '/index.html',
+  '/inventory.html',
+  '/inventory-item.html',
+  '/cart.html',
+  '/checkout-step-one.html',
+  '/checkout-step-two.html',
+  '/checkout-complete.html',
+]);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+};
+
+const IMAGE_COLOURS = {
+  'bike-light': '#e2231a',
+  'bolt-shirt': '#6b7b8c',
+  'red-onesie': '#c0392b',
+  'red-tatt': '#d35400',
+  'sauce-backpack': '#2c3e50',
+  'sauce-pullover': '#34495e',
+  'sl-404': '#8e8e8e',
+};
+
+/**
+ * Render a placeholder product image
+ * @param {string} name - Image name without extension
+ * @returns {string|null} - SVG markup or null if unknown
+ */
+function renderImage(name) {
+  const colour = IMAGE_COLOURS[name];
+
+  if (!colour) {
+    return null;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="300" viewBox="0 0 240 300">
+  <rect width="240" height="300" fill="${colour}"/>
+  <text x="120" y="155" font-family="sans-serif" font-size="20" fill="#fff" text-anchor="middle">${name}</text>
+</svg>`;
+}
+
+/**
+ * Catalog script shared with the browser app
+ */
+function renderCatalogScript() {
+  const catalog = {
+    password: PASSWORD,
+    users,
+    products,
+  };
+
+  return `window.STAND_IN_CATALOG = ${JSON.stringify(catalog)};\n`;
+}
+
+function send(res, status, body, contentType) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Cache-Control': 'no-store',
+  });
+  res.end(body);
+}
+
+/**
+ * Handle a single HTTP request
+ */
+function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://stand-in');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    send(res, 405, 'Method Not Allowed', 'text/plain; charset=utf-8');
+    return;
+  }
+
+  if (APP_ROUTES.has(pathname)) {
+    const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'));
+    send(res, 200, html, CONTENT_TYPES['.html']);
+    return;
+  }
+
+  if (pathname === '/static/js/catalog.js') {
+    send(res, 200, renderCatalogScript(), CONTENT_TYPES['.js']);
+    return;
+  }
+
+  const mediaMatch = pathname.match(/^\/static\/media\/([a-z0-9-]+)\.svg$/);
+  if (mediaMatch) {
+    const svg = renderImage(mediaMatch[1]);
+    if (svg) {
+      send(res, 200, svg, CONTENT_TYPES['.svg']);
+      return;
+    }
+  }
+
+  // Static assets - resolved inside PUBLIC_DIR only
+  const filePath = path.normalize(path.join(PUBLIC_DIR, pathname));
+  if (
+    filePath.startsWith(PUBLIC_DIR + path.sep) &&
+    fs.existsSync(filePath) &&
+    fs.statSync(filePath).isFile()
+  ) {
+    const contentType =
+      CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    send(res, 200, fs.readFileSync(filePath), contentType);
+    return;
+  }
+
+  send(res, 404, 'Not Found', 'text/plain; charset=utf-8');
+}
+
+/**
+ * Create (but do not start) the stand-in server
+ * @returns {http.Server}
+ */
+function createStandInServer() {
+  return http.createServer((req, res) => {
+    try {
+      handleRequest(req, res);
+    } catch (error) {
+      console.error(`✗ [Stand-in] ${req.method} ${req.url}: ${error.message}`);
+      send(res, 500, 'Internal Server Error', 'text/plain; charset=utf-8');
+    }
+  });
+}
+
+/**
+ * Start the stand-in server
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (default: STAND_IN_PORT or 3100)
+ * @param {string} options.host - Host to bind (default: 127.0.0.1)
+ * @returns {Promise<http.Server>}
+ */
+function startStandInServer({
+  port = parseInt(process.env.STAND_IN_PORT) || DEFAULT_PORT,
+  host = DEFAULT_HOST,
+} = {}) {
+  const server = createStandInServer();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`✓ Sauce Demo stand-in listening on http://${host}:${port}`);
+      resolve(server);
+    });
+  });
+}
+
+if (require.main === module) {
+  startStandInServer().catch((error) => {
+    console.error(`✗ Failed to start stand-in: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  createStandInServer,
+  startStandInServer,
+};
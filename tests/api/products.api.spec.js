@@ -3,20 +3,11 @@
  * Tests for Sauce Demo API endpoints
  */
 
-const { test, expect } = require('@playwright/test');
-const APIHelper = require('../../utils/api/apiHelper');
+const { test, expect } = require('../../fixtures/testFixtures');
 const testData = require('../../fixtures/testData');
 
 test.describe('Sauce Demo - API Testing', () => {
-  let apiHelper;
-
-  test.beforeEach(async ({ request }) => {
-    // Initialize API helper before each test
-    apiHelper = new APIHelper('https://www.saucedemo.com', request);
-    console.log('[API Tests] Test initialized');
-  });
-
-  test('API: Verify main application page loads with 200 status', async ({ request }) => {
+  test('API: Verify main application page loads with 200 status', async ({ apiHelper }) => {
     console.log('[API Test 1] Testing main page load');
     
     const response = await apiHelper.get('/');
@@ -25,7 +16,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 1] ✓ Main page loaded successfully');
   });
 
-  test('API: Verify API response headers are present', async ({ request }) => {
+  test('API: Verify API response headers are present', async ({ apiHelper }) => {
     console.log('[API Test 2] Testing response status');
     
     const response = await apiHelper.get('/');
@@ -34,7 +25,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 2] ✓ Response status is 200');
   });
 
-  test('API: Verify response is OK', async ({ request }) => {
+  test('API: Verify response is OK', async ({ apiHelper }) => {
     console.log('[API Test 3] Testing response OK status');
     
     const response = await apiHelper.get('/');
@@ -43,7 +34,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 3] ✓ Response is OK');
   });
 
-  test('API: Verify response body contains HTML content', async ({ request }) => {
+  test('API: Verify response body contains HTML content', async ({ apiHelper }) => {
     console.log('[API Test 4] Testing response body');
     
     const response = await apiHelper.get('/');
@@ -54,7 +45,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 4] ✓ Response body contains valid HTML');
   });
 
-  test('API: Verify multiple sequential requests succeed', async ({ request }) => {
+  test('API: Verify multiple sequential requests succeed', async ({ apiHelper }) => {
     console.log('[API Test 5] Testing multiple sequential calls');
     
     // First request
@@ -72,7 +63,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 5] ✓ All sequential calls succeeded');
   });
 
-  test('API: Verify page response times are acceptable', async ({ request }) => {
+  test('API: Verify page response times are acceptable', async ({ apiHelper }) => {
     console.log('[API Test 6] Testing response times');
     
     const startTime = Date.now();
@@ -87,7 +78,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 6] ✓ Response time is acceptable');
   });
 
-  test('API: Verify application is accessible from different regions', async ({ request }) => {
+  test('API: Verify application is accessible from different regions', async ({ apiHelper }) => {
     console.log('[API Test 7] Testing application accessibility');
     
     const response = await apiHelper.get('/');
@@ -97,7 +88,7 @@ test.describe('Sauce Demo - API Testing', () => {
     console.log('[API Test 7] ✓ Application is accessible');
   });
 
-  test('API: Verify response status codes are correct', async ({ request }) => {
+  test('API: Verify response status codes are correct', async ({ apiHelper }) => {
     console.log('[API Test 8] Testing response status codes');
     
     const response = await apiHelper.get('/');
@@ -0,0 +1,21 @@
+/**
+ * Auth Setup - Log in once per persona and save storageState
+ * Runs as the 'setup' project before the browser projects (playwright.config.js).
+ */
+
+const { test: setup } = require('@playwright/test');
+const AuthStateManager = require('../utils/helpers/authState');
+
+for (const persona of AuthStateManager.getPersonas()) {
+  setup(`authenticate ${persona}`, async ({ browser, baseURL }) => {
+    if (AuthStateManager.isStateFresh(persona, baseURL)) {
+      console.log(`✓ [AuthState] storageState for ${persona} is fresh`);
+      return;
+    }
+
+    const { statePath, error } = await AuthStateManager.authenticate(browser, persona, baseURL);
+
+    // Personas such as locked_out_user are expected to be rejected
+    setup.skip(!statePath, `${persona} cannot log in: ${error}`);
+  });
+}
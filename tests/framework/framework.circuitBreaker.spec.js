@@ -0,0 +1,111 @@
+/**
+ * Framework Tests - Circuit Breaker
+ * Run-wide breaker failing retried calls fast while the target is down
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const TestRetryManager = require('../../utils/helpers/testRetry');
+const CircuitBreaker = require('../../utils/helpers/circuitBreaker');
+const ErrorAnalyzer = require('../../utils/reporting/errorAnalyzer');
+
+test.describe('Framework - Circuit Breaker', () => {
+  test('Circuit breaker fails calls fast while the target is down', async ({ page, loginPage }, testInfo) => {
+    let targetUp = false;
+    // Private state file and probe: the run-wide breaker must stay closed for other tests
+    const breaker = new CircuitBreaker({
+      statePath: testInfo.outputPath('circuit-breaker.json'),
+      failureThreshold: 2,
+      probeInterval: 500,
+      probe: async () => targetUp,
+    });
+
+    let navigations = 0;
+    const openDeadTarget = () =>
+      TestRetryManager.executeWithRetry(async () => {
+        navigations++;
+        await page.goto('http://127.0.0.1:59999/');
+      }, { policy: 'navigation', maxRetries: 2, testName: 'Dead Target', circuitBreaker: breaker });
+
+    // Each call counts once, after its last attempt, and fails with its own error
+    await expect(openDeadTarget()).rejects.toThrow(/net::ERR/);
+    await expect(openDeadTarget()).rejects.toThrow(/net::ERR/);
+    expect(navigations).toBe(4);
+    await expect(openDeadTarget()).rejects.toThrow(/Environment unavailable/);
+    expect(navigations).toBe(4);
+
+    targetUp = true;
+    await page.waitForTimeout(600);
+    await TestRetryManager.executeWithRetry(() => loginPage.goto(), {
+      testName: 'Live Target',
+      circuitBreaker: breaker,
+    });
+
+    expect(breaker.getSummary()).toMatchObject({ state: 'closed', opened: 1, rejected: 1 });
+  });
+
+  test('Only the outermost call reports to the breaker, and breaker errors never hide the failure', async ({}, testInfo) => {
+    const breaker = new CircuitBreaker({
+      statePath: testInfo.outputPath('circuit-breaker.json'),
+      failureThreshold: 10,
+      probe: async () => true,
+    });
+    const options = { policy: 'navigation', maxRetries: 2, circuitBreaker: breaker };
+
+    let attempts = 0;
+    await expect(
+      TestRetryManager.executeWithRetry(() =>
+        TestRetryManager.executeWithRetry(async () => {
+          attempts++;
+          throw new Error('net::ERR_CONNECTION_REFUSED');
+        }, { ...options, testName: 'Inner' }), { ...options, testName: 'Outer' })
+    ).rejects.toThrow('net::ERR_CONNECTION_REFUSED');
+    expect(attempts).toBe(4);
+    expect(breaker.load().consecutiveFailures).toBe(1);
+
+    // e.g. the state file lock timing out
+    breaker.recordFailure = async () => {
+      throw new Error('Timed out waiting for the circuit breaker lock');
+    };
+    await expect(
+      TestRetryManager.executeWithRetry(async () => {
+        throw new Error('net::ERR_CONNECTION_RESET');
+      }, { ...options, maxRetries: 1, testName: 'Store Down' })
+    ).rejects.toThrow('net::ERR_CONNECTION_RESET');
+  });
+
+  test('Pages that do not settle are timeouts, not network failures', async ({ page }, testInfo) => {
+    const breaker = new CircuitBreaker({
+      statePath: testInfo.outputPath('circuit-breaker.json'),
+      failureThreshold: 1,
+      probe: async () => true,
+    });
+
+    let waits = 0;
+    const error = await TestRetryManager.executeWithRetry(async () => {
+      waits++;
+      await page.waitForFunction(() => window.settled === true, null, { timeout: 100 });
+    }, { policy: 'navigation', testName: 'Never Settles', circuitBreaker: breaker }).catch((e) => e);
+
+    expect(ErrorAnalyzer.classifyError(error)).toBe('TIMEOUT_ERROR');
+    expect(waits).toBe(TestRetryManager.getErrorTypeSettings('TIMEOUT_ERROR').maxAttempts);
+    expect(breaker.getSummary()).toMatchObject({ state: 'closed', opened: 0 });
+  });
+
+  test('The breaker keeps only its most recent events', async ({}, testInfo) => {
+    const breaker = new CircuitBreaker({
+      statePath: testInfo.outputPath('circuit-breaker.json'),
+      failureThreshold: 1,
+      maxEvents: 3,
+      probe: async () => true,
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await breaker.recordFailure('NETWORK_ERROR', `down ${i}`);
+      await breaker.recordSuccess();
+    }
+
+    const { opened, events } = breaker.getSummary();
+    expect(opened).toBe(3);
+    expect(events.map(({ event }) => event)).toEqual(['closed', 'opened', 'closed']);
+  });
+});
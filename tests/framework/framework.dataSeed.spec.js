@@ -0,0 +1,31 @@
+/**
+ * Framework Tests - Data Seeds
+ * Generated data seeded per test from the run seed (DATA_SEED replays it)
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const AutonomousDataFactory = require('../../utils/data/autonomousDataFactory');
+
+test.describe('Framework - Data Seeds', () => {
+  test('Generated data replays from the test seed', async ({ dataSeed }, testInfo) => {
+    const testId = testInfo.titlePath.join(' › ');
+    expect(dataSeed).toEqual({
+      runSeed: AutonomousDataFactory.getRunSeed(),
+      seed: AutonomousDataFactory.deriveSeed(AutonomousDataFactory.getRunSeed(), testId),
+    });
+    expect(testInfo.attachments.map(({ name }) => name)).toContain('data-seed');
+
+    const generate = () => {
+      const { createdAt, ...user } = AutonomousDataFactory.generateUser();
+      const { createdAt: productCreatedAt, ...product } = AutonomousDataFactory.generateProduct();
+      return { user, product };
+    };
+
+    AutonomousDataFactory.seed(dataSeed.seed);
+    const first = generate();
+    AutonomousDataFactory.seed(dataSeed.seed);
+    expect(generate()).toEqual(first);
+
+    expect(AutonomousDataFactory.deriveSeed(dataSeed.runSeed, `${testId} (other)`)).not.toBe(dataSeed.seed);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Framework Tests - Data Templates
+ * Factory entities built from fixtures/dataTemplates.js: relations, nested overrides, validation
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const AutonomousDataFactory = require('../../utils/data/autonomousDataFactory');
+
+test.describe('Framework - Data Templates', () => {
+  test('Data templates build related, validated entities with nested overrides', async ({ dataFactory }) => {
+    const order = dataFactory.create('order', { shippingAddress: { city: 'Springfield' } });
+    const [user] = dataFactory.getGeneratedData();
+
+    expect(user).toMatchObject({ type: 'user', data: { id: order.userId } });
+    expect(order.shippingAddress).toMatchObject({ city: 'Springfield', street: expect.any(String) });
+    expect(order.total).toBeCloseTo(order.subtotal + order.tax, 2);
+    expect(AutonomousDataFactory.validate('order', order)).toEqual([]);
+
+    expect(() => AutonomousDataFactory.build('user', { fistName: 'Ada', address: { zip: 12345 } })).toThrow(
+      /user\.fistName: unknown key \(did you mean "firstName"\?\)[\s\S]*user\.address\.zip: expected string/
+    );
+
+    AutonomousDataFactory.defineTemplate('coupon', {
+      fields: {
+        code: { type: 'string', pattern: 'SAVE[0-9]{2}' },
+        percent: { type: 'integer', min: 5, max: 50 },
+        orderId: { type: 'string', ref: 'order' },
+      },
+    });
+    const coupon = AutonomousDataFactory.build('coupon', {}, { related: { order } });
+    expect(coupon).toEqual({ code: expect.stringMatching(/^SAVE\d{2}$/), percent: expect.any(Number), orderId: order.id });
+  });
+
+  test('Card expiry years follow the calendar, expired years are negative variants', async ({ dataFactory }) => {
+    const year = new Date().getFullYear();
+
+    expect(dataFactory.create('paymentInfo').expiryYear).toBeGreaterThanOrEqual(year);
+    expect(dataFactory.create('paymentInfo').expiryYear).toBeLessThanOrEqual(year + 5);
+
+    const variants = AutonomousDataFactory.buildVariants('paymentInfo', { fields: ['expiryYear'] });
+    expect(variants.map(({ kind, value, valid }) => ({ kind, value, valid }))).toEqual([
+      { kind: 'min', value: year, valid: true },
+      { kind: 'max', value: year + 5, valid: true },
+      { kind: 'below-min', value: year - 1, valid: false },
+      { kind: 'above-max', value: year + 6, valid: false },
+    ]);
+  });
+});
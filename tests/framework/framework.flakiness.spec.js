@@ -0,0 +1,60 @@
+/**
+ * Framework Tests - Flakiness Tracking
+ * FlakinessTracker history, scoring and the auto-quarantine list
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const FlakinessTracker = require('../../utils/monitoring/flakinessTracker');
+
+test.describe('Framework - Flakiness Tracking', () => {
+  test('Flaky tests are quarantined across runs and released once stable', async ({}, testInfo) => {
+    // Private store: the run's own history must not change
+    const tracker = new FlakinessTracker(testInfo.outputPath('flakiness.json'));
+    const id = FlakinessTracker.getTestId(['ui/example.spec.js', 'Example', 'sometimes fails'], 'chromium');
+    const execution = (outcome) => ({ id, project: 'chromium', outcome, retries: 0, recoveredCalls: 0 });
+    const run = (outcome) => tracker.recordRun([execution(outcome)]);
+
+    for (const outcome of ['passed', 'flaky', 'passed', 'failed']) {
+      await run(outcome);
+    }
+    expect(tracker.getQuarantine(id)).toBeNull();
+
+    expect((await run('passed')).quarantined).toEqual([{ id, score: 0.4 }]);
+    expect(tracker.getQuarantine(id)).toMatchObject({ source: 'auto' });
+
+    // Release counts runs, not repeats (repeatEach) within a run
+    for (let clean = 1; clean < tracker.settings.releaseAfter; clean++) {
+      expect((await tracker.recordRun([execution('passed'), execution('passed')])).released).toEqual([]);
+    }
+    expect(tracker.getQuarantine(id).cleanPasses).toBe(tracker.settings.releaseAfter - 1);
+    expect((await run('passed')).released).toEqual([id]);
+
+    // Always failing is broken, not flaky
+    expect(FlakinessTracker.score([{ outcome: 'failed' }, { outcome: 'failed' }], 0.5)).toBe(0);
+  });
+
+  test('A test failing on every run of one project is broken there, not flaky', async ({}, testInfo) => {
+    const tracker = new FlakinessTracker(testInfo.outputPath('flakiness.json'));
+    const titlePath = ['ui/example.spec.js', 'Example', 'fails on webkit'];
+    const chromium = FlakinessTracker.getTestId(titlePath, 'chromium');
+    const webkit = FlakinessTracker.getTestId(titlePath, 'webkit');
+    const execution = (id, project, outcome) => ({ id, project, outcome, retries: 0, recoveredCalls: 0 });
+
+    // Two repeats per project per run (repeatEach) are one execution each
+    for (let run = 0; run < tracker.settings.minExecutions + 2; run++) {
+      const { quarantined } = await tracker.recordRun([
+        execution(chromium, 'chromium', 'passed'),
+        execution(webkit, 'webkit', 'failed'),
+        execution(chromium, 'chromium', 'passed'),
+        execution(webkit, 'webkit', 'failed'),
+      ]);
+      expect(quarantined).toEqual([]);
+    }
+
+    const { score, executions } = tracker.getTest(webkit);
+    expect(score).toBe(0);
+    expect(executions).toHaveLength(tracker.settings.minExecutions + 2);
+    expect(executions.every(({ outcome }) => outcome === 'failed')).toBe(true);
+    expect(tracker.getTest(chromium).score).toBe(0);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Framework Tests - Locator Strategies
+ * Elements found through accessibility locators alone (SelectorManager strategies)
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+
+test.describe('Framework - Locator Strategies', () => {
+  test('Login form is reachable by accessibility locators alone', async ({ loginPage }) => {
+    await loginPage.goto();
+
+    const button = await loginPage.findElement('loginButton', { strategies: ['role'] });
+    const username = await loginPage.findElement('usernameInput', { strategies: ['placeholder'] });
+
+    await expect(button).toHaveAttribute('data-test', 'login-button');
+    await expect(username).toHaveAttribute('data-test', 'username');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Framework Tests - Retry Policies
+ * TestRetryManager policies: retries chosen by ErrorAnalyzer type
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const TestRetryManager = require('../../utils/helpers/testRetry');
+const ConfigLoader = require('../../utils/config/configLoader');
+
+test.describe('Framework - Retry Policies', () => {
+  test('Retry policies retry by error type and never retry assertions', async ({ page, loginPage }) => {
+    await loginPage.goto();
+
+    let assertions = 0;
+    await expect(
+      TestRetryManager.executeWithRetry(async () => {
+        assertions++;
+        await expect(page.locator('.inventory_container')).toBeVisible({ timeout: 200 });
+      }, { policy: 'interaction', testName: 'Assertion' })
+    ).rejects.toThrow();
+    expect(assertions).toBe(1);
+
+    let lookups = 0;
+    await TestRetryManager.executeWithRetry(async () => {
+      lookups++;
+      await page.locator(lookups === 1 ? '#not-rendered-yet' : '#user-name').waitFor({ timeout: 200 });
+    }, { policy: 'interaction', testName: 'Lookup' });
+    expect(lookups).toBe(2);
+  });
+
+  test('Profiles set the retry count of plain calls and untuned error types', async () => {
+    const profile = process.env.AUTONOMOUS_PROFILE;
+    const attempts = async (config) => {
+      let calls = 0;
+      await expect(
+        TestRetryManager.executeWithRetry(async () => {
+          calls++;
+          throw new Error('Timeout 10ms exceeded');
+        }, { testName: 'Profile', circuitBreaker: false, initialDelay: 1, ...config })
+      ).rejects.toThrow('Timeout');
+      return calls;
+    };
+
+    try {
+      for (const [name, maxRetries] of [['local', 1], ['prod-smoke', 2]]) {
+        process.env.AUTONOMOUS_PROFILE = name;
+        ConfigLoader.reload();
+
+        expect(TestRetryManager.getDefaults().maxRetries).toBe(maxRetries);
+        // Types without their own maxAttempts follow the profile
+        expect(TestRetryManager.getErrorTypeSettings('UNKNOWN_ERROR').maxAttempts).toBe(maxRetries);
+        expect(await attempts()).toBe(maxRetries);
+      }
+    } finally {
+      if (profile === undefined) {
+        delete process.env.AUTONOMOUS_PROFILE;
+      } else {
+        process.env.AUTONOMOUS_PROFILE = profile;
+      }
+      ConfigLoader.reload();
+    }
+  });
+
+  test('Failures after retries report their attempt count, first-try failures stay as thrown', async () => {
+    const options = { policy: 'navigation', maxRetries: 2, circuitBreaker: false };
+    const refused = new Error('net::ERR_CONNECTION_REFUSED');
+
+    const retried = await TestRetryManager.executeWithRetry(async () => {
+      throw refused;
+    }, { ...options, testName: 'Refused' }).catch((error) => error);
+    expect(retried.message).toBe('[Refused] Failed after 2 attempts. Last error: net::ERR_CONNECTION_REFUSED');
+    expect(retried).toMatchObject({ attempts: 2, cause: refused });
+
+    const denied = new Error('401 Unauthorized');
+    const firstTry = await TestRetryManager.executeWithRetry(async () => {
+      throw denied;
+    }, { ...options, testName: 'Denied' }).catch((error) => error);
+    expect(firstTry).toBe(denied);
+  });
+});
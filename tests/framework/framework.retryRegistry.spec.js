@@ -0,0 +1,23 @@
+/**
+ * Framework Tests - Retry Registry
+ * Every executeWithRetry call recorded with its attempts and failure types
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+
+test.describe('Framework - Retry Registry', () => {
+  test('Retried calls are recorded in the retry registry', async ({ loginPage, retryStats }) => {
+    await loginPage.goto();
+
+    let attempts = 0;
+    await loginPage.withRetry('Flaky Probe', async () => {
+      attempts++;
+      await loginPage.page.locator(attempts === 1 ? '#not-rendered-yet' : '#login-button').waitFor({ timeout: 200 });
+    });
+
+    const call = retryStats.getCalls().find(({ name }) => name === 'Flaky Probe');
+    expect(call).toMatchObject({ policy: 'interaction', outcome: 'recovered', attempts: 2 });
+    expect(call.failures).toEqual([expect.objectContaining({ attempt: 1, type: 'VISIBILITY_ERROR' })]);
+    expect(retryStats.getRetryReport().byErrorType.VISIBILITY_ERROR.recoveredCalls).toBe(1);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Framework Tests - Similarity Healing
+ * SelectorManager's last resort when every selector of an element breaks
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const SelectorManager = require('../../utils/helpers/selectorManager');
+const SelectorStore = require('../../utils/helpers/selectorStore');
+
+test.describe('Framework - Similarity Healing', () => {
+  test('Similarity healing is reached within the default test timeout when every selector breaks', async ({ page, loginPage }, testInfo) => {
+    const warnings = [];
+    const logger = Object.assign(Object.create(console), {
+      warn: (message) => {
+        warnings.push(message);
+        console.warn(message);
+      },
+    });
+    // Private store: the run's selector history must not change
+    const manager = new SelectorManager(logger, {
+      pageName: 'LoginPage',
+      store: new SelectorStore(testInfo.outputPath('selectors.json')),
+    });
+    const { name, selector, fallbacks, state } = loginPage.element('usernameInput');
+    const lookup = () => manager.smartSelect(page, name, selector, fallbacks, 5000, { state });
+
+    await loginPage.goto();
+    expect(await lookup()).not.toBeNull();
+
+    // A redesign renames every attribute the selectors and accessibility hints rely on
+    await page.locator(selector).evaluate((input) => {
+      for (const [attribute, value] of Object.entries({
+        'data-test': 'login-name',
+        name: 'login-name',
+        placeholder: 'Login name',
+      })) {
+        input.setAttribute(attribute, value);
+      }
+    });
+    manager.selectorCache.clear();
+
+    // Every candidate fails; the shared lookup deadline leaves time for the last resort
+    const startTime = Date.now();
+    expect(await lookup()).toBeNull();
+    expect(Date.now() - startTime).toBeLessThan(testInfo.timeout / 2);
+    expect(warnings.at(-1)).toContain('No element similar enough to its last match');
+
+    // Three of its identifiers changed: only a lower threshold accepts the renamed input
+    manager.similarityThreshold = 0.5;
+    const healed = await lookup();
+    await expect(healed).toHaveAttribute('data-test', 'login-name');
+    expect(manager.getHealEvents().at(-1)).toMatchObject({ strategy: 'similarity' });
+  });
+});
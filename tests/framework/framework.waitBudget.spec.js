@@ -0,0 +1,35 @@
+/**
+ * Framework Tests - Wait Budget
+ * Per-test wait time tracked by WaitTracker, swallowed timeouts included
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const WaitTracker = require('../../utils/monitoring/waitTracker');
+const SmartWait = require('../../utils/helpers/smartWait');
+
+test.describe('Framework - Wait Budget', () => {
+  test('Swallowed timeouts count against the wait budget', async ({ loginPage }) => {
+    await loginPage.goto();
+    expect(await loginPage.isVisible('[data-test="error"]', 300)).toBeFalsy();
+
+    const budget = WaitTracker.snapshot();
+    const probe = budget.waits.find(({ key }) => key === 'SmartWait: Visible ([data-test="error"])');
+
+    expect(probe).toMatchObject({ count: 1, timeouts: 1, timeout: 300 });
+    expect(budget.totalWait).toBeGreaterThanOrEqual(300);
+  });
+
+  test('The action that triggers a settle wait is not counted as waiting', async ({ page, loginPage }) => {
+    await loginPage.goto();
+    await SmartWait.waitForRequestsSettled(page, {
+      action: () => page.waitForTimeout(400),
+      quietTime: 50,
+      name: 'Slow action',
+    });
+
+    const settle = WaitTracker.snapshot().waits.find(({ key }) => key === 'SmartWait: Slow action requests settled');
+    expect(settle).toMatchObject({ count: 1, timeouts: 0 });
+    expect(settle.totalWait).toBeGreaterThanOrEqual(50);
+    expect(settle.totalWait).toBeLessThan(400);
+  });
+});
@@ -3,24 +3,24 @@
  * Tests for mobile viewport and interactions
  */
 
-const { test, expect } = require('@playwright/test');
-const MobileLoginPage = require('../../pages/mobile/mobileLoginPage');
-const MobileProductsPage = require('../../pages/mobile/mobileCoursePage');
+const { test, expect } = require('../../fixtures/testFixtures');
 const testData = require('../../fixtures/testData');
 
+// Starts on the inventory with a saved session instead of logging in
+const SIGNED_IN = { annotation: { type: 'persona', description: 'validUser' } };
+
 test.describe('Sauce Demo - Mobile Testing', () => {
   
-  test('Mobile: Login should succeed with valid credentials', async ({ page }) => {
+  test('Mobile: Login should succeed with valid credentials', async ({ page, mobileLoginPage }) => {
     console.log('[Mobile Test 1] Starting login test on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    await loginPage.goto();
+    await mobileLoginPage.goto();
     
     // Verify login page loaded
-    expect(await loginPage.isLogoVisible()).toBeTruthy();
+    expect(await mobileLoginPage.isLogoVisible()).toBeTruthy();
     
     // Perform login
-    await loginPage.login(
+    await mobileLoginPage.login(
       testData.users.validUser.username,
       testData.users.validUser.password
     );
@@ -30,68 +30,53 @@ test.describe('Sauce Demo - Mobile Testing', () => {
     console.log('[Mobile Test 1] ✓ Login successful on mobile');
   });
 
-  test('Mobile: Login should fail with locked out user', async ({ page }) => {
+  test('Mobile: Login should fail with locked out user', async ({ mobileLoginPage }) => {
     console.log('[Mobile Test 2] Testing locked out user on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    await loginPage.goto();
+    await mobileLoginPage.goto();
     
-    await loginPage.login(
+    await mobileLoginPage.login(
       testData.users.lockedUser.username,
       testData.users.lockedUser.password
     );
     
     // Verify error message is displayed
-    const hasError = await loginPage.isErrorDisplayed();
+    const hasError = await mobileLoginPage.isErrorDisplayed();
     expect(hasError).toBeTruthy();
     
-    const errorMsg = await loginPage.getErrorMessage();
+    const errorMsg = await mobileLoginPage.getErrorMessage();
     expect(errorMsg).toContain('Epic sadface');
     console.log('[Mobile Test 2] ✓ Locked user error verified');
   });
 
-  test('Mobile: User can add product to cart', async ({ page }) => {
+  test('Mobile: User can add product to cart', SIGNED_IN, async ({ mobileProductsPage }) => {
     console.log('[Mobile Test 3] Testing add to cart on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    const productsPage = new MobileProductsPage(page);
-    
-    // Login
-    await loginPage.goto();
-    await loginPage.login(
-      testData.users.validUser.username,
-      testData.users.validUser.password
-    );
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
     
     // Add product to cart
-    await productsPage.waitForProductsToLoad();
-    await productsPage.addFirstProductToCart();
+    await mobileProductsPage.waitForProductsToLoad();
+    await mobileProductsPage.addFirstProductToCart();
     
     // Verify cart badge shows 1 item
-    const cartCount = await productsPage.getCartBadgeCount();
+    const cartCount = await mobileProductsPage.getCartBadgeCount();
     expect(cartCount).toBe(1);
     console.log('[Mobile Test 3] ✓ Product added to cart successfully');
   });
 
-  test('Mobile: User can add multiple products to cart', async ({ page }) => {
+  test('Mobile: User can add multiple products to cart', SIGNED_IN, async ({ page, mobileProductsPage }) => {
     console.log('[Mobile Test 4] Testing add multiple products on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    const productsPage = new MobileProductsPage(page);
-    
-    // Login
-    await loginPage.goto();
-    await loginPage.login(
-      testData.users.validUser.username,
-      testData.users.validUser.password
-    );
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
     
     // Add multiple products
-    await productsPage.waitForProductsToLoad();
-    await productsPage.addFirstProductToCart();
+    await mobileProductsPage.waitForProductsToLoad();
+    await mobileProductsPage.addFirstProductToCart();
     
     // Check cart count after first product
-    let cartCount = await productsPage.getCartBadgeCount();
+    let cartCount = await mobileProductsPage.getCartBadgeCount();
     expect(cartCount).toBe(1);
     
     // Try adding second product
@@ -99,54 +84,41 @@ test.describe('Sauce Demo - Mobile Testing', () => {
     const count = await addBtns.count();
     
     if (count > 1) {
-      await productsPage.addProductToCartByIndex(1);
-      cartCount = await productsPage.getCartBadgeCount();
+      await mobileProductsPage.addProductToCartByIndex(1);
+      cartCount = await mobileProductsPage.getCartBadgeCount();
       expect(cartCount).toBe(2);
     }
     
     console.log('[Mobile Test 4] ✓ Multiple products added to cart successfully');
   });
 
-  test('Mobile: User can view all products on inventory page', async ({ page }) => {
+  test('Mobile: User can view all products on inventory page', SIGNED_IN, async ({ mobileProductsPage }) => {
     console.log('[Mobile Test 5] Testing product listing on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    const productsPage = new MobileProductsPage(page);
-    
-    // Login
-    await loginPage.goto();
-    await loginPage.login(
-      testData.users.validUser.username,
-      testData.users.validUser.password
-    );
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
     
     // Get all products
-    const products = await productsPage.getAllProductNames();
+    const products = await mobileProductsPage.getAllProductNames();
     
     expect(products.length).toBeGreaterThan(0);
     console.log(`[Mobile Test 5] ✓ Found ${products.length} products on mobile`);
   });
 
-  test('Mobile: User can open and view cart', async ({ page }) => {
+  test('Mobile: User can open and view cart', SIGNED_IN, async ({ page, mobileProductsPage }) => {
     console.log('[Mobile Test 6] Testing cart view on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    const productsPage = new MobileProductsPage(page);
-    
-    // Login
-    await loginPage.goto();
-    await loginPage.login(
-      testData.users.validUser.username,
-      testData.users.validUser.password
-    );
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
     
     // Add product and open cart
-    await productsPage.waitForProductsToLoad();
-    await productsPage.addFirstProductToCart();
-    await productsPage.openCart();
+    await mobileProductsPage.waitForProductsToLoad();
+    await mobileProductsPage.addFirstProductToCart();
+    const cartPage = await mobileProductsPage.openCart();
     
     // Verify cart page loaded
     await expect(page.locator('.cart_list')).toBeVisible();
+    expect(await cartPage.getItemCount()).toBe(1);
     console.log('[Mobile Test 6] ✓ Cart view successful on mobile');
   });
 
@@ -159,24 +131,35 @@ test.describe('Sauce Demo - Mobile Testing', () => {
     console.log(`[Mobile Test 7] ✓ Viewport size: ${viewportSize.width}x${viewportSize.height}`);
   });
 
-  test('Mobile: Menu hamburger is accessible on mobile', async ({ page }) => {
+  test('Mobile: Menu hamburger is accessible on mobile', SIGNED_IN, async ({ page, mobileProductsPage }) => {
     console.log('[Mobile Test 8] Testing hamburger menu on mobile');
     
-    const loginPage = new MobileLoginPage(page);
-    const productsPage = new MobileProductsPage(page);
-    
-    // Login
-    await loginPage.goto();
-    await loginPage.login(
-      testData.users.validUser.username,
-      testData.users.validUser.password
-    );
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
     
     // Open menu
-    await productsPage.openMenu();
+    await mobileProductsPage.openMenu();
     
     // Verify menu is visible
     await expect(page.locator('.bm-menu')).toBeVisible();
     console.log('[Mobile Test 8] ✓ Hamburger menu accessible on mobile');
   });
+
+  test('Mobile: User can open product details and add to cart', SIGNED_IN, async ({ mobileProductsPage }) => {
+    console.log('[Mobile Test 9] Testing product detail on mobile');
+    
+    // Signed in via the validUser storageState
+    await mobileProductsPage.goto();
+    
+    const detailPage = await mobileProductsPage.openProductDetails(testData.products.bikeLights.name);
+    const details = await detailPage.getDetails();
+    expect(details.name).toBe(testData.products.bikeLights.name);
+    
+    await detailPage.addToCart();
+    await detailPage.backToProducts();
+    
+    // Cart badge survives the round trip
+    expect(await mobileProductsPage.getCartBadgeCount()).toBe(1);
+    console.log('[Mobile Test 9] ✓ Product detail add to cart successful on mobile');
+  });
 });
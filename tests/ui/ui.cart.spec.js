@@ -0,0 +1,91 @@
+/**
+ * UI Tests - Cart
+ * Line items, removal and navigation out of the cart (desktop and mobile projects)
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const testData = require('../../fixtures/testData');
+
+test.use({ persona: 'validUser' });
+
+test.describe('Sauce Demo - Cart', () => {
+  const { sauceLabs, bikeLights, boltTShirt } = testData.products;
+
+  test.beforeEach(async ({ page, coursePage }) => {
+    await coursePage.goto();
+
+    // Default (A-Z) order: Backpack, Bike Lights, Bolt T-Shirt
+    const addButtons = page.locator('[data-test^="add-to-cart"]');
+    for (let i = 0; i < 3; i++) {
+      await addButtons.first().click();
+    }
+    await expect(page.locator('.shopping_cart_badge')).toHaveText('3');
+  });
+
+  test('Cart lists line items with name, price, quantity and description', async ({ coursePage }) => {
+    const cartPage = await coursePage.openCart();
+    const items = await cartPage.getItems();
+
+    expect(items.map((item) => item.name)).toEqual([
+      sauceLabs.name,
+      bikeLights.name,
+      boltTShirt.name,
+    ]);
+    expect(items[0].price).toBe(parseFloat(sauceLabs.price.slice(1)));
+    expect(items[0].description).toContain(sauceLabs.description);
+    for (const item of items) {
+      expect(item.quantity).toBe(1);
+    }
+  });
+
+  test('Remove item by name', async ({ coursePage }) => {
+    const cartPage = await coursePage.openCart();
+
+    await cartPage.removeItemByName(bikeLights.name);
+
+    expect(await cartPage.getItemNames()).toEqual([sauceLabs.name, boltTShirt.name]);
+    expect(await coursePage.getCartItemCount()).toBe(2);
+  });
+
+  test('Remove item by index', async ({ coursePage }) => {
+    const cartPage = await coursePage.openCart();
+
+    await cartPage.removeItemByIndex(0);
+    await cartPage.removeItemByIndex(1);
+
+    expect(await cartPage.getItemNames()).toEqual([bikeLights.name]);
+  });
+
+  test('Removing every item leaves an empty cart', async ({ cartPage }) => {
+    await cartPage.goto();
+
+    while (!(await cartPage.isEmpty())) {
+      await cartPage.removeItemByIndex(0);
+    }
+
+    expect(await cartPage.getItemCount()).toBe(0);
+  });
+
+  test('Removing an unknown item fails clearly', async ({ cartPage }) => {
+    await cartPage.goto();
+
+    await expect(cartPage.removeItemByName('Not A Product')).rejects.toThrow(
+      'Cart item not found: Not A Product'
+    );
+  });
+
+  test('Continue shopping returns to the inventory with the cart intact', async ({ page, cartPage }) => {
+    await cartPage.goto();
+    await cartPage.continueShopping();
+
+    await expect(page.locator('.inventory_list')).toBeVisible();
+    await expect(page.locator('.shopping_cart_badge')).toHaveText('3');
+  });
+
+  test('Checkout opens the information step', async ({ page, cartPage }) => {
+    await cartPage.goto();
+    await cartPage.checkout();
+
+    await expect(page.locator('[data-test="firstName"]')).toBeVisible();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * UI Tests - Product Catalog
+ * Structured product records, add/remove by name, sorting and detail navigation
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const CoursePage = require('../../pages/coursePage');
+const SmartWait = require('../../utils/helpers/smartWait');
+const testData = require('../../fixtures/testData');
+
+test.use({ persona: 'validUser' });
+
+test.describe('Sauce Demo - Product Catalog', () => {
+  const { sauceLabs, bikeLights, boltTShirt } = testData.products;
+
+  test.beforeEach(async ({ coursePage }) => {
+    await coursePage.goto();
+  });
+
+  test('Products are listed as structured records', async ({ coursePage }) => {
+    const products = await coursePage.getProducts();
+
+    expect(products).toHaveLength(6);
+    for (const product of products) {
+      expect(product.name).not.toBe('');
+      expect(product.price).toBeGreaterThan(0);
+      expect(product.description).not.toBe('');
+      expect(product.imageSrc).toMatch(/\/static\/media\//);
+    }
+
+    const backpack = await coursePage.getProduct(sauceLabs.name);
+    expect(backpack.price).toBe(parseFloat(sauceLabs.price.slice(1)));
+    expect(backpack.description).toContain(sauceLabs.description);
+  });
+
+  test('searchCourse returns products matching the name', async ({ coursePage }) => {
+    const matches = await coursePage.searchCourse('t-shirt');
+
+    expect(matches.map((product) => product.name)).toContain(boltTShirt.name);
+    expect(matches.every((product) => /t-shirt/i.test(product.name))).toBeTruthy();
+  });
+
+  test('Add and remove products by name', async ({ coursePage }) => {
+    await coursePage.addProductByName(bikeLights.name);
+    await coursePage.addProductByName(boltTShirt.name);
+
+    expect(await coursePage.isProductInCart(bikeLights.name)).toBeTruthy();
+    expect(await coursePage.getCartItemCount()).toBe(2);
+
+    await coursePage.removeProductByName(bikeLights.name);
+
+    expect(await coursePage.isProductInCart(bikeLights.name)).toBeFalsy();
+    expect(await coursePage.isProductInCart(boltTShirt.name)).toBeTruthy();
+    expect(await coursePage.getCartItemCount()).toBe(1);
+  });
+
+  test('Product lookup requires the exact name', async ({ coursePage }) => {
+    await expect(coursePage.addProductByName('Sauce Labs Bike')).rejects.toThrow(
+      'Product not found: Sauce Labs Bike'
+    );
+  });
+
+  test('Row selectors are ambiguous until narrowed by scope or filter', async ({ coursePage }) => {
+    await expect(
+      coursePage.findElement('productButton', { strategies: ['css'], timeout: 2000 })
+    ).rejects.toThrow(/Product Cart Button is ambiguous: .* matches 6 elements/);
+
+    const row = await coursePage.getProductRow(bikeLights.name);
+    const scoped = await coursePage.findElement('productButton', { root: row });
+    const filtered = await coursePage.findElement('productButton', { filter: { index: 1 } });
+
+    await expect(scoped).toHaveAttribute('data-test', /sauce-labs-bike-lights$/);
+    await expect(filtered).toHaveAttribute('data-test', /sauce-labs-bike-lights$/);
+  });
+
+  for (const [sortKey, option] of Object.entries(CoursePage.SORT_OPTIONS)) {
+    test(`Sort by ${option.label}`, async ({ coursePage }) => {
+      await coursePage.sortBy(sortKey);
+
+      expect(await coursePage.getActiveSort()).toBe(option.label);
+      const result = await coursePage.verifySortOrder(sortKey);
+      expect(result.actual).toEqual(result.expected);
+    });
+  }
+
+  test('Event-driven waits report how long they took', async ({ page, coursePage }) => {
+    const reload = await SmartWait.waitForRequestsSettled(page, {
+      resourceTypes: ['document'],
+      action: () => page.reload(),
+      quietTime: 100,
+    });
+    expect(reload.requests).toBe(1);
+    expect(reload.duration).toBeGreaterThanOrEqual(100);
+
+    const list = page.locator(coursePage.selector('productList'));
+    await (await coursePage.findElement('sortDropdown')).selectOption('hilo');
+    const dom = await SmartWait.waitForDomQuiet(page, { root: list, quietTime: 150 });
+    expect(dom.duration).toBeGreaterThanOrEqual(150);
+
+    await list.evaluate((element) => {
+      element.style.transition = 'opacity 300ms linear';
+      element.getBoundingClientRect(); // commit the start value so the change transitions
+      element.style.opacity = '0.5';
+    });
+    const fade = await SmartWait.waitForAnimationsFinished(page, list, { subtree: false });
+    expect(fade.animations).toBe(1);
+    expect(fade.duration).toBeGreaterThanOrEqual(200);
+  });
+
+  test('Sort verification detects an unsorted list', async ({ coursePage }) => {
+    // Default order is name A-Z, which is not price high-low
+    const result = await coursePage.verifySortOrder('priceDesc');
+
+    expect(result.valid).toBeFalsy();
+  });
+
+  test('Open product details by name', async ({ page, coursePage }) => {
+    await coursePage.openProductDetails(boltTShirt.name);
+
+    await expect(page).toHaveURL(/\/inventory-item\.html\?id=1/);
+    await expect(page.locator('.inventory_details_name')).toHaveText(boltTShirt.name);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * UI Tests - Checkout
+ * Information, overview and complete steps with factory-generated customers
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const testData = require('../../fixtures/testData');
+const AutonomousDataFactory = require('../../utils/data/autonomousDataFactory');
+
+test.use({ persona: 'validUser' });
+
+test.describe('Sauce Demo - Checkout Flow', () => {
+  test.beforeEach(async ({ page, coursePage }) => {
+    await coursePage.goto();
+
+    const addButtons = page.locator('[data-test^="add-to-cart"]');
+    for (let i = 0; i < 2; i++) {
+      await addButtons.first().click();
+    }
+    await expect(page.locator('.shopping_cart_badge')).toHaveText('2');
+  });
+
+  test('Complete checkout with a generated customer', async ({ page, coursePage, dataFactory }) => {
+    const cartPage = await coursePage.openCart();
+    const cartItems = await cartPage.getItems();
+
+    const informationPage = await cartPage.checkout();
+    await informationPage.fillFromUser(dataFactory.create('user'));
+    const overviewPage = await informationPage.continue();
+
+    const result = await overviewPage.verifyTotals(cartItems, {
+      taxRate: testData.checkout.taxRate,
+    });
+    expect(result.errors).toEqual([]);
+    expect(result.actual.paymentInfo).toBe(testData.checkout.paymentInfo);
+    expect(result.actual.shippingInfo).toBe(testData.checkout.shippingInfo);
+
+    const completePage = await overviewPage.finish();
+    expect(await completePage.getHeader()).toBe(testData.checkout.completeHeader);
+    expect(await completePage.isOrderComplete()).toBeTruthy();
+
+    await completePage.backHome();
+    await expect(page.locator('.shopping_cart_badge')).toHaveCount(0);
+  });
+
+  test('Overview totals reflect removed cart items', async ({ cartPage, dataFactory }) => {
+    await cartPage.goto();
+    await cartPage.removeItemByIndex(0);
+    const cartItems = await cartPage.getItems();
+
+    const informationPage = await cartPage.checkout();
+    await informationPage.fillFromUser(dataFactory.create('user'));
+    const overviewPage = await informationPage.continue();
+
+    const result = await overviewPage.verifyTotals(cartItems);
+    expect(result.valid).toBeTruthy();
+    expect(result.actual.itemTotal).toBe(cartItems[0].price);
+  });
+
+  test('Missing fields show validation errors', async ({ checkoutInformationPage, dataFactory }) => {
+    const user = dataFactory.create('user');
+    await checkoutInformationPage.goto();
+
+    await checkoutInformationPage.submit();
+    expect(await checkoutInformationPage.getErrorMessage()).toBe('Error: First Name is required');
+    expect(await checkoutInformationPage.getFieldsWithErrors()).toEqual([
+      'firstName',
+      'lastName',
+      'postalCode',
+    ]);
+
+    await checkoutInformationPage.fillForm({ firstName: user.firstName });
+    await checkoutInformationPage.submit();
+    expect(await checkoutInformationPage.getErrorMessage()).toBe('Error: Last Name is required');
+
+    await checkoutInformationPage.fillForm({ lastName: user.lastName });
+    await checkoutInformationPage.submit();
+    expect(await checkoutInformationPage.getErrorMessage()).toBe('Error: Postal Code is required');
+
+    await checkoutInformationPage.dismissError();
+    expect(await checkoutInformationPage.isErrorDisplayed()).toBeFalsy();
+    expect(await checkoutInformationPage.getFieldsWithErrors()).toEqual([]);
+  });
+
+  test('Continue with missing fields reports the validation error', async ({ checkoutInformationPage }) => {
+    await checkoutInformationPage.goto();
+    await checkoutInformationPage.fillForm({ firstName: 'Ada', lastName: 'Lovelace' });
+
+    await expect(checkoutInformationPage.continue()).rejects.toThrow(
+      'Checkout information rejected: Error: Postal Code is required'
+    );
+  });
+
+  test('Cancel from information returns to the cart', async ({ page, checkoutInformationPage }) => {
+    await checkoutInformationPage.goto();
+    await checkoutInformationPage.cancel();
+
+    await expect(page.locator('.cart_item')).toHaveCount(2);
+  });
+
+  test('Cancel from overview returns to the inventory with the cart intact', async ({ page, checkoutOverviewPage }) => {
+    await checkoutOverviewPage.goto();
+    await checkoutOverviewPage.cancel();
+
+    await expect(page.locator('.shopping_cart_badge')).toHaveText('2');
+  });
+
+  test.describe('Postal Code Variants', () => {
+    // Built at collection time: buildVariants() is seeded, so the runner and every worker agree
+    for (const variant of AutonomousDataFactory.buildVariants('user', { fields: ['address.zip'] })) {
+      test(variant.label, async ({ page, checkoutInformationPage }) => {
+        const { zip } = variant.entity.address;
+        const dialogs = [];
+        page.on('dialog', (dialog) => {
+          dialogs.push(dialog.message());
+          dialog.dismiss().catch(() => {});
+        });
+
+        await checkoutInformationPage.goto();
+        await checkoutInformationPage.fillFromUser(variant.entity);
+        // Injected markup stays text: kept verbatim in the field, never turned into elements
+        await expect(page.locator('[data-test="postalCode"]')).toHaveValue(zip);
+
+        if (variant.kind === 'empty') {
+          await checkoutInformationPage.submit();
+          expect(await checkoutInformationPage.getErrorMessage()).toBe('Error: Postal Code is required');
+        } else {
+          // Sauce Demo accepts any non-empty postal code
+          const overviewPage = await checkoutInformationPage.continue();
+          await expect(page).toHaveURL(/\/checkout-step-two\.html/);
+          expect(await overviewPage.getTitle()).toBe(testData.checkout.overviewTitle);
+          expect(await overviewPage.getItems()).toHaveLength(2);
+        }
+
+        if (/[<>]/.test(zip)) {
+          expect(await page.content()).not.toContain(zip);
+        }
+        expect(dialogs).toEqual([]);
+      });
+    }
+  });
+});
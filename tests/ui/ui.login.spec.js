@@ -1,26 +1,24 @@
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../pages/loginPage');
-const CoursePage = require('../../pages/coursePage');
+const { test, expect } = require('../../fixtures/testFixtures');
 const testData = require('../../fixtures/testData');
+const WaitTracker = require('../../utils/monitoring/waitTracker');
 
 test.describe('Sauce Demo - Desktop UI Login and Shopping Flow', () => {
 
-  test('Login should succeed with valid credentials', async ({ page }) => {
-    const login = new LoginPage(page);
-    await login.goto();
+  test('Login should succeed with valid credentials', async ({ page, loginPage }) => {
+    await loginPage.goto();
     // Using standard_user from Sauce Demo
-    await login.login(testData.users.validUser.username, testData.users.validUser.password);
+    await loginPage.login(testData.users.validUser.username, testData.users.validUser.password);
     // Verify we're logged in by checking for inventory container
     await expect(page.locator('.inventory_container')).toBeVisible();
   });
 
-  test('Add product to cart and verify', async ({ page }) => {
-    const login = new LoginPage(page);
-    const course = new CoursePage(page);
-    await login.goto();
-    await login.login(testData.users.validUser.username, testData.users.validUser.password);
-    await course.searchCourse('Sauce Labs');
-    await course.enrollFirstCourse();
+  test('Add product to cart and verify', {
+    // Signed in via the validUser storageState (tests/auth.setup.js)
+    annotation: { type: 'persona', description: 'validUser' },
+  }, async ({ page, coursePage }) => {
+    await coursePage.goto();
+    await coursePage.searchCourse('Sauce Labs');
+    await coursePage.enrollFirstCourse();
     // Verify cart badge is visible
     await expect(page.locator('.shopping_cart_badge')).toBeVisible();
     // Verify cart has item count
@@ -28,4 +26,37 @@ test.describe('Sauce Demo - Desktop UI Login and Shopping Flow', () => {
     await expect(cartBadge).toHaveText('1');
   });
 
+  test('Locked out user sees the error banner', async ({ loginPage }) => {
+    await loginPage.goto();
+    await loginPage.login(testData.users.lockedUser.username, testData.users.lockedUser.password);
+
+    expect(await loginPage.isErrorDisplayed()).toBeTruthy();
+    expect(await loginPage.getErrorMessage()).toContain('locked out');
+  });
+
+  test('Logout settles on the login page', {
+    annotation: { type: 'persona', description: 'validUser' },
+  }, async ({ page, loginPage, coursePage }) => {
+    await coursePage.goto();
+    await coursePage.logout();
+
+    await expect(page).toHaveURL(/\/$/);
+    expect(await loginPage.isLogoVisible()).toBeTruthy();
+  });
+
+  test('Login carries on when the next page never stops changing', async ({ page, loginPage }) => {
+    // e.g. a ticker or carousel: the DOM is never quiet
+    await page.addInitScript(() => {
+      setInterval(() => document.documentElement.setAttribute('data-tick', String(Date.now())), 50);
+    });
+    await loginPage.goto();
+    await loginPage.login(testData.users.validUser.username, testData.users.validUser.password);
+
+    await expect(page.locator('.inventory_container')).toBeVisible();
+
+    // The time lost still shows in the wait budget
+    const domQuiet = WaitTracker.snapshot().waits.find(({ key }) => key.endsWith('Login quiet (:root)'));
+    expect(domQuiet).toMatchObject({ count: 1, timeouts: 1 });
+  });
+
 });
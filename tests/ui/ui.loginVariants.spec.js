@@ -0,0 +1,22 @@
+/**
+ * UI Tests - Login Username Variants
+ * Boundary and negative usernames from AutonomousDataFactory.buildVariants()
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const testData = require('../../fixtures/testData');
+const AutonomousDataFactory = require('../../utils/data/autonomousDataFactory');
+
+test.describe('Sauce Demo - Login Username Variants', () => {
+  // Built at collection time: buildVariants() is seeded, so the runner and every worker agree
+  for (const variant of AutonomousDataFactory.buildVariants('user', { fields: ['username'] })) {
+    test(variant.label, async ({ loginPage }) => {
+      await loginPage.goto();
+      await loginPage.login(variant.entity.username, testData.users.validUser.password);
+
+      expect(await loginPage.getErrorMessage()).toContain(
+        variant.kind === 'empty' ? 'Username is required' : 'do not match any user'
+      );
+    });
+  }
+});
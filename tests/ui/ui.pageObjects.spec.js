@@ -0,0 +1,13 @@
+/**
+ * UI Tests - Page Objects
+ * Desktop and mobile variants chosen by PageFactory from the project
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+
+test.describe('Sauce Demo - Page Object Variants', () => {
+  test('Page objects match the project variant', async ({ loginPage, coursePage, isMobile }) => {
+    expect(loginPage.isMobile).toBe(isMobile);
+    expect(coursePage.isMobile).toBe(isMobile);
+  });
+});
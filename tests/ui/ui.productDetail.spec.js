@@ -0,0 +1,62 @@
+/**
+ * UI Tests - Product Detail
+ * Detail fields, add/remove and cart state sync with the inventory
+ */
+
+const { test, expect } = require('../../fixtures/testFixtures');
+const testData = require('../../fixtures/testData');
+
+test.use({ persona: 'validUser' });
+
+test.describe('Sauce Demo - Product Detail', () => {
+  const { sauceLabs, bikeLights } = testData.products;
+
+  test.beforeEach(async ({ coursePage }) => {
+    await coursePage.goto();
+  });
+
+  test('Detail page shows the same product as the inventory', async ({ coursePage }) => {
+    const listed = await coursePage.getProduct(sauceLabs.name);
+
+    const detailPage = await coursePage.openProductDetails(sauceLabs.name);
+    const details = await detailPage.getDetails();
+
+    expect(details).toEqual(listed);
+  });
+
+  test('Add from detail page is reflected in the inventory', async ({ coursePage }) => {
+    const detailPage = await coursePage.openProductDetails(bikeLights.name);
+
+    await detailPage.addToCart();
+    expect(await detailPage.getCartState()).toEqual({ inCart: true, badgeCount: 1 });
+
+    await detailPage.backToProducts();
+    expect(await coursePage.isProductInCart(bikeLights.name)).toBeTruthy();
+    expect(await coursePage.getCartItemCount()).toBe(1);
+  });
+
+  test('Remove from detail page is reflected in the inventory', async ({ coursePage }) => {
+    await coursePage.addProductByName(sauceLabs.name);
+    await coursePage.addProductByName(bikeLights.name);
+
+    const detailPage = await coursePage.openProductDetails(bikeLights.name);
+    expect(await detailPage.getCartState()).toEqual({ inCart: true, badgeCount: 2 });
+
+    await detailPage.removeFromCart();
+    expect(await detailPage.getCartState()).toEqual({ inCart: false, badgeCount: 1 });
+
+    await detailPage.backToProducts();
+    expect(await coursePage.isProductInCart(bikeLights.name)).toBeFalsy();
+    expect(await coursePage.isProductInCart(sauceLabs.name)).toBeTruthy();
+    expect(await coursePage.getCartItemCount()).toBe(1);
+  });
+
+  test('Inventory cart state is shown on the detail page', async ({ coursePage, productDetailPage }) => {
+    await coursePage.addProductByName(sauceLabs.name);
+
+    // Backpack is item 4 on Sauce Demo
+    await productDetailPage.goto(4);
+
+    expect(await productDetailPage.getCartState()).toEqual({ inCart: true, badgeCount: 1 });
+  });
+});
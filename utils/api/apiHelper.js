@@ -4,9 +4,11 @@
  * Supports authentication headers, request/response logging, and error handling
  */
 
+const { resolveBaseUrl } = require('../helpers/environment');
+
 class APIHelper {
   constructor(baseURL, requestContext) {
-    this.baseURL = baseURL || process.env.BASE_URL || 'https://www.saucedemo.com';
+    this.baseURL = resolveBaseUrl(baseURL);
     this.requestContext = requestContext;
     this.defaultHeaders = {
       'Content-Type': 'application/json',
@@ -1,10 +1,11 @@
 
 const { request } = require('@playwright/test');
+const { resolveBaseUrl } = require('./helpers/environment');
 
 class ApiClient {
   constructor(baseURL) {
-    // Using Sauce Demo API if available, otherwise use provided URL
-    this.baseURL = baseURL || process.env.BASE_URL || 'https://www.saucedemo.com';
+    // Using Sauce Demo (or the stand-in via BASE_URL) unless a URL is provided
+    this.baseURL = resolveBaseUrl(baseURL);
   }
 
   async getProducts() {
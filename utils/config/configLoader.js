@@ -0,0 +1,218 @@
+/**
+ * ConfigLoader - Central Access to autonomousConfig.js
+ *
+ * Features:
+ * - Single cached load of the framework configuration
+ * - Dot-path lookups with fallbacks (e.g. 'selfHealing.retryStrategy')
+ * - Reload support for tests that change environment variables
+ * - AUTONOMOUS_CONFIG env var to point at an alternate config file
+ * - Schema validation at load time (configSchema.js)
+ * - Named profiles via AUTONOMOUS_PROFILE or --profile <name>
+ */
+
+const path = require('path');
+const ConfigValidator = require('./configValidator');
+const configSchema = require('./configSchema');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../autonomousConfig.js');
+
+class ConfigLoader {
+  static cachedConfig = null;
+  static activeProfile = null;
+
+  /**
+   * Resolve the config file path
+   * @returns {string}
+   */
+  static getConfigPath() {
+    return process.env.AUTONOMOUS_CONFIG
+      ? path.resolve(process.env.AUTONOMOUS_CONFIG)
+      : DEFAULT_CONFIG_PATH;
+  }
+
+  /**
+   * Get the full configuration object (loaded once, then cached)
+   * @returns {Object}
+   */
+  static getConfig() {
+    if (!this.cachedConfig) {
+      this.cachedConfig = this.loadConfig();
+    }
+
+    return this.cachedConfig;
+  }
+
+  /**
+   * Load configuration from disk, validate it and apply the selected profile
+   * @returns {Object}
+   */
+  static loadConfig() {
+    const configPath = this.getConfigPath();
+    let rawConfig;
+
+    try {
+      delete require.cache[require.resolve(configPath)];
+      rawConfig = require(configPath);
+    } catch (error) {
+      throw new Error(
+        `[ConfigLoader] Could not load config from ${configPath}: ${error.message}`
+      );
+    }
+
+    const { profiles = {}, ...baseConfig } = rawConfig;
+
+    // Report problems in the base config and every profile together
+    const errors = ConfigValidator.validate(baseConfig, configSchema);
+    for (const [name, overrides] of Object.entries(profiles)) {
+      errors.push(
+        ...ConfigValidator.validate(overrides, configSchema, {
+          partial: true,
+          path: `profiles.${name}`,
+        })
+      );
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(
+        `[ConfigLoader] Invalid config in ${configPath}:\n${ConfigValidator.formatErrors(errors)}`
+      );
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const profileName = this.getProfileName();
+    this.activeProfile = profileName;
+
+    if (!profileName) {
+      return baseConfig;
+    }
+
+    if (!profiles[profileName]) {
+      const available = Object.keys(profiles).join(', ') || 'none';
+      throw new Error(
+        `[ConfigLoader] Unknown profile "${profileName}" (available: ${available})`
+      );
+    }
+
+    const config = this.mergeDeep(baseConfig, profiles[profileName]);
+    ConfigValidator.assertValid(config, configSchema, `config for profile "${profileName}"`);
+
+    console.log(`✓ [ConfigLoader] Using profile: ${profileName}`);
+    return config;
+  }
+
+  /**
+   * Get the selected profile name
+   * --profile <name> / --profile=<name> wins over AUTONOMOUS_PROFILE.
+   * @returns {string|null}
+   */
+  static getProfileName() {
+    const fromFlag = this.parseProfileFlag(process.argv);
+
+    if (fromFlag) {
+      // Child processes (e.g. scheduled `npm test` runs) inherit the profile
+      process.env.AUTONOMOUS_PROFILE = fromFlag;
+      return fromFlag;
+    }
+
+    return process.env.AUTONOMOUS_PROFILE || null;
+  }
+
+  /**
+   * Read --profile from a CLI argument list
+   * @param {string[]} argv
+   * @returns {string|null}
+   */
+  static parseProfileFlag(argv = []) {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--profile' && argv[i + 1]) {
+        return argv[i + 1];
+      }
+      if (argv[i].startsWith('--profile=')) {
+        return argv[i].slice('--profile='.length);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the name of the profile the current config was built with
+   * @returns {string|null}
+   */
+  static getActiveProfile() {
+    this.getConfig();
+    return this.activeProfile;
+  }
+
+  /**
+   * Merge profile overrides into a config
+   * Plain objects merge recursively; arrays and primitives replace.
+   * @param {Object} base
+   * @param {Object} overrides
+   * @returns {Object} - New object; inputs are not modified
+   */
+  static mergeDeep(base, overrides) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const current = result[key];
+      const bothObjects =
+        value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current);
+
+      result[key] = bothObjects ? this.mergeDeep(current, value) : value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a setting by dot path
+   * @param {string} keyPath - e.g. 'performance.thresholds'
+   * @param {*} fallback - Returned when the path is missing
+   * @returns {*}
+   */
+  static get(keyPath, fallback = undefined) {
+    let value = this.getConfig();
+
+    for (const key of keyPath.split('.')) {
+      if (value === null || typeof value !== 'object' || !(key in value)) {
+        return fallback;
+      }
+      value = value[key];
+    }
+
+    return value === undefined ? fallback : value;
+  }
+
+  /**
+   * Check whether a feature section is enabled
+   * A section without an `enabled` flag counts as enabled.
+   * @param {string} keyPath - e.g. 'selfHealing.smartWaiting'
+   * @returns {boolean}
+   */
+  static isEnabled(keyPath) {
+    const parts = keyPath.split('.');
+
+    // Every enclosing section must be enabled too
+    for (let i = 1; i <= parts.length; i++) {
+      const section = this.get(parts.slice(0, i).join('.'), {});
+      if (section && section.enabled === false) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop the cached config so the next access re-reads it
+   */
+  static reload() {
+    this.cachedConfig = null;
+    return this.getConfig();
+  }
+}
+
+module.exports = ConfigLoader;
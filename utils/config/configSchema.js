@@ -0,0 +1,365 @@
+/**
+ * Config Schema - Declared Shape of autonomousConfig.js
+ *
+ * Node types:
+ * - object:  { type: 'object', properties: {...}, required: [...] }
+ * - map:     { type: 'object', values: <node> } (any keys, every value checked)
+ * - array:   { type: 'array', items: <node> }
+ * - number:  { type: 'number', min, max, integer }
+ * - string:  { type: 'string', enum: [...], format: 'url' | 'cron' }
+ * - boolean: { type: 'boolean' }
+ *
+ * `optional: true` allows undefined (values read from unset env vars).
+ * Keys not declared under `properties` are reported as unknown.
+ */
+
+const bool = { type: 'boolean' };
+const positiveInt = { type: 'number', integer: true, min: 1 };
+const nonNegativeInt = { type: 'number', integer: true, min: 0 };
+const url = { type: 'string', format: 'url' };
+const testType = { type: 'string', enum: ['all', 'ui', 'api', 'mobile'] };
+const strategyOrder = {
+  type: 'array',
+  items: { type: 'string', enum: ['css', 'role', 'label', 'placeholder', 'text'] },
+};
+
+// ErrorAnalyzer.classifyError() types
+const errorType = {
+  type: 'string',
+  enum: [
+    'NETWORK_ERROR',
+    'ELEMENT_NOT_FOUND',
+    'NAVIGATION_ERROR',
+    'ASSERTION_ERROR',
+    'SELECTOR_ERROR',
+    'VISIBILITY_ERROR',
+    'AUTH_ERROR',
+    'SERVER_ERROR',
+    'RESOURCE_ERROR',
+    'TIMEOUT_ERROR',
+    'UNKNOWN_ERROR',
+  ],
+};
+const retryTuning = {
+  type: 'object',
+  properties: {
+    retry: bool,
+    maxAttempts: { ...positiveInt, max: 10 },
+    backoff: { type: 'string', enum: ['exponential', 'linear', 'constant'] },
+    initialDelay: { ...nonNegativeInt, max: 60000 },
+    multiplier: { type: 'number', min: 1, max: 10 },
+    maxDelay: { ...nonNegativeInt, max: 300000 },
+    jitter: { type: 'number', min: 0, max: 1 },
+  },
+};
+
+const schedulingSchema = {
+  type: 'object',
+  required: ['enabled', 'jobs'],
+  properties: {
+    enabled: bool,
+    jobs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'cronExpression', 'testType'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          cronExpression: { type: 'string', format: 'cron' },
+          testType,
+          notifyOnFailure: bool,
+        },
+      },
+    },
+  },
+};
+
+const performanceSchema = {
+  type: 'object',
+  required: ['enabled', 'thresholds'],
+  properties: {
+    enabled: bool,
+    monitoring: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        trackMemory: bool,
+        trackExecutionTime: bool,
+      },
+    },
+    thresholds: {
+      type: 'object',
+      properties: {
+        maxTestDuration: { ...positiveInt, max: 60 * 60 * 1000 },
+        maxMemoryUsage: { ...positiveInt, max: 64 * 1024 },
+        maxResponseTime: { ...positiveInt, max: 10 * 60 * 1000 },
+      },
+    },
+    optimization: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        analyzeBottlenecks: bool,
+        suggestOptimizations: bool,
+      },
+    },
+  },
+};
+
+const reportingSchema = {
+  type: 'object',
+  required: ['enabled', 'dashboard'],
+  properties: {
+    enabled: bool,
+    dashboard: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        autoGenerate: bool,
+        outputDir: { type: 'string', minLength: 1 },
+        retentionDays: { ...nonNegativeInt, max: 3650 },
+      },
+    },
+    errorAnalysis: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        classifyErrors: bool,
+        generateRecommendations: bool,
+      },
+    },
+    formats: {
+      type: 'object',
+      properties: {
+        html: bool,
+        json: bool,
+        junit: bool,
+      },
+    },
+    flakiness: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        storePath: { type: 'string', minLength: 1 },
+        window: { ...positiveInt, max: 1000 },
+        minExecutions: { ...positiveInt, max: 1000 },
+        quarantineThreshold: { type: 'number', min: 0, max: 1 },
+        recoveredWeight: { type: 'number', min: 0, max: 1 },
+        releaseAfter: { ...positiveInt, max: 1000 },
+      },
+    },
+  },
+};
+
+const cleanupMode = { type: 'string', enum: ['delete', 'archive', 'reset', 'none'] };
+
+const dataSchema = {
+  type: 'object',
+  required: ['enabled', 'cleanup'],
+  properties: {
+    enabled: bool,
+    factory: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        useFaker: bool,
+        generateDynamicData: bool,
+        seed: nonNegativeInt,
+        perTestSeed: bool,
+      },
+    },
+    cleanup: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        autoCleanupAfterTest: bool,
+        cleanupStrategies: {
+          type: 'object',
+          properties: {
+            users: cleanupMode,
+            products: cleanupMode,
+            orders: cleanupMode,
+          },
+        },
+      },
+    },
+  },
+};
+
+const selfHealingSchema = {
+  type: 'object',
+  required: ['enabled', 'selectorManagement', 'retryStrategy', 'smartWaiting'],
+  properties: {
+    enabled: bool,
+    selectorManagement: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        cacheSuccessfulSelectors: bool,
+        generateFallbacks: bool,
+        persistSelectors: bool,
+        storePath: { type: 'string', minLength: 1 },
+        similarityHealing: bool,
+        similarityThreshold: { type: 'number', min: 0, max: 1 },
+        strategyOrder,
+        elementStrategies: { type: 'object', values: strategyOrder },
+      },
+    },
+    retryStrategy: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        maxRetries: { ...positiveInt, max: 10 },
+        initialDelay: { ...nonNegativeInt, max: 60000 },
+        backoffMultiplier: { type: 'number', min: 1, max: 10 },
+        retryableErrors: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+        },
+        errorTypes: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['default', ...errorType.enum].map((type) => [type, retryTuning])
+          ),
+        },
+        policies: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['retryOn'],
+            properties: {
+              retryOn: { type: 'array', items: errorType },
+              maxAttempts: { ...positiveInt, max: 10 },
+            },
+          },
+        },
+        circuitBreaker: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            errorTypes: { type: 'array', items: errorType },
+            failureThreshold: { ...positiveInt, max: 1000 },
+            probeInterval: { ...positiveInt, max: 600000 },
+            probeTimeout: { ...positiveInt, max: 60000 },
+            maxEvents: { ...positiveInt, max: 10000 },
+            statePath: { type: 'string', minLength: 1 },
+          },
+        },
+      },
+    },
+    smartWaiting: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        waitForVisibility: bool,
+        waitForStability: bool,
+        waitForNetworkIdle: bool,
+        settle: {
+          type: 'object',
+          properties: {
+            requestQuietTime: { ...nonNegativeInt, max: 10000 },
+            domQuietTime: { ...nonNegativeInt, max: 10000 },
+            domTimeout: { ...positiveInt, max: 60000 },
+          },
+        },
+        budget: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            instantThreshold: { ...nonNegativeInt, max: 1000 },
+            dominatedRatio: { type: 'number', min: 0, max: 1 },
+            minWaitTime: nonNegativeInt,
+            minSamples: positiveInt,
+          },
+        },
+      },
+    },
+  },
+};
+
+const notificationsSchema = {
+  type: 'object',
+  properties: {
+    enabled: bool,
+    slack: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        webhookUrl: { ...url, optional: true },
+        notifyOnSuccess: bool,
+        notifyOnFailure: bool,
+        notifyOnError: bool,
+        notifyOnSlowTests: bool,
+      },
+    },
+    email: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        recipients: { type: 'array', items: { type: 'string', minLength: 1 } },
+        notifyOnFailure: bool,
+      },
+    },
+    console: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        verbose: bool,
+      },
+    },
+  },
+};
+
+const advancedSchema = {
+  type: 'object',
+  properties: {
+    enableDetailedLogging: bool,
+    generateCoverageReports: bool,
+    enableVideoRecording: bool,
+    enableScreenshots: bool,
+    parallelExecution: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        maxWorkers: { ...positiveInt, max: 64 },
+      },
+    },
+    testTimeout: {
+      type: 'object',
+      properties: {
+        ui: { ...positiveInt, max: 10 * 60 * 1000 },
+        api: { ...positiveInt, max: 10 * 60 * 1000 },
+        mobile: { ...positiveInt, max: 10 * 60 * 1000 },
+      },
+    },
+  },
+};
+
+const environmentSchema = {
+  type: 'object',
+  required: ['baseUrl'],
+  properties: {
+    baseUrl: url,
+    apiBaseUrl: url,
+    standInUrl: url,
+    headless: bool,
+    slowMo: { ...nonNegativeInt, max: 10000 },
+  },
+};
+
+const configSchema = {
+  type: 'object',
+  required: ['selfHealing', 'environment'],
+  properties: {
+    scheduling: schedulingSchema,
+    performance: performanceSchema,
+    reporting: reportingSchema,
+    data: dataSchema,
+    selfHealing: selfHealingSchema,
+    notifications: notificationsSchema,
+    advanced: advancedSchema,
+    environment: environmentSchema,
+  },
+};
+
+module.exports = configSchema;
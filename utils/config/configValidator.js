@@ -0,0 +1,365 @@
+/**
+ * ConfigValidator - Schema Validation for autonomousConfig.js
+ *
+ * Features:
+ * - Type, range, length, enum, pattern and format (url, cron) checks
+ * - Unknown key detection with "did you mean" suggestions
+ * - Partial mode for profile overrides (required keys not enforced)
+ * - All problems reported at once, each with its config path
+ */
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+  },
+];
+
+const SECONDS_FIELD = { name: 'second', min: 0, max: 59 };
+
+class ConfigValidator {
+  /**
+   * Validate a value against a schema node
+   * @param {*} value - Config (or config fragment) to check
+   * @param {Object} schema - Schema node (see configSchema.js)
+   * @param {Object} options
+   * @param {boolean} options.partial - Skip required-key checks (default: false)
+   * @param {string} options.path - Path prefix for messages
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  static validate(value, schema, { partial = false, path = '' } = {}) {
+    const errors = [];
+    this.validateNode(value, schema, path, errors, partial);
+    return errors;
+  }
+
+  /**
+   * Validate and throw with a readable message listing every problem
+   * @param {Object} config - Config to check
+   * @param {Object} schema - Root schema
+   * @param {string} label - What is being validated (for the message)
+   * @param {Object} options - Same as validate()
+   */
+  static assertValid(config, schema, label, options = {}) {
+    const errors = this.validate(config, schema, options);
+
+    if (errors.length > 0) {
+      const error = new Error(
+        `[ConfigValidator] Invalid ${label}:\n${this.formatErrors(errors)}`
+      );
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Format validation errors one per line
+   */
+  static formatErrors(errors) {
+    return errors
+      .map(({ path, message }) => `  - ${path || '(root)'}: ${message}`)
+      .join('\n');
+  }
+
+  static validateNode(value, schema, path, errors, partial) {
+    if (value === undefined) {
+      if (!schema.optional && !partial) {
+        errors.push({ path, message: 'is required' });
+      }
+      return;
+    }
+
+    switch (schema.type) {
+      case 'object':
+        this.validateObject(value, schema, path, errors, partial);
+        break;
+      case 'array':
+        this.validateArray(value, schema, path, errors, partial);
+        break;
+      case 'number':
+        this.validateNumber(value, schema, path, errors);
+        break;
+      case 'string':
+        this.validateString(value, schema, path, errors);
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push({ path, message: `expected boolean, got ${this.describe(value)}` });
+        }
+        break;
+      case 'function':
+        if (typeof value !== 'function') {
+          errors.push({ path, message: `expected function, got ${this.describe(value)}` });
+        }
+        break;
+      case 'any':
+        break;
+      default:
+        throw new Error(`[ConfigValidator] Unknown schema type "${schema.type}" at ${path}`);
+    }
+  }
+
+  static validateObject(value, schema, path, errors, partial) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path, message: `expected object, got ${this.describe(value)}` });
+      return;
+    }
+
+    // Map nodes accept any key and validate every value against `values`
+    if (schema.values) {
+      for (const key of Object.keys(value)) {
+        this.validateNode(value[key], schema.values, this.join(path, key), errors, false);
+      }
+      return;
+    }
+
+    const properties = schema.properties || {};
+    const knownKeys = Object.keys(properties);
+
+    for (const key of Object.keys(value)) {
+      if (!properties[key]) {
+        const suggestion = this.suggestKey(key, knownKeys);
+        errors.push({
+          path: this.join(path, key),
+          message: suggestion
+            ? `unknown key (did you mean "${suggestion}"?)`
+            : `unknown key (expected one of: ${knownKeys.join(', ')})`,
+        });
+      }
+    }
+
+    if (!partial) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ path: this.join(path, key), message: 'is required' });
+        }
+      }
+    }
+
+    for (const key of knownKeys) {
+      if (value[key] !== undefined) {
+        this.validateNode(value[key], properties[key], this.join(path, key), errors, partial);
+      }
+    }
+  }
+
+  static validateArray(value, schema, path, errors, partial) {
+    if (!Array.isArray(value)) {
+      errors.push({ path, message: `expected array, got ${this.describe(value)}` });
+      return;
+    }
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s), got ${value.length}` });
+    }
+
+    // Array items are always validated in full, even inside a profile
+    value.forEach((item, index) => {
+      this.validateNode(item, schema.items, `${path}[${index}]`, errors, false);
+    });
+  }
+
+  static validateNumber(value, schema, path, errors) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push({ path, message: `expected number, got ${this.describe(value)}` });
+      return;
+    }
+
+    if (schema.integer && !Number.isInteger(value)) {
+      errors.push({ path, message: `expected integer, got ${value}` });
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, message: `must be >= ${schema.min}, got ${value}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, message: `must be <= ${schema.max}, got ${value}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.join(', ')}, got ${value}` });
+    }
+  }
+
+  static validateString(value, schema, path, errors) {
+    if (typeof value !== 'string') {
+      errors.push({ path, message: `expected string, got ${this.describe(value)}` });
+      return;
+    }
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} character(s)` });
+    }
+
+    // Patterns match the whole value
+    if (schema.pattern && !new RegExp(`^(?:${schema.pattern})$`).test(value)) {
+      errors.push({ path, message: `must match /${schema.pattern}/, got "${value}"` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        path,
+        message: `must be one of ${schema.enum.map((v) => `"${v}"`).join(', ')}, got "${value}"`,
+      });
+    }
+
+    if (schema.format === 'url' && !/^https?:\/\/[^\s/]+/.test(value)) {
+      errors.push({ path, message: `expected http(s) URL, got "${value}"` });
+    }
+
+    if (schema.format === 'cron') {
+      const problem = this.validateCron(value);
+      if (problem) {
+        errors.push({ path, message: `invalid cron expression "${value}" (${problem})` });
+      }
+    }
+  }
+
+  /**
+   * Check a cron expression (5 fields, or 6 with leading seconds as node-cron allows)
+   * @param {string} expression - e.g. '0 *\/6 * * *'
+   * @returns {string|null} - Problem description, or null if valid
+   */
+  static validateCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+
+    let fields;
+    if (parts.length === 5) {
+      fields = CRON_FIELDS;
+    } else if (parts.length === 6) {
+      fields = [SECONDS_FIELD, ...CRON_FIELDS];
+    } else {
+      return `expected 5 or 6 fields, got ${parts.length}`;
+    }
+
+    for (let i = 0; i < fields.length; i++) {
+      const problem = this.validateCronField(parts[i], fields[i]);
+      if (problem) {
+        return `${fields[i].name}: ${problem}`;
+      }
+    }
+
+    return null;
+  }
+
+  static validateCronField(field, spec) {
+    for (const part of field.split(',')) {
+      const match = part.match(/^([^/]+)(?:\/(\d+))?$/);
+      if (!match) {
+        return `cannot parse "${part}"`;
+      }
+
+      const [, range, step] = match;
+      if (step !== undefined && parseInt(step, 10) < 1) {
+        return `step must be >= 1 in "${part}"`;
+      }
+
+      if (range === '*') {
+        continue;
+      }
+
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        return `cannot parse "${part}"`;
+      }
+
+      const values = bounds.map((bound) => this.parseCronValue(bound, spec));
+      for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) {
+          return `"${bounds[i]}" is not a valid value`;
+        }
+        if (values[i] < spec.min || values[i] > spec.max) {
+          return `${values[i]} out of range ${spec.min}-${spec.max}`;
+        }
+      }
+
+      if (values.length === 2 && values[0] > values[1]) {
+        return `range "${range}" is reversed`;
+      }
+    }
+
+    return null;
+  }
+
+  static parseCronValue(value, spec) {
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+
+    const index = spec.names ? spec.names.indexOf(value.toUpperCase()) : -1;
+    if (index === -1) {
+      return null;
+    }
+
+    // Month names are 1-based, weekday names 0-based
+    return spec.min === 1 ? index + 1 : index;
+  }
+
+  /**
+   * Suggest the closest known key for a likely typo
+   * @returns {string|null}
+   */
+  static suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of knownKeys) {
+      const distance = this.editDistance(key.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  static describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return `${typeof value} ${JSON.stringify(value)}`;
+  }
+
+  static join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+}
+
+module.exports = ConfigValidator;
@@ -5,43 +5,473 @@
  * - Faker.js integration for realistic data
  * - User credential generation
  * - Product data creation
- * - Test data templates
+ * - Declarative entity templates (fixtures/dataTemplates.js via DataTemplates):
+ *   field constraints, relations between entities, nested overrides, and
+ *   every generated entity validated against its template
+ * - New entity types without a generate* method (defineTemplate())
+ * - Boundary and negative variants of an entity (buildVariants()), each
+ *   labelled for data-driven test.describe loops
  * - Data cleanup after tests
+ * - Deterministic data: every generate* method draws from the seeded faker;
+ *   one seed per run (DATA_SEED replays it), derived per test from its title
  */
 
 const { faker } = require('@faker-js/faker');
+const ConfigLoader = require('../config/configLoader');
+const ConfigValidator = require('../config/configValidator');
+const DataTemplates = require('./dataTemplates');
+
+const SEED_ENV = 'DATA_SEED';
+// Faker values regenerated this often before a field's constraints count as unsatisfiable
+const MAX_ATTEMPTS = 20;
+
+// Boundary and negative values for buildVariants(); undefined when a field's constraints rule a kind out
+const STRING_VARIANTS = {
+  empty: () => '',
+  whitespace: () => '   ',
+  'min-length-1': ({ length = {} }) => (length.min > 1 ? 'a'.repeat(length.min - 1) : undefined),
+  'max-length': ({ length = {} }) => (length.max !== undefined ? 'a'.repeat(length.max) : undefined),
+  'max-length+1': ({ length = {} }) => (length.max !== undefined ? 'a'.repeat(length.max + 1) : undefined),
+  unicode: () => 'Zoë Ñandú Łódź Straße',
+  rtl: () => 'مرحبا بالعالم',
+  emoji: () => '🛒🚀✨',
+  'sql-injection': () => "' OR '1'='1' --",
+  'script-injection': () => '<script>alert("xss")</script>',
+};
+
+const step = (field) => (field.type === 'integer' ? 1 : 10 ** -(field.precision ?? 2));
+const NUMBER_VARIANTS = {
+  min: (field) => field.min,
+  max: (field) => field.max,
+  'below-min': (field) => (field.min !== undefined ? Number((field.min - step(field)).toFixed(10)) : undefined),
+  'above-max': (field) => (field.max !== undefined ? Number((field.max + step(field)).toFixed(10)) : undefined),
+};
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+let currentSeed = null;
 
 class AutonomousDataFactory {
   constructor() {
     this.generatedData = [];
   }
 
+  /**
+   * Seed of the whole run: DATA_SEED, else data.factory.seed, else random
+   * A generated seed is stored in DATA_SEED, so Playwright workers (forked
+   * after playwright.config.js resolved it) share the runner's seed.
+   * @returns {number}
+   */
+  static getRunSeed() {
+    const fromEnv = process.env[SEED_ENV];
+
+    if (fromEnv !== undefined && fromEnv !== '') {
+      const seed = Number(fromEnv);
+      if (!Number.isSafeInteger(seed) || seed < 0) {
+        throw new Error(`${SEED_ENV} must be a non-negative integer, got "${fromEnv}"`);
+      }
+      return seed;
+    }
+
+    const seed = ConfigLoader.get('data.factory.seed') ?? Math.floor(Math.random() * 2 ** 31);
+    process.env[SEED_ENV] = String(seed);
+    return seed;
+  }
+
+  /**
+   * Name of the env var that replays a run's data
+   * @returns {string}
+   */
+  static getSeedEnvVar() {
+    return SEED_ENV;
+  }
+
+  /**
+   * Derive a seed from the run seed and a key (FNV-1a)
+   * @param {number} runSeed
+   * @param {string} key - e.g. the test's title path
+   * @returns {number} - 32-bit unsigned seed
+   */
+  static deriveSeed(runSeed, key) {
+    let hash = 0x811c9dc5;
+
+    for (const char of `${runSeed}:${key}`) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash;
+  }
+
+  /**
+   * Seed every following generate* call
+   * @param {number} seed
+   * @returns {number} - The seed
+   */
+  static seed(seed) {
+    faker.seed(seed);
+    currentSeed = seed;
+    return seed;
+  }
+
+  /**
+   * Seed for one test: derived from the run seed and the test's title, so the
+   * test gets the same data whatever worker or order it runs in
+   * (data.factory.perTestSeed: false uses the run seed itself)
+   * @param {string} testId - Test title path
+   * @returns {{runSeed: number, seed: number}}
+   */
+  static seedForTest(testId) {
+    const runSeed = this.getRunSeed();
+    const perTest = ConfigLoader.get('data.factory.perTestSeed', true);
+
+    return { runSeed, seed: this.seed(perTest ? this.deriveSeed(runSeed, testId) : runSeed) };
+  }
+
+  /**
+   * Seed last set with seed()/seedForTest()
+   * @returns {number|null}
+   */
+  static getSeed() {
+    return currentSeed;
+  }
+
+  /**
+   * Generate an entity from its template (fixtures/dataTemplates.js)
+   * Plain-object overrides are merged into nested objects and embedded
+   * entities; any other override replaces the field. Derived fields
+   * (totals, counts) are computed after the overrides.
+   * @param {string} type - Template: 'user', 'product', 'order', 'cart', 'paymentInfo' or a defineTemplate() one
+   * @param {Object} overrides - Field values
+   * @param {Object} options
+   * @param {Object} options.related - Existing entities for ref fields, by template (e.g. { user })
+   * @returns {Object} - Entity
+   * @throws {Error} - When the entity does not match its template (e.g. a mistyped override)
+   */
+  static build(type, overrides = {}, options = {}) {
+    return this.buildWithRelated(type, overrides, options).entity;
+  }
+
+  /**
+   * build(), also returning the entities generated for its ref fields
+   * @param {string} type
+   * @param {Object} overrides
+   * @param {Object} options - See build()
+   * @returns {{entity: Object, related: Array<{type: string, data: Object}>}} - related in creation order
+   */
+  static buildWithRelated(type, overrides = {}, { related = {} } = {}) {
+    const context = { related: { ...related }, created: [] };
+    const entity = this.buildEntity(type, overrides, context);
+
+    return { entity, related: context.created };
+  }
+
+  /**
+   * Generate several entities from a template
+   * @param {string} type
+   * @param {number} count
+   * @param {Object} overrides - Shared overrides
+   * @param {Object} options - See build()
+   * @returns {Object[]}
+   */
+  static buildMany(type, count = 5, overrides = {}, options = {}) {
+    return Array.from({ length: count }, () => this.build(type, overrides, options));
+  }
+
+  /**
+   * Add an entity type for the rest of the worker, e.g. from a test
+   * @param {string} type - e.g. 'coupon'
+   * @param {Object} template - { fields } (see fixtures/dataTemplates.js)
+   */
+  static defineTemplate(type, template) {
+    DataTemplates.register(type, template);
+  }
+
+  /**
+   * Check an entity against its template
+   * @param {string} type
+   * @param {Object} entity
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  static validate(type, entity) {
+    return DataTemplates.validateEntity(type, entity);
+  }
+
+  /**
+   * Run fn with faker seeded from the run seed and a key
+   * Data built at collection time (test titles, describe loops) is then the
+   * same in the runner and every worker, and DATA_SEED replays it.
+   * @param {string} key - e.g. 'variants › user'
+   * @param {Function} fn
+   * @returns {*} - fn's return value
+   */
+  static seeded(key, fn) {
+    this.seed(this.deriveSeed(this.getRunSeed(), key));
+    return fn();
+  }
+
+  /**
+   * Boundary and negative variants of an entity: one valid entity, copied
+   * with one field changed per variant. Strings get empty, whitespace-only,
+   * min/max length (when constrained) and max-length+1, unicode, RTL, emoji
+   * and SQL/script injection values plus the template's `invalid` examples;
+   * numbers get their min/max and the values just outside them.
+   * Seeded (seeded()), so it can run at collection time:
+   *
+   *   for (const variant of AutonomousDataFactory.buildVariants('user', { fields: ['address.zip'] })) {
+   *     test(variant.label, async () => { ... variant.entity ... });
+   *   }
+   *
+   * @param {string} type - Template
+   * @param {Object} options
+   * @param {string[]} options.fields - Field paths ('firstName', 'address.zip'), default every string and number field
+   * @param {string[]} options.kinds - Variant kinds to keep, default all (getVariantKinds())
+   * @param {Object} options.overrides - Overrides of the base entity
+   * @param {Object} options.related - See build()
+   * @returns {Object[]} - { label, field, kind, value, valid, entity }; valid: the value satisfies
+   *   the template's constraints and is not one of its invalid examples
+   * @throws {Error} - For unknown fields or kinds
+   */
+  static buildVariants(type, { fields, kinds, overrides = {}, related } = {}) {
+    const targets = this.getVariantFields(DataTemplates.get(type).fields);
+    const unknownField = (fields || []).find((field) => !targets[field]);
+    const unknownKind = (kinds || []).find((kind) => !this.getVariantKinds().includes(kind));
+
+    if (unknownField) {
+      throw new Error(`No variants for ${type} field "${unknownField}" (fields: ${Object.keys(targets).join(', ')})`);
+    }
+    if (unknownKind) {
+      throw new Error(`Unknown variant kind "${unknownKind}" (kinds: ${this.getVariantKinds().join(', ')})`);
+    }
+
+    return this.seeded(`variants › ${type}`, () => {
+      const base = this.build(type, overrides, { related });
+      const variants = [];
+
+      for (const fieldPath of fields || Object.keys(targets)) {
+        for (const { kind, label, value } of this.getFieldVariants(targets[fieldPath])) {
+          if (kinds && !kinds.includes(kind)) {
+            continue;
+          }
+
+          const entity = structuredClone(base);
+          const keys = fieldPath.split('.');
+          const parent = keys.slice(0, -1).reduce((current, key) => current[key], entity);
+          parent[keys[keys.length - 1]] = value;
+
+          variants.push({
+            label: `${fieldPath}: ${label}`,
+            field: fieldPath,
+            kind,
+            value,
+            valid: kind !== 'invalid-format' && DataTemplates.validateEntity(type, entity).length === 0,
+            entity,
+          });
+        }
+      }
+
+      return variants;
+    });
+  }
+
+  /**
+   * Kinds of variants buildVariants() produces
+   * @returns {string[]}
+   */
+  static getVariantKinds() {
+    return [...Object.keys(STRING_VARIANTS), ...Object.keys(NUMBER_VARIANTS), 'invalid-format'];
+  }
+
+  // Generated string and number fields by path, nested objects and embedded templates included
+  static getVariantFields(fields, prefix = '') {
+    const targets = {};
+
+    for (const [key, field] of Object.entries(fields)) {
+      const fieldPath = `${prefix}${key}`;
+
+      if (field.derive || field.ref || field.timestamp || field.value !== undefined) {
+        continue;
+      }
+      if (field.type === 'object' && (field.fields || field.template)) {
+        const nested = field.template ? DataTemplates.get(field.template).fields : field.fields;
+        Object.assign(targets, this.getVariantFields(nested, `${fieldPath}.`));
+      } else if (['string', 'number', 'integer'].includes(field.type)) {
+        targets[fieldPath] = field;
+      }
+    }
+
+    return targets;
+  }
+
+  static getFieldVariants(field) {
+    if (field.type !== 'string') {
+      return Object.entries(NUMBER_VARIANTS)
+        .map(([kind, make]) => ({ kind, value: make(field) }))
+        .filter(({ value }) => value !== undefined)
+        .map(({ kind, value }) => ({ kind, label: `${kind} (${value})`, value }));
+    }
+
+    const variants = Object.entries(STRING_VARIANTS)
+      .map(([kind, make]) => ({ kind, value: make(field) }))
+      .filter(({ value }) => value !== undefined)
+      .map(({ kind, value }) => ({ kind, label: kind.includes('length') ? `${kind} (${value.length})` : kind, value }));
+
+    for (const value of field.invalid || []) {
+      variants.push({ kind: 'invalid-format', label: `invalid format "${value}"`, value });
+    }
+    return variants;
+  }
+
+  static buildEntity(type, overrides, context) {
+    if (!isPlainObject(overrides)) {
+      throw new Error(`Overrides for ${type} must be an object, got ${ConfigValidator.describe(overrides)}`);
+    }
+
+    const entity = this.generateFields(DataTemplates.get(type).fields, overrides, context, type);
+    const errors = DataTemplates.validateEntity(type, entity);
+
+    if (errors.length > 0) {
+      throw new Error(`Generated ${type} does not match its template:\n${ConfigValidator.formatErrors(errors)}`);
+    }
+    return entity;
+  }
+
+  static generateFields(fields, overrides, context, fieldPath) {
+    const values = {};
+
+    for (const [key, field] of Object.entries(fields)) {
+      const override = overrides[key];
+
+      if (field.derive || (field.optional && override === undefined)) {
+        continue;
+      }
+
+      if (override === undefined) {
+        values[key] = this.generateField(field, context, `${fieldPath}.${key}`, values);
+      } else if (isPlainObject(override) && field.template) {
+        values[key] = this.buildEntity(field.template, override, context);
+      } else if (isPlainObject(override) && field.fields) {
+        values[key] = this.generateFields(field.fields, override, context, `${fieldPath}.${key}`);
+      } else {
+        values[key] = override;
+      }
+    }
+
+    for (const [key, field] of Object.entries(fields)) {
+      if (field.derive) {
+        values[key] = overrides[key] !== undefined ? overrides[key] : field.derive(values);
+      }
+    }
+
+    // Template order; keys the template does not know are kept for validation to report
+    const entity = {};
+    for (const key of Object.keys(fields)) {
+      if (values[key] !== undefined) {
+        entity[key] = values[key];
+      }
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!fields[key]) {
+        entity[key] = value;
+      }
+    }
+    return entity;
+  }
+
+  static generateField(field, context, fieldPath, entity) {
+    const length = field.length || {};
+
+    if (field.value !== undefined) {
+      return field.value;
+    }
+    if (field.timestamp) {
+      return new Date().toISOString();
+    }
+    if (field.ref) {
+      return this.generateRef(field, context);
+    }
+    if (field.template) {
+      return this.buildEntity(field.template, {}, context);
+    }
+    if (field.faker || field.generate) {
+      return this.generateConstrained(field, fieldPath, entity);
+    }
+    if (field.enum) {
+      return faker.helpers.arrayElement(field.enum);
+    }
+    if (field.pattern) {
+      return faker.helpers.fromRegExp(field.pattern);
+    }
+
+    switch (field.type) {
+      case 'string': {
+        const min = length.min ?? Math.min(10, length.max ?? 10);
+        return faker.string.alphanumeric({ length: { min, max: length.max ?? Math.max(min, 10) } });
+      }
+      case 'number':
+      case 'integer': {
+        const min = field.min ?? Math.min(0, field.max ?? 0);
+        const max = field.max ?? Math.max(min, 1000);
+        return field.type === 'integer'
+          ? faker.number.int({ min, max })
+          : faker.number.float({ min, max, fractionDigits: field.precision ?? 2 });
+      }
+      case 'boolean':
+        return faker.datatype.boolean();
+      case 'object':
+        return this.generateFields(field.fields, {}, context, fieldPath);
+      case 'array': {
+        const min = length.min ?? 1;
+        const count = faker.number.int({ min, max: length.max ?? Math.max(min, 3) });
+        return Array.from({ length: count }, (_, index) =>
+          this.generateField(field.items, context, `${fieldPath}[${index}]`, entity)
+        );
+      }
+      default:
+        throw new Error(`Cannot generate ${fieldPath}: unsupported type "${field.type}"`);
+    }
+  }
+
+  // Faker or generate() values, regenerated until they satisfy the field's constraints
+  static generateConstrained(field, fieldPath, entity) {
+    const schema = DataTemplates.getFieldSchema(field);
+    const produce = field.generate
+      ? () => field.generate(faker, entity)
+      : () => DataTemplates.resolveFaker(field.faker)(...(field.args || []));
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const value = produce();
+      errors = ConfigValidator.validate(value, schema, { path: fieldPath });
+      if (errors.length === 0) {
+        return value;
+      }
+    }
+
+    throw new Error(
+      `Cannot generate ${fieldPath} within its constraints after ${MAX_ATTEMPTS} attempts:\n` +
+        ConfigValidator.formatErrors(errors)
+    );
+  }
+
+  // Id of the related entity: passed in options.related, or generated once per build
+  static generateRef(field, context) {
+    if (!context.related[field.ref]) {
+      const data = this.buildEntity(field.ref, {}, context);
+      context.related[field.ref] = data;
+      context.created.push({ type: field.ref, data });
+    }
+
+    return context.related[field.ref][field.refField || 'id'];
+  }
+
   /**
    * Generate random valid test user
-   * @param {Object} overrides - Override specific fields
+   * @param {Object} overrides - Override specific fields (nested objects are merged)
    * @returns {Object} - User object
    */
   static generateUser(overrides = {}) {
-    const user = {
-      id: faker.string.uuid(),
-      username: faker.internet.username(),
-      email: faker.internet.email(),
-      password: this.generatePassword(),
-      firstName: faker.person.firstName(),
-      lastName: faker.person.lastName(),
-      phone: faker.phone.number(),
-      address: {
-        street: faker.location.streetAddress(),
-        city: faker.location.city(),
-        state: faker.location.state(),
-        zip: faker.location.zipCode(),
-        country: faker.location.country(),
-      },
-      createdAt: new Date().toISOString(),
-      ...overrides,
-    };
-
-    return user;
+    return this.build('user', overrides);
   }
 
   /**
@@ -58,27 +488,11 @@ class AutonomousDataFactory {
 
   /**
    * Generate random product
-   * @param {Object} overrides - Override specific fields
+   * @param {Object} overrides - Override specific fields (nested objects are merged)
    * @returns {Object} - Product object
    */
   static generateProduct(overrides = {}) {
-    const product = {
-      id: faker.string.uuid(),
-      name: faker.commerce.productName(),
-      description: faker.commerce.productDescription(),
-      price: parseFloat(faker.commerce.price()),
-      category: faker.commerce.department(),
-      sku: faker.commerce.sku(),
-      quantity: faker.number.int({ min: 1, max: 100 }),
-      image: faker.image.url(),
-      rating: parseFloat((Math.random() * 5).toFixed(1)),
-      reviews: faker.number.int({ min: 0, max: 1000 }),
-      inStock: faker.datatype.boolean(),
-      createdAt: new Date().toISOString(),
-      ...overrides,
-    };
-
-    return product;
+    return this.build('product', overrides);
   }
 
   /**
@@ -94,52 +508,12 @@ class AutonomousDataFactory {
   }
 
   /**
-   * Generate random order
-   * @param {Object} overrides - Override specific fields
-   * @returns {Object} - Order object
+   * Generate random order for a generated user (userId)
+   * @param {Object} overrides - Override specific fields (nested objects are merged)
+   * @returns {Object} - Order object, totals following its items
    */
   static generateOrder(overrides = {}) {
-    const items = this.generateProducts(
-      faker.number.int({ min: 1, max: 5 })
-    );
-    const subtotal = items.reduce((sum, item) => sum + item.price, 0);
-    const tax = subtotal * 0.1;
-    const total = subtotal + tax;
-
-    const order = {
-      id: faker.string.uuid(),
-      orderNumber: `ORD-${faker.string.alphanumeric(8).toUpperCase()}`,
-      userId: faker.string.uuid(),
-      items,
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      total: parseFloat(total.toFixed(2)),
-      status: faker.helpers.arrayElement([
-        'pending',
-        'processing',
-        'shipped',
-        'delivered',
-        'cancelled',
-      ]),
-      paymentMethod: faker.helpers.arrayElement([
-        'credit_card',
-        'debit_card',
-        'paypal',
-        'bank_transfer',
-      ]),
-      shippingAddress: {
-        street: faker.location.streetAddress(),
-        city: faker.location.city(),
-        state: faker.location.state(),
-        zip: faker.location.zipCode(),
-        country: faker.location.country(),
-      },
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      ...overrides,
-    };
-
-    return order;
+    return this.build('order', overrides);
   }
 
   /**
@@ -214,44 +588,20 @@ class AutonomousDataFactory {
   /**
    * Generate cart data
    * @param {number} itemCount - Number of items in cart
+   * @param {Object} overrides - Override specific fields (nested objects are merged)
    * @returns {Object} - Cart object
    */
-  static generateCart(itemCount = 3) {
-    const items = this.generateProducts(itemCount);
-    const subtotal = items.reduce((sum, item) => sum + item.price, 0);
-    const tax = subtotal * 0.1;
-
-    return {
-      id: faker.string.uuid(),
-      items,
-      itemCount,
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      total: parseFloat((subtotal + tax).toFixed(2)),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+  static generateCart(itemCount = 3, overrides = {}) {
+    return this.build('cart', { items: this.generateProducts(itemCount), ...overrides });
   }
 
   /**
    * Generate payment info
+   * @param {Object} overrides - Override specific fields (nested objects are merged)
    * @returns {Object} - Payment object
    */
-  static generatePaymentInfo() {
-    return {
-      cardNumber: faker.finance.creditCardNumber(),
-      cardHolder: faker.person.fullName(),
-      expiryMonth: faker.number.int({ min: 1, max: 12 }),
-      expiryYear: faker.number.int({ min: 2024, max: 2030 }),
-      cvv: faker.string.numeric(3),
-      billingAddress: {
-        street: faker.location.streetAddress(),
-        city: faker.location.city(),
-        state: faker.location.state(),
-        zip: faker.location.zipCode(),
-        country: faker.location.country(),
-      },
-    };
+  static generatePaymentInfo(overrides = {}) {
+    return this.build('paymentInfo', overrides);
   }
 
   /**
@@ -273,11 +623,45 @@ class AutonomousDataFactory {
     );
   }
 
+  /**
+   * Generate an entity and record it for cleanup
+   * Template types are built from their template (related entities generated
+   * for ref fields are recorded too); other types use their generate* method.
+   * @param {string} type - Template ('user', 'order', ...) or generate* suffix ('bundle')
+   * @param {...*} args - (overrides, options) for templates (see build()), else the generate* arguments
+   * @returns {Object} - Generated entity
+   */
+  create(type, ...args) {
+    if (DataTemplates.has(type)) {
+      const [overrides, options] = args;
+      const { entity, related } = AutonomousDataFactory.buildWithRelated(type, overrides, options);
+
+      related.forEach(({ type: relatedType, data }) => this.recordGeneratedData(data, relatedType));
+      this.recordGeneratedData(entity, type);
+      return entity;
+    }
+
+    const methodName = `generate${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+    const generator = AutonomousDataFactory[methodName];
+
+    if (typeof generator !== 'function') {
+      throw new Error(`Unknown data type: ${type}`);
+    }
+
+    const data = generator.apply(AutonomousDataFactory, args);
+    this.recordGeneratedData(data, type);
+
+    return data;
+  }
+
   /**
    * Record generated data for cleanup
+   * @param {Object} data - Generated entity
+   * @param {string} type - Entity type (optional)
    */
-  recordGeneratedData(data) {
+  recordGeneratedData(data, type = null) {
     this.generatedData.push({
+      type,
       data,
       timestamp: new Date().toISOString(),
     });
@@ -7,13 +7,36 @@
  * - Cascading cleanup (related records)
  * - Cleanup verification
  * - Cleanup scheduling
+ * - Behaviour from autonomousConfig.js (data.cleanup)
  */
 
+const ConfigLoader = require('../config/configLoader');
+
 class DataCleanupManager {
   constructor() {
     this.dataRegistry = new Map(); // Track created data by ID
     this.cleanupStrategies = new Map();
     this.cleanupHistory = [];
+
+    const settings = ConfigLoader.get('data.cleanup', {});
+    this.enabled = ConfigLoader.isEnabled('data.cleanup');
+    this.autoCleanupAfterTest = this.enabled && settings.autoCleanupAfterTest !== false;
+    this.cleanupModes = { ...settings.cleanupStrategies }; // e.g. { users: 'delete' }
+  }
+
+  /**
+   * Get configured cleanup mode for a data type
+   * Accepts singular or plural type names ('user' or 'users').
+   * @param {string} dataType - Type of data
+   * @returns {string} - 'delete', 'archive', 'reset'... (default: 'delete')
+   */
+  getCleanupMode(dataType) {
+    return (
+      this.cleanupModes[dataType] ||
+      this.cleanupModes[`${dataType}s`] ||
+      this.cleanupModes[dataType.replace(/s$/, '')] ||
+      'delete'
+    );
   }
 
   /**
@@ -39,7 +62,7 @@ class DataCleanupManager {
   /**
    * Register cleanup strategy for a data type
    * @param {string} dataType - Type of data
-   * @param {Function} cleanupFn - Async function to clean data
+   * @param {Function} cleanupFn - Async function (dataId, metadata, mode) to clean data
    */
   registerCleanupStrategy(dataType, cleanupFn) {
     if (typeof cleanupFn !== 'function') {
@@ -80,15 +103,18 @@ class DataCleanupManager {
       return true;
     }
 
+    const mode = this.getCleanupMode(dataType);
+
     try {
-      console.log(`🧹 Cleaning up: ${key}`);
+      console.log(`🧹 Cleaning up (${mode}): ${key}`);
       
-      await strategy(dataId, registry.metadata);
+      await strategy(dataId, registry.metadata, mode);
       
       registry.cleanedUp = true;
       
       this.cleanupHistory.push({
         key,
+        mode,
         status: 'SUCCESS',
         timestamp: new Date().toISOString(),
       });
@@ -100,6 +126,7 @@ class DataCleanupManager {
       
       this.cleanupHistory.push({
         key,
+        mode,
         status: 'FAILED',
         error: error.message,
         timestamp: new Date().toISOString(),
@@ -114,8 +141,6 @@ class DataCleanupManager {
    * @returns {Promise<Object>} - Cleanup results
    */
   async cleanupAll() {
-    console.log('\n🧹 Starting batch cleanup...');
-
     const results = {
       total: 0,
       successful: 0,
@@ -124,6 +149,14 @@ class DataCleanupManager {
       details: [],
     };
 
+    if (!this.enabled) {
+      console.log('⊘ Data cleanup disabled in autonomousConfig.js (data.cleanup)');
+      results.duration = 0;
+      return results;
+    }
+
+    console.log('\n🧹 Starting batch cleanup...');
+
     for (const [key, registry] of this.dataRegistry) {
       if (registry.cleanedUp) {
         console.log(`⊘ Skipping already cleaned: ${key}`);
@@ -330,10 +363,15 @@ class DataCleanupManager {
 
   /**
    * Schedule automatic cleanup after test
+   * Without a cleanupFn, cleanupAll only runs when data.cleanup.autoCleanupAfterTest is on.
    * @param {Function} testFn - Test function to run
    * @param {Function} cleanupFn - Cleanup to run after test
    */
   async executeWithCleanup(testFn, cleanupFn = null) {
+    if (!cleanupFn && !this.autoCleanupAfterTest) {
+      return testFn();
+    }
+
     try {
       console.log('Running test with automatic cleanup...');
       const result = await testFn();
@@ -0,0 +1,397 @@
+/**
+ * DataTemplates - Declarative Entity Templates for AutonomousDataFactory
+ *
+ * Features:
+ * - Loads fixtures/dataTemplates.js (field specs keyed by entity type)
+ * - Format validation on load, every problem reported at once (ConfigValidator):
+ *   unknown faker methods, templates and refs, contradictory constraints
+ * - New entity types at runtime (register()), without a generate* method
+ * - Entity schemas derived from the templates, for validating generated data
+ */
+
+const path = require('path');
+const { faker } = require('@faker-js/faker');
+const ConfigValidator = require('../config/configValidator');
+
+const TEMPLATES_PATH = path.resolve(__dirname, '../../fixtures/dataTemplates.js');
+const TEMPLATES_VERSION = 1;
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const nonNegativeInt = { type: 'number', integer: true, min: 0 };
+const bool = { type: 'boolean' };
+const fn = { type: 'function' };
+const any = { type: 'any' };
+
+const FIELD_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: FIELD_TYPES },
+    faker: nonEmptyString,
+    args: { type: 'array', items: any },
+    enum: { type: 'array', items: any },
+    pattern: nonEmptyString,
+    length: { type: 'object', properties: { min: nonNegativeInt, max: nonNegativeInt } },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    precision: nonNegativeInt,
+    template: nonEmptyString,
+    ref: nonEmptyString,
+    refField: nonEmptyString,
+    derive: fn,
+    generate: fn,
+    value: any,
+    timestamp: bool,
+    invalid: { type: 'array', items: { type: 'string' } },
+    optional: bool,
+  },
+};
+// Recursive: nested objects and array items are field specs too
+FIELD_SCHEMA.properties.fields = { type: 'object', values: FIELD_SCHEMA };
+FIELD_SCHEMA.properties.items = FIELD_SCHEMA;
+
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['fields'],
+  properties: {
+    fields: { type: 'object', values: FIELD_SCHEMA },
+  },
+};
+
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  required: ['version', 'templates'],
+  properties: {
+    version: { type: 'number', integer: true, min: 1 },
+    templates: { type: 'object', values: TEMPLATE_SCHEMA },
+  },
+};
+
+let cachedTemplates = null;
+const registered = new Map();
+const schemaCache = new Map();
+
+class DataTemplates {
+  /**
+   * Path of the templates module
+   * @returns {string}
+   */
+  static getPath() {
+    return TEMPLATES_PATH;
+  }
+
+  /**
+   * Load and validate the templates (cached)
+   * @returns {Object} - { version, templates: { [type]: { fields } } }
+   */
+  static load() {
+    if (!cachedTemplates) {
+      const registry = require(TEMPLATES_PATH);
+      DataTemplates.assertValid(registry, `Invalid ${path.relative(process.cwd(), TEMPLATES_PATH)}`);
+      cachedTemplates = registry;
+    }
+    return cachedTemplates;
+  }
+
+  /**
+   * Validate a templates registry
+   * @param {Object} registry
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  static validate(registry) {
+    const errors = ConfigValidator.validate(registry, REGISTRY_SCHEMA);
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (registry.version !== TEMPLATES_VERSION) {
+      errors.push({
+        path: 'version',
+        message: `unsupported templates version ${registry.version} (expected ${TEMPLATES_VERSION})`,
+      });
+    }
+
+    for (const [type, template] of Object.entries(registry.templates)) {
+      for (const [key, field] of Object.entries(template.fields)) {
+        DataTemplates.checkField(field, `templates.${type}.fields.${key}`, registry.templates, errors);
+      }
+    }
+
+    if (errors.length === 0) {
+      const cycle = DataTemplates.findCycle(registry.templates);
+      if (cycle) {
+        errors.push({ path: `templates.${cycle[0]}`, message: `templates depend on each other: ${cycle.join(' → ')}` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and throw listing every problem
+   * @param {Object} registry
+   * @param {string} label - Start of the message
+   */
+  static assertValid(registry, label) {
+    const errors = DataTemplates.validate(registry);
+
+    if (errors.length > 0) {
+      throw new Error(`[DataTemplates] ${label}:\n${ConfigValidator.formatErrors(errors)}`);
+    }
+  }
+
+  /**
+   * Add an entity type for the rest of the worker (replaces an earlier register() of the same type)
+   * @param {string} type - e.g. 'coupon'
+   * @param {Object} template - { fields } (see fixtures/dataTemplates.js)
+   * @throws {Error} - When the type is defined in fixtures/dataTemplates.js or the template is invalid
+   */
+  static register(type, template) {
+    if (DataTemplates.load().templates[type]) {
+      throw new Error(`Data template "${type}" is defined in ${path.basename(TEMPLATES_PATH)} and cannot be replaced`);
+    }
+
+    DataTemplates.assertValid(
+      { version: TEMPLATES_VERSION, templates: { ...DataTemplates.getAll(), [type]: template } },
+      `Invalid template "${type}"`
+    );
+    registered.set(type, template);
+    schemaCache.clear();
+  }
+
+  /**
+   * All templates: fixtures/dataTemplates.js plus registered ones
+   * @returns {Object} - { [type]: { fields } }
+   */
+  static getAll() {
+    return { ...DataTemplates.load().templates, ...Object.fromEntries(registered) };
+  }
+
+  /**
+   * Names of all templates
+   * @returns {string[]}
+   */
+  static getNames() {
+    return Object.keys(DataTemplates.getAll());
+  }
+
+  /**
+   * Whether a template exists
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static has(type) {
+    return Object.prototype.hasOwnProperty.call(DataTemplates.getAll(), type);
+  }
+
+  /**
+   * Template of an entity type
+   * @param {string} type
+   * @returns {Object} - { fields }
+   * @throws {Error} - For unknown types
+   */
+  static get(type) {
+    if (!DataTemplates.has(type)) {
+      throw new Error(`Unknown data template "${type}" (defined: ${DataTemplates.getNames().join(', ')})`);
+    }
+    return DataTemplates.getAll()[type];
+  }
+
+  /**
+   * ConfigValidator schema of an entity type (cached)
+   * @param {string} type
+   * @returns {Object}
+   */
+  static getSchema(type) {
+    if (!schemaCache.has(type)) {
+      schemaCache.set(type, DataTemplates.toObjectSchema(DataTemplates.get(type).fields));
+    }
+    return schemaCache.get(type);
+  }
+
+  /**
+   * ConfigValidator schema of one field spec
+   * @param {Object} field
+   * @returns {Object}
+   */
+  static getFieldSchema(field) {
+    const length = field.length || {};
+    const schema = { type: field.type === 'integer' ? 'number' : field.type, optional: field.optional };
+
+    switch (field.type) {
+      case 'string':
+        Object.assign(schema, {
+          minLength: length.min,
+          maxLength: length.max,
+          pattern: field.pattern,
+          enum: field.enum,
+        });
+        break;
+      case 'number':
+      case 'integer':
+        Object.assign(schema, {
+          integer: field.type === 'integer',
+          min: field.min,
+          max: field.max,
+          enum: field.enum,
+        });
+        break;
+      case 'object':
+        if (field.template) {
+          return { ...DataTemplates.getSchema(field.template), optional: field.optional };
+        }
+        if (field.fields) {
+          return { ...DataTemplates.toObjectSchema(field.fields), optional: field.optional };
+        }
+        // Shape left to generate/derive
+        schema.values = any;
+        break;
+      case 'array':
+        Object.assign(schema, {
+          minItems: length.min,
+          maxItems: length.max,
+          items: field.items ? DataTemplates.getFieldSchema(field.items) : any,
+        });
+        break;
+      default:
+        break;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Validate an entity against its template
+   * @param {string} type
+   * @param {Object} entity
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  static validateEntity(type, entity) {
+    return ConfigValidator.validate(entity, DataTemplates.getSchema(type), { path: type });
+  }
+
+  static toObjectSchema(fields = {}) {
+    const properties = {};
+    for (const [key, field] of Object.entries(fields)) {
+      properties[key] = DataTemplates.getFieldSchema(field);
+    }
+
+    return {
+      type: 'object',
+      required: Object.keys(fields).filter((key) => !fields[key].optional),
+      properties,
+    };
+  }
+
+  /**
+   * Problems ConfigValidator cannot see: faker methods, cross-template names, contradictions
+   */
+  static checkField(field, fieldPath, templates, errors) {
+    const problem = (message) => errors.push({ path: fieldPath, message });
+    const length = field.length || {};
+
+    if (field.faker && typeof DataTemplates.resolveFaker(field.faker) !== 'function') {
+      problem(`unknown faker method "${field.faker}"`);
+    }
+    for (const key of ['template', 'ref']) {
+      if (field[key] && !templates[field[key]]) {
+        problem(`${key} "${field[key]}" is not a template (defined: ${Object.keys(templates).join(', ')})`);
+      }
+    }
+    if (field.fields && (field.type !== 'object' || field.template)) {
+      problem('fields need type "object" and no template');
+    }
+    if (field.type === 'object' && !field.fields && !field.template && !field.generate && !field.derive) {
+      problem('objects need fields, a template, generate or derive');
+    }
+    if (field.template && field.type !== 'object') {
+      problem('template needs type "object"');
+    }
+    if ((field.type === 'array') !== Boolean(field.items) && !field.generate && !field.derive) {
+      problem(field.items ? 'items need type "array"' : 'arrays need items, generate or derive');
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      problem(`min ${field.min} is greater than max ${field.max}`);
+    }
+    if (length.min !== undefined && length.max !== undefined && length.min > length.max) {
+      problem(`length.min ${length.min} is greater than length.max ${length.max}`);
+    }
+    if (field.invalid && field.type !== 'string') {
+      problem('invalid examples need type "string"');
+    }
+    if (field.enum && field.enum.length === 0) {
+      problem('enum is empty');
+    }
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        problem(`invalid pattern: ${error.message}`);
+      }
+    }
+
+    for (const [key, nested] of Object.entries(field.fields || {})) {
+      DataTemplates.checkField(nested, `${fieldPath}.fields.${key}`, templates, errors);
+    }
+    if (field.items) {
+      DataTemplates.checkField(field.items, `${fieldPath}.items`, templates, errors);
+    }
+  }
+
+  /**
+   * First chain of templates that embed or reference each other in a circle
+   * @param {Object} templates - { [type]: { fields } }
+   * @returns {string[]|null} - e.g. ['user', 'order', 'user']
+   */
+  static findCycle(templates) {
+    const dependencies = (field) => [
+      ...[field.template, field.ref].filter(Boolean),
+      ...Object.values(field.fields || {}).flatMap(dependencies),
+      ...(field.items ? dependencies(field.items) : []),
+    ];
+    const done = new Set();
+
+    const visit = (type, chain) => {
+      if (chain.includes(type)) {
+        return [...chain.slice(chain.indexOf(type)), type];
+      }
+      if (done.has(type)) {
+        return null;
+      }
+
+      for (const next of Object.values(templates[type].fields).flatMap(dependencies)) {
+        const cycle = visit(next, [...chain, type]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      done.add(type);
+      return null;
+    };
+
+    for (const type of Object.keys(templates)) {
+      const cycle = visit(type, []);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Faker method by path
+   * @param {string} fakerPath - e.g. 'internet.email'
+   * @returns {Function|undefined} - Bound to its faker module
+   */
+  static resolveFaker(fakerPath) {
+    const parts = fakerPath.split('.');
+    const method = parts.pop();
+    const module = parts.reduce((current, part) => (current ? current[part] : undefined), faker);
+
+    return module && typeof module[method] === 'function' ? module[method].bind(module) : undefined;
+  }
+}
+
+module.exports = DataTemplates;
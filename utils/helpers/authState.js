@@ -0,0 +1,171 @@
+/**
+ * AuthStateManager - Pre-authenticated storageState per User Persona
+ *
+ * Features:
+ * - One storageState file per persona from fixtures/testData.js (users)
+ * - Staleness check from session cookie expiry and file age
+ * - Automatic refresh of missing or stale state before use
+ * - Atomic writes so parallel workers never read a half-written file
+ * - Personas that cannot log in (e.g. locked_out_user) are reported, not saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LoginPage = require('../../pages/loginPage');
+const testData = require('../../fixtures/testData');
+
+const AUTH_DIR = path.resolve(__dirname, '../../.auth');
+const STATE_MAX_AGE_MS = 60 * 60 * 1000; // 1 hour
+const REFRESH_MARGIN_MS = 60 * 1000; // refresh when the session has < 1 minute left
+const INVENTORY_URL = /\/inventory\.html/;
+const LOGIN_ERROR = '[data-test="error"]';
+
+class AuthStateManager {
+  /**
+   * Get all personas that have credentials
+   * @returns {string[]} - Keys of testData.users (e.g. 'validUser')
+   */
+  static getPersonas() {
+    return Object.keys(testData.users).filter((name) => {
+      const user = testData.users[name];
+      return user.username && user.password;
+    });
+  }
+
+  /**
+   * Get credentials for a persona
+   * @param {string} persona - Key of testData.users
+   * @returns {{username: string, password: string}}
+   */
+  static getCredentials(persona) {
+    const user = testData.users[persona];
+
+    if (!user) {
+      throw new Error(
+        `Unknown persona "${persona}" (available: ${this.getPersonas().join(', ')})`
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Path of the storageState file for a persona
+   * @param {string} persona
+   * @returns {string}
+   */
+  static getStatePath(persona) {
+    return path.join(AUTH_DIR, `${persona}.json`);
+  }
+
+  /**
+   * Check whether a persona's saved state can still be used
+   * @param {string} persona
+   * @param {string} baseURL - State must hold cookies for this host
+   * @returns {boolean}
+   */
+  static isStateFresh(persona, baseURL) {
+    const statePath = this.getStatePath(persona);
+    let state;
+
+    try {
+      const { mtimeMs } = fs.statSync(statePath);
+      if (Date.now() - mtimeMs > STATE_MAX_AGE_MS) {
+        return false;
+      }
+      state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+
+    const hostname = new URL(baseURL).hostname;
+    const cookies = (state.cookies || []).filter(
+      (cookie) => cookie.domain.replace(/^\./, '') === hostname
+    );
+
+    if (cookies.length === 0) {
+      return false;
+    }
+
+    // expires is in seconds; -1 marks a browser-session cookie
+    const refreshBefore = (Date.now() + REFRESH_MARGIN_MS) / 1000;
+    return cookies.every((cookie) => cookie.expires === -1 || cookie.expires > refreshBefore);
+  }
+
+  /**
+   * Log in as a persona and save its storageState
+   * @param {import('@playwright/test').Browser} browser
+   * @param {string} persona
+   * @param {string} baseURL
+   * @returns {Promise<{statePath: string|null, error: string|null}>}
+   *   statePath is null when the persona cannot log in
+   */
+  static async authenticate(browser, persona, baseURL) {
+    const { username, password } = this.getCredentials(persona);
+    const context = await browser.newContext({ baseURL });
+    const page = await context.newPage();
+
+    try {
+      const loginPage = new LoginPage(page);
+      await loginPage.goto();
+      await loginPage.login(username, password);
+
+      // Slow personas (performance_glitch_user) navigate after a delay
+      const errorMessage = page.locator(LOGIN_ERROR);
+      await Promise.race([
+        page.waitForURL(INVENTORY_URL, { timeout: 15000 }),
+        errorMessage.waitFor({ state: 'visible', timeout: 15000 }),
+      ]);
+
+      if (!INVENTORY_URL.test(page.url())) {
+        const error = (await errorMessage.textContent()) || 'login did not reach inventory';
+        console.warn(`⚠ [AuthState] ${persona} cannot log in: ${error}`);
+        return { statePath: null, error };
+      }
+
+      const statePath = this.getStatePath(persona);
+      const tempPath = `${statePath}.${process.pid}.tmp`;
+
+      fs.mkdirSync(AUTH_DIR, { recursive: true });
+      await context.storageState({ path: tempPath });
+      fs.renameSync(tempPath, statePath);
+
+      console.log(`✓ [AuthState] Saved storageState for ${persona}`);
+      return { statePath, error: null };
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Get a usable storageState path, refreshing it if missing or stale
+   * A browser is only launched when a refresh is needed.
+   * @param {import('@playwright/test').BrowserType} browserType
+   * @param {string} persona
+   * @param {string} baseURL
+   * @param {Object} launchOptions - Options for browserType.launch()
+   * @returns {Promise<string>}
+   */
+  static async ensureState(browserType, persona, baseURL, launchOptions = {}) {
+    if (this.isStateFresh(persona, baseURL)) {
+      return this.getStatePath(persona);
+    }
+
+    console.log(`🔄 [AuthState] Refreshing stale storageState for ${persona}`);
+    const browser = await browserType.launch(launchOptions);
+
+    try {
+      const { statePath, error } = await this.authenticate(browser, persona, baseURL);
+
+      if (!statePath) {
+        throw new Error(`Persona "${persona}" cannot be pre-authenticated: ${error}`);
+      }
+
+      return statePath;
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = AuthStateManager;
@@ -0,0 +1,302 @@
+/**
+ * CircuitBreaker - Run-Wide Circuit Breaker for TestRetryManager
+ *
+ * Features:
+ * - One state file shared by every Playwright worker of the run
+ * - Opens after failureThreshold consecutive failed calls (after their last
+ *   attempt) of the counted error types (NETWORK_ERROR, NAVIGATION_ERROR);
+ *   any successful call closes it
+ * - While open, calls fail fast with an "Environment unavailable" error
+ *   instead of each burning its full backoff
+ * - Every probeInterval ms one caller goes half-open and probes the target
+ *   (HTTP request to the base URL); success closes the circuit
+ * - Event log (opened, half-open, probe failed, closed; the last maxEvents)
+ *   and rejected call count for the retry report (RetryReporter resets the state when a run begins)
+ * - Behaviour from autonomousConfig.js (selfHealing.retryStrategy.circuitBreaker)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const FileLock = require('./fileLock');
+const { getBaseUrl } = require('./environment');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const DEFAULT_STATE_PATH = '.circuit-breaker/state.json';
+
+let shared = null;
+
+class CircuitBreaker {
+  /**
+   * Unset options fall back to selfHealing.retryStrategy.circuitBreaker.
+   * @param {Object} options
+   * @param {boolean} options.enabled
+   * @param {string[]} options.errorTypes - ErrorAnalyzer types that count as failures
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.probeInterval - ms between probes while open
+   * @param {number} options.probeTimeout - ms before a probe counts as failed
+   * @param {number} options.maxEvents - Most recent events kept in the state file
+   * @param {string} options.statePath - State file (relative paths resolve from the repo root)
+   * @param {Function} options.probe - Async check of the target, resolves true when it is up
+   */
+  constructor(options = {}) {
+    const settings = ConfigLoader.get('selfHealing.retryStrategy.circuitBreaker', {});
+    const {
+      enabled = ConfigLoader.isEnabled('selfHealing.retryStrategy') && settings.enabled !== false,
+      errorTypes = settings.errorTypes || ['NETWORK_ERROR', 'NAVIGATION_ERROR'],
+      failureThreshold = settings.failureThreshold ?? 5,
+      probeInterval = settings.probeInterval ?? 10000,
+      probeTimeout = settings.probeTimeout ?? 5000,
+      maxEvents = settings.maxEvents ?? 100,
+      statePath = settings.statePath || DEFAULT_STATE_PATH,
+      probe = () => this.probeTarget(),
+    } = options;
+
+    this.enabled = enabled;
+    this.errorTypes = errorTypes;
+    this.failureThreshold = failureThreshold;
+    this.probeInterval = probeInterval;
+    this.probeTimeout = probeTimeout;
+    this.maxEvents = maxEvents;
+    this.probe = probe;
+    this.statePath = path.resolve(ROOT_DIR, statePath);
+    this.lock = new FileLock(`${this.statePath}.lock`, 'circuit breaker');
+  }
+
+  /**
+   * Breaker used by TestRetryManager.executeWithRetry
+   * @returns {CircuitBreaker}
+   */
+  static getShared() {
+    if (!shared) {
+      shared = new CircuitBreaker();
+    }
+    return shared;
+  }
+
+  /**
+   * Whether an error was thrown by an open circuit
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isOpenError(error) {
+    return Boolean(error && error.circuitOpen);
+  }
+
+  /**
+   * Read the state (closed circuit when missing or unreadable)
+   * @returns {Object} - { state, consecutiveFailures, lastFailure, openedAt, nextProbeAt,
+   *   probeStartedAt, opened, rejected, events[] }
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch {
+      return {
+        state: 'closed',
+        consecutiveFailures: 0,
+        lastFailure: null,
+        openedAt: null,
+        nextProbeAt: null,
+        probeStartedAt: null,
+        opened: 0,
+        rejected: 0,
+        events: [],
+      };
+    }
+  }
+
+  /**
+   * Read-modify-write the state under the cross-process lock
+   * @param {Function} mutator - Receives the state, edits it in place and may return a value
+   * @returns {Promise<*>} - The mutator's return value
+   */
+  async update(mutator) {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+
+    return this.lock.withLock(() => {
+      const state = this.load();
+      const result = mutator(state);
+      state.updatedAt = new Date().toISOString();
+      FileLock.writeJsonAtomic(this.statePath, state);
+      return result;
+    });
+  }
+
+  /**
+   * Whether calls are currently being failed fast (open or half-open)
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.enabled && this.load().state !== 'closed';
+  }
+
+  /**
+   * Let a call through or fail it fast
+   * An open circuit whose probe is due goes half-open and this caller probes the target.
+   * @param {string} name - Call name for logs
+   * @throws {Error} - "Environment unavailable" (error.circuitOpen) while the circuit is open
+   */
+  async beforeCall(name) {
+    if (!this.enabled || this.load().state === 'closed') {
+      return;
+    }
+
+    const now = Date.now();
+    const claimed = await this.update((state) => {
+      // A probe that outlived its timeout belongs to a crashed worker
+      const probeDue =
+        (state.state === 'open' && now >= state.nextProbeAt) ||
+        (state.state === 'half-open' && now - state.probeStartedAt > this.probeTimeout * 2);
+
+      if (!probeDue) {
+        return false;
+      }
+
+      state.state = 'half-open';
+      state.probeStartedAt = now;
+      this.addEvent(state, 'half-open', `probe by ${name}`);
+      return true;
+    });
+
+    if (!claimed) {
+      if (this.load().state !== 'closed') {
+        await this.reject(name);
+      }
+      return;
+    }
+
+    const up = await this.probe();
+    await this.update((state) => {
+      if (up) {
+        this.close(state, 'probe succeeded');
+      } else {
+        state.state = 'open';
+        state.nextProbeAt = Date.now() + this.probeInterval;
+        this.addEvent(state, 'probe-failed', getBaseUrl());
+      }
+    });
+
+    if (up) {
+      console.log(`✓ [CircuitBreaker] Target reachable again, circuit closed (${name})`);
+    } else {
+      console.error(`✗ [CircuitBreaker] Probe failed, circuit stays open (${name})`);
+      await this.reject(name);
+    }
+  }
+
+  /**
+   * Count a failed call (its last attempt); failures of other types are ignored
+   * @param {string} type - ErrorAnalyzer type
+   * @param {string} message - First line of the error
+   */
+  async recordFailure(type, message) {
+    if (!this.enabled || !this.errorTypes.includes(type)) {
+      return;
+    }
+
+    const opened = await this.update((state) => {
+      state.consecutiveFailures++;
+      state.lastFailure = { type, message };
+
+      if (state.state !== 'closed' || state.consecutiveFailures < this.failureThreshold) {
+        return false;
+      }
+
+      state.state = 'open';
+      state.opened++;
+      state.openedAt = Date.now();
+      state.nextProbeAt = state.openedAt + this.probeInterval;
+      this.addEvent(state, 'opened', `${state.consecutiveFailures} consecutive failures, last ${type}: ${message}`);
+      return true;
+    });
+
+    if (opened) {
+      console.error(
+        `✗ [CircuitBreaker] Circuit open after ${this.failureThreshold} consecutive ` +
+          `${this.errorTypes.join('/')} failures; failing fast until a probe succeeds`
+      );
+    }
+  }
+
+  /**
+   * Count a successful call: the target is reachable
+   */
+  async recordSuccess() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const current = this.load();
+    if (current.state === 'closed' && current.consecutiveFailures === 0) {
+      return;
+    }
+
+    await this.update((state) => {
+      if (state.state === 'closed') {
+        state.consecutiveFailures = 0;
+      } else {
+        this.close(state, 'call succeeded');
+      }
+    });
+  }
+
+  /**
+   * State and events for reports
+   * @returns {Object} - { enabled, state, opened, rejected, consecutiveFailures, lastFailure, events[] }
+   */
+  getSummary() {
+    const { state, opened, rejected, consecutiveFailures, lastFailure, events } = this.load();
+    return { enabled: this.enabled, state, opened, rejected, consecutiveFailures, lastFailure, events };
+  }
+
+  /**
+   * Start with a closed circuit (called at the beginning of a run)
+   */
+  reset() {
+    fs.rmSync(this.statePath, { force: true });
+  }
+
+  /**
+   * Check the target application answers
+   * @returns {Promise<boolean>}
+   */
+  async probeTarget() {
+    try {
+      const response = await fetch(getBaseUrl(), { signal: AbortSignal.timeout(this.probeTimeout) });
+      return response.status < 500;
+    } catch {
+      return false;
+    }
+  }
+
+  async reject(name) {
+    const state = await this.update((current) => {
+      current.rejected++;
+      return current;
+    });
+
+    const nextProbe = Math.max(0, Math.ceil((state.nextProbeAt - Date.now()) / 1000));
+    const last = state.lastFailure ? ` (last ${state.lastFailure.type}: ${state.lastFailure.message})` : '';
+    const error = new Error(
+      `Environment unavailable: circuit breaker open after ${state.consecutiveFailures} consecutive ` +
+        `failure(s)${last}; ${name} failed fast, next probe in ${nextProbe}s`
+    );
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  close(state, reason) {
+    state.state = 'closed';
+    state.consecutiveFailures = 0;
+    state.probeStartedAt = null;
+    state.nextProbeAt = null;
+    this.addEvent(state, 'closed', reason);
+  }
+
+  addEvent(state, event, detail) {
+    state.events = [...state.events, { event, detail, at: new Date().toISOString() }].slice(-this.maxEvents);
+  }
+}
+
+module.exports = CircuitBreaker;
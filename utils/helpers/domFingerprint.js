@@ -0,0 +1,266 @@
+/**
+ * DomFingerprint - Element Fingerprints for Similarity Healing
+ *
+ * Features:
+ * - Capture tag, key attributes, classes, text, ARIA role and position among siblings
+ * - Capture label and (approximate) accessible name for role/label locators
+ * - Weighted similarity score (0..1) between a stored and a live fingerprint
+ * - Best-match search over the current page's elements with the same tag
+ * - Stable selector suggestion for the matched element (data-test > id > name > aria-label)
+ *
+ * Used by SelectorManager as the last resort when every selector fails.
+ */
+
+const FINGERPRINT_ATTRIBUTES = [
+  'id',
+  'name',
+  'type',
+  'data-test',
+  'data-testid',
+  'placeholder',
+  'aria-label',
+  'role',
+  'href',
+  'value',
+  'alt',
+  'title',
+];
+
+// Identifiers that are chosen on purpose weigh more than incidental attributes
+const ATTRIBUTE_WEIGHTS = {
+  'data-test': 3,
+  'data-testid': 3,
+  id: 3,
+  name: 2,
+  placeholder: 2,
+  'aria-label': 2,
+};
+const CLASS_WEIGHT = 2;
+const TEXT_WEIGHT = 3;
+const ROLE_WEIGHT = 1;
+const POSITION_WEIGHT = 1;
+const PARENT_WEIGHT = 0.5;
+
+const DEFAULT_MAX_CANDIDATES = 100;
+
+/**
+ * Runs in the browser - must stay self-contained
+ */
+function fingerprintElement(element, attributeNames) {
+  const attributes = {};
+  for (const name of attributeNames) {
+    const value = element.getAttribute(name);
+    if (value !== null) {
+      attributes[name] = value;
+    }
+  }
+
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  const implicitRoles = {
+    a: element.hasAttribute('href') ? 'link' : null,
+    button: 'button',
+    select: 'combobox',
+    textarea: 'textbox',
+    img: 'img',
+    ul: 'list',
+    ol: 'list',
+    li: 'listitem',
+    nav: 'navigation',
+    h1: 'heading',
+    h2: 'heading',
+    h3: 'heading',
+    h4: 'heading',
+    input: ['submit', 'button', 'reset'].includes(type)
+      ? 'button'
+      : ['checkbox', 'radio'].includes(type)
+        ? type
+        : 'textbox',
+  };
+
+  const parent = element.parentElement;
+  const siblings = parent
+    ? Array.from(parent.children).filter((child) => child.tagName === element.tagName)
+    : [element];
+
+  const text = (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+  const labelledBy = element.getAttribute('aria-labelledby');
+  const labelElement =
+    element.labels && element.labels.length > 0
+      ? element.labels[0]
+      : labelledBy && document.getElementById(labelledBy);
+  const label = labelElement ? labelElement.textContent.replace(/\s+/g, ' ').trim() : null;
+
+  // Accessible name, close enough for getByRole: aria-label, label, then content
+  const isFormField = ['input', 'textarea', 'select'].includes(tag);
+  const isButtonInput = tag === 'input' && ['submit', 'button', 'reset'].includes(type);
+  const name =
+    element.getAttribute('aria-label') ||
+    label ||
+    (isButtonInput ? element.getAttribute('value') : null) ||
+    (isFormField ? element.getAttribute('placeholder') || element.getAttribute('title') : text) ||
+    null;
+
+  return {
+    tag,
+    attributes,
+    classes: Array.from(element.classList).sort(),
+    text,
+    label: label || null,
+    name,
+    role: element.getAttribute('role') || implicitRoles[tag] || null,
+    siblingIndex: siblings.indexOf(element),
+    siblingCount: siblings.length,
+    parentTag: parent ? parent.tagName.toLowerCase() : null,
+  };
+}
+
+class DomFingerprint {
+  /**
+   * Fingerprint the element a locator points at
+   * @param {import('@playwright/test').Locator} locator - Single element
+   * @returns {Promise<Object|null>} - null when the element is gone
+   */
+  static async capture(locator) {
+    try {
+      return await locator.evaluate(fingerprintElement, FINGERPRINT_ATTRIBUTES);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Similarity of two fingerprints
+   * Only features present on either side count, so sparse elements are not penalized.
+   * @param {Object} expected - Stored fingerprint
+   * @param {Object} actual - Live candidate
+   * @returns {number} - 0 (different) to 1 (identical); 0 when tags differ
+   */
+  static score(expected, actual) {
+    if (!expected || !actual || expected.tag !== actual.tag) {
+      return 0;
+    }
+
+    let total = 0;
+    let matched = 0;
+    const add = (weight, similarity) => {
+      total += weight;
+      matched += weight * similarity;
+    };
+
+    const attributeNames = new Set([
+      ...Object.keys(expected.attributes),
+      ...Object.keys(actual.attributes),
+    ]);
+    for (const name of attributeNames) {
+      add(ATTRIBUTE_WEIGHTS[name] || 1, expected.attributes[name] === actual.attributes[name] ? 1 : 0);
+    }
+
+    if (expected.classes.length > 0 || actual.classes.length > 0) {
+      add(CLASS_WEIGHT, DomFingerprint.overlap(expected.classes, actual.classes));
+    }
+
+    if (expected.text || actual.text) {
+      const sameText = expected.text === actual.text;
+      add(TEXT_WEIGHT, sameText ? 1 : DomFingerprint.overlap(
+        DomFingerprint.words(expected.text),
+        DomFingerprint.words(actual.text)
+      ));
+    }
+
+    add(ROLE_WEIGHT, expected.role === actual.role ? 1 : 0);
+
+    const siblingSpan = Math.max(expected.siblingCount, actual.siblingCount, 1);
+    add(POSITION_WEIGHT, 1 - Math.abs(expected.siblingIndex - actual.siblingIndex) / siblingSpan);
+
+    add(PARENT_WEIGHT, expected.parentTag === actual.parentTag ? 1 : 0);
+
+    return total === 0 ? 0 : matched / total;
+  }
+
+  /**
+   * Find the element most similar to a fingerprint
+   * @param {import('@playwright/test').Page|import('@playwright/test').Locator} root - Search scope
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum score to accept (0..1)
+   * @param {number} options.maxCandidates - Elements of the tag to compare at most
+   * @returns {Promise<Object|null>} - { locator, score, selector, fingerprint } or null below threshold
+   */
+  static async findBestMatch(root, fingerprint, { threshold, maxCandidates = DEFAULT_MAX_CANDIDATES }) {
+    const candidates = root.locator(fingerprint.tag);
+    const count = Math.min(await candidates.count(), maxCandidates);
+    let best = null;
+
+    for (let i = 0; i < count; i++) {
+      const candidate = await DomFingerprint.capture(candidates.nth(i));
+      const score = DomFingerprint.score(fingerprint, candidate);
+
+      if (!best || score > best.score) {
+        best = { index: i, score, fingerprint: candidate };
+      }
+    }
+
+    if (!best || best.score < threshold) {
+      return null;
+    }
+
+    // Prefer a stable selector over a positional one when it is unique
+    const selector = DomFingerprint.suggestSelector(best.fingerprint);
+    const locator =
+      selector && (await root.locator(selector).count()) === 1
+        ? root.locator(selector)
+        : candidates.nth(best.index);
+
+    return { locator, score: best.score, selector, fingerprint: best.fingerprint };
+  }
+
+  /**
+   * Selector for a fingerprinted element, most stable identifier first
+   * @param {Object} fingerprint
+   * @returns {string|null}
+   */
+  static suggestSelector({ tag, attributes }) {
+    const quoted = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+    if (attributes['data-test']) {
+      return `${tag}[data-test="${quoted(attributes['data-test'])}"]`;
+    }
+    if (attributes['data-testid']) {
+      return `${tag}[data-testid="${quoted(attributes['data-testid'])}"]`;
+    }
+    if (attributes.id && /^[A-Za-z][\w-]*$/.test(attributes.id)) {
+      return `#${attributes.id}`;
+    }
+    if (attributes.name) {
+      return `${tag}[name="${quoted(attributes.name)}"]`;
+    }
+    if (attributes['aria-label']) {
+      return `${tag}[aria-label="${quoted(attributes['aria-label'])}"]`;
+    }
+    return null;
+  }
+
+  /**
+   * Jaccard overlap of two lists (1 when both are empty)
+   * @returns {number}
+   */
+  static overlap(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const union = new Set([...setA, ...setB]);
+
+    if (union.size === 0) {
+      return 1;
+    }
+
+    const shared = [...setA].filter((item) => setB.has(item)).length;
+    return shared / union.size;
+  }
+
+  static words(text) {
+    return text.toLowerCase().split(/\W+/).filter(Boolean);
+  }
+}
+
+module.exports = DomFingerprint;
@@ -0,0 +1,62 @@
+/**
+ * Environment - Target Application URL Resolution
+ *
+ * The suite was written against the public Sauce Demo site. The actual
+ * target comes from autonomousConfig.js (environment.baseUrl), which points
+ * at the bundled stand-in unless BASE_URL is set, and references to the
+ * public site are redirected there.
+ */
+
+const ConfigLoader = require('../config/configLoader');
+
+const SAUCE_DEMO_URL = 'https://www.saucedemo.com';
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Get the application base URL for this run
+ * @returns {string}
+ */
+function getBaseUrl() {
+  return trimTrailingSlash(ConfigLoader.get('environment.baseUrl', SAUCE_DEMO_URL));
+}
+
+/**
+ * Get the API base URL for this run
+ * @returns {string}
+ */
+function getApiBaseUrl() {
+  return trimTrailingSlash(ConfigLoader.get('environment.apiBaseUrl', getBaseUrl()));
+}
+
+/**
+ * Check whether the run targets the bundled stand-in
+ * @returns {boolean}
+ */
+function isStandIn() {
+  const standInUrl = ConfigLoader.get('environment.standInUrl');
+  return Boolean(standInUrl) && getBaseUrl() === trimTrailingSlash(standInUrl);
+}
+
+/**
+ * Resolve a caller-supplied API base URL against the configured target
+ * @param {string} [url] - Explicit base URL (may be the public Sauce Demo URL)
+ * @returns {string}
+ */
+function resolveBaseUrl(url) {
+  if (!url || trimTrailingSlash(url) === SAUCE_DEMO_URL) {
+    return getApiBaseUrl();
+  }
+
+  return url;
+}
+
+module.exports = {
+  SAUCE_DEMO_URL,
+  getBaseUrl,
+  getApiBaseUrl,
+  isStandIn,
+  resolveBaseUrl,
+};
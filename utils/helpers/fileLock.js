@@ -0,0 +1,100 @@
+/**
+ * FileLock - Cross-Process Lock File
+ *
+ * Features:
+ * - Serializes read-modify-write of files shared by Playwright workers
+ * - Lock taken by exclusive creation of '<file>.lock'
+ * - Waits for other holders, breaks locks left by crashed workers
+ * - Atomic JSON writes (temp file renamed into place) for lock-free readers
+ */
+
+const fs = require('fs');
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 10000; // a lock this old belongs to a crashed worker
+
+class FileLock {
+  /**
+   * @param {string} lockPath - Lock file path
+   * @param {string} owner - Name used in logs and errors (e.g. 'selector store')
+   */
+  constructor(lockPath, owner = 'file') {
+    this.lockPath = lockPath;
+    this.owner = owner;
+  }
+
+  /**
+   * Run a function while holding the lock
+   * @param {Function} fn - Sync or async function
+   * @returns {Promise<*>} - fn's result
+   */
+  async withLock(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Take the lock file, waiting for other workers and breaking stale locks
+   */
+  async acquire() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        // 'wx' fails if the file exists, which makes creation the lock
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      this.removeStale();
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.owner} lock: ${this.lockPath}`);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  release() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch {
+      // Already removed as stale by another worker
+    }
+  }
+
+  removeStale() {
+    try {
+      const { mtimeMs } = fs.statSync(this.lockPath);
+      if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+        console.warn(`⚠ Removing stale ${this.owner} lock: ${this.lockPath}`);
+        fs.unlinkSync(this.lockPath);
+      }
+    } catch {
+      // Released between our attempt and the check
+    }
+  }
+
+  /**
+   * Write JSON so that readers never see a partial file
+   * @param {string} filePath
+   * @param {*} data
+   */
+  static writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+module.exports = FileLock;
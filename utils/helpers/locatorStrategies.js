@@ -0,0 +1,155 @@
+/**
+ * LocatorStrategies - Selector Candidates by Strategy Family
+ *
+ * Features:
+ * - 'css': the declared primary, fallbacks and generated CSS variants
+ * - 'role', 'label', 'placeholder', 'text': Playwright getByRole/getByLabel/
+ *   getByPlaceholder/getByText locators (exact matching)
+ * - Accessibility hints from the page object or the element's stored fingerprint
+ * - Stable string keys per candidate for stats and the SelectorStore
+ *
+ * A candidate is { key, strategy, description, locate(root) → Locator }.
+ */
+
+const FAMILIES = ['css', 'role', 'label', 'placeholder', 'text'];
+
+// Longer text is content, not a label worth locating by
+const MAX_TEXT_LENGTH = 60;
+
+class LocatorStrategies {
+  /**
+   * All strategy families, in the default order
+   * @returns {string[]}
+   */
+  static getFamilies() {
+    return [...FAMILIES];
+  }
+
+  /**
+   * CSS candidate
+   * @param {string} selector
+   * @returns {Object}
+   */
+  static css(selector) {
+    return {
+      key: selector,
+      strategy: 'css',
+      description: selector,
+      locate: (root) => root.locator(selector),
+    };
+  }
+
+  /**
+   * Merge explicit hints over hints derived from a stored fingerprint
+   * @param {Object|null} fingerprint - DomFingerprint of the last successful match
+   * @param {Object} explicit - { role, name, label, placeholder, text } from the page object
+   * @returns {Object} - { role, name, label, placeholder, text }
+   */
+  static getHints(fingerprint, explicit = {}) {
+    const derived = {};
+
+    if (fingerprint) {
+      derived.role = fingerprint.role;
+      derived.name = fingerprint.name;
+      derived.label = fingerprint.label;
+      derived.placeholder = fingerprint.attributes && fingerprint.attributes.placeholder;
+
+      // Text only identifies elements that are not text inputs
+      if (fingerprint.role !== 'textbox' && fingerprint.text) {
+        derived.text = fingerprint.text;
+      }
+    }
+
+    const hints = { ...derived, ...explicit };
+    if (hints.text && hints.text.length > MAX_TEXT_LENGTH) {
+      delete hints.text;
+    }
+    return hints;
+  }
+
+  /**
+   * Build the candidate of an accessibility family
+   * @param {string} family - 'role', 'label', 'placeholder' or 'text'
+   * @param {Object} hints - See getHints()
+   * @returns {Object|null} - null when the hints cannot express this family
+   */
+  static build(family, hints) {
+    const quoted = (value) => JSON.stringify(value);
+
+    switch (family) {
+      case 'role':
+        // A bare role matches too much to identify one element
+        if (!hints.role || !hints.name) {
+          return null;
+        }
+        return {
+          key: `role=${hints.role}[name=${quoted(hints.name)}]`,
+          strategy: 'role',
+          description: `getByRole('${hints.role}', { name: ${quoted(hints.name)} })`,
+          locate: (root) => root.getByRole(hints.role, { name: hints.name, exact: true }),
+        };
+      case 'label':
+        if (!hints.label) {
+          return null;
+        }
+        return {
+          key: `label=${quoted(hints.label)}`,
+          strategy: 'label',
+          description: `getByLabel(${quoted(hints.label)})`,
+          locate: (root) => root.getByLabel(hints.label, { exact: true }),
+        };
+      case 'placeholder':
+        if (!hints.placeholder) {
+          return null;
+        }
+        return {
+          key: `placeholder=${quoted(hints.placeholder)}`,
+          strategy: 'placeholder',
+          description: `getByPlaceholder(${quoted(hints.placeholder)})`,
+          locate: (root) => root.getByPlaceholder(hints.placeholder, { exact: true }),
+        };
+      case 'text':
+        if (!hints.text) {
+          return null;
+        }
+        return {
+          key: `text=${quoted(hints.text)}`,
+          strategy: 'text',
+          description: `getByText(${quoted(hints.text)})`,
+          locate: (root) => root.getByText(hints.text, { exact: true }),
+        };
+      default:
+        throw new Error(
+          `Unknown locator strategy "${family}" (expected one of: ${FAMILIES.join(', ')})`
+        );
+    }
+  }
+
+  /**
+   * Order candidates by strategy family
+   * Families missing from `order` are not tried.
+   * @param {string[]} order - Family order (e.g. ['role', 'css'])
+   * @param {Object[]} cssCandidates - Already ranked CSS candidates
+   * @param {Object} hints - See getHints()
+   * @returns {Object[]}
+   */
+  static arrange(order, cssCandidates, hints) {
+    const candidates = [];
+
+    for (const family of order) {
+      if (family === 'css') {
+        candidates.push(...cssCandidates);
+        continue;
+      }
+
+      const candidate = LocatorStrategies.build(family, hints);
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    }
+
+    return candidates;
+  }
+}
+
+module.exports = LocatorStrategies;
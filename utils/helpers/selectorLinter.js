@@ -0,0 +1,338 @@
+/**
+ * SelectorLinter - Dead Selector Detection for the Selector Registry
+ *
+ * Features:
+ * - Checks every registered element (pages/selectors.js) on its page's `lint.path`
+ * - Live mode: the configured app (the stand-in is started when not running),
+ *   signed in as validUser with one product in the cart so rows render
+ * - Snapshot mode: saved DOM snapshots (<dir>/<PageName>.html), scripts disabled
+ * - Saves snapshots of the live pages for later offline runs
+ * - Errors: dead primary selectors (with the fallback that still matches)
+ *   and elements nothing matches; warnings: dead fallbacks, ambiguous
+ *   single-element selectors, hidden 'visible' elements
+ * - Dynamic elements that are not rendered are reported, not failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('@playwright/test');
+const SelectorRegistry = require('./selectorRegistry');
+const environment = require('./environment');
+const testData = require('../../fixtures/testData');
+
+const LINT_PERSONA = 'validUser';
+
+class SelectorLinter {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Application to lint (default: configured target)
+   * @param {string} options.snapshotDir - Lint saved snapshots instead of the live app
+   * @param {string} options.saveSnapshotsTo - Save live page snapshots to this directory
+   * @param {Object} options.launchOptions - chromium.launch() options
+   */
+  constructor({
+    baseURL = environment.getBaseUrl(),
+    snapshotDir = null,
+    saveSnapshotsTo = null,
+    launchOptions = {},
+  } = {}) {
+    this.baseURL = baseURL;
+    this.snapshotDir = snapshotDir;
+    this.saveSnapshotsTo = saveSnapshotsTo;
+    this.launchOptions = launchOptions;
+  }
+
+  /**
+   * Lint every registered page
+   * @returns {Promise<Object>} - { source, pages[], errors, warnings }
+   */
+  async run() {
+    SelectorRegistry.load();
+
+    const server = this.snapshotDir ? null : await this.ensureStandIn();
+    const browser = await chromium.launch(this.launchOptions);
+
+    try {
+      const pages = this.snapshotDir
+        ? await this.lintSnapshots(browser)
+        : await this.lintLive(browser);
+
+      const results = pages.flatMap((page) => page.results);
+      return {
+        source: this.snapshotDir || this.baseURL,
+        pages,
+        errors: results.filter((result) => result.severity === 'error').length,
+        warnings: results.filter((result) => result.severity === 'warning').length,
+      };
+    } finally {
+      await browser.close();
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    }
+  }
+
+  /**
+   * Start the stand-in when linting it and nothing listens on its port
+   * @returns {Promise<import('http').Server|null>} - Server to close afterwards, if started here
+   */
+  async ensureStandIn() {
+    if (!environment.isStandIn()) {
+      return null;
+    }
+
+    // Required lazily: only live stand-in runs need the server
+    const { startStandInServer } = require('../../stand-in/server');
+    const { hostname, port } = new URL(this.baseURL);
+
+    try {
+      return await startStandInServer({ host: hostname, port: parseInt(port, 10) });
+    } catch (error) {
+      if (error.code === 'EADDRINUSE') {
+        return null; // already running (e.g. npm run stand-in)
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lint the live app: signed-out pages first, then sign in and fill the cart
+   * @param {import('@playwright/test').Browser} browser
+   * @returns {Promise<Object[]>}
+   */
+  async lintLive(browser) {
+    // Required lazily: page objects load the registry this linter validates first
+    const LoginPage = require('../../pages/loginPage');
+    const CoursePage = require('../../pages/coursePage');
+
+    const context = await browser.newContext({ baseURL: this.baseURL });
+    const page = await context.newPage();
+    const entries = SelectorLinter.getLintedPages();
+    const pages = [];
+
+    try {
+      for (const { name, lint } of entries.filter((entry) => !entry.lint.auth)) {
+        pages.push(await this.lintLivePage(page, name, lint.path));
+      }
+
+      const authEntries = entries.filter((entry) => entry.lint.auth);
+      if (authEntries.length === 0) {
+        return pages;
+      }
+
+      const { username, password } = testData.users[LINT_PERSONA];
+      const loginPage = new LoginPage(page);
+      await loginPage.goto();
+      await loginPage.login(username, password);
+      await page.waitForURL(/\/inventory\.html/, { timeout: 15000 });
+
+      // Cart and checkout pages only render rows for items in the cart
+      await new CoursePage(page).addFirstProductToCart();
+
+      for (const { name, lint } of authEntries) {
+        pages.push(await this.lintLivePage(page, name, lint.path));
+      }
+
+      return pages;
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Open a page of the live app and lint it
+   * @returns {Promise<Object>} - { page, location, results[] }
+   */
+  async lintLivePage(page, pageName, location) {
+    await page.goto(location);
+    await page.waitForLoadState('load');
+
+    if (this.saveSnapshotsTo) {
+      await this.saveSnapshot(page, pageName);
+    }
+
+    return {
+      page: pageName,
+      location,
+      results: await SelectorLinter.checkPage(page, pageName, { checkVisibility: true }),
+    };
+  }
+
+  /**
+   * Lint saved snapshots (pages without a snapshot are skipped)
+   * @param {import('@playwright/test').Browser} browser
+   * @returns {Promise<Object[]>}
+   */
+  async lintSnapshots(browser) {
+    // Snapshots are static DOM: app scripts would re-render them
+    const context = await browser.newContext({ javaScriptEnabled: false });
+    const page = await context.newPage();
+    const pages = [];
+
+    try {
+      for (const { name } of SelectorLinter.getLintedPages()) {
+        const file = path.join(this.snapshotDir, `${name}.html`);
+
+        if (!fs.existsSync(file)) {
+          pages.push({ page: name, location: file, skipped: 'no snapshot', results: [] });
+          continue;
+        }
+
+        await page.setContent(fs.readFileSync(file, 'utf8'));
+        pages.push({
+          page: name,
+          location: file,
+          // Stylesheets are not loaded, so visibility is meaningless here
+          results: await SelectorLinter.checkPage(page, name, { checkVisibility: false }),
+        });
+      }
+
+      return pages;
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Save the current DOM without scripts as <saveSnapshotsTo>/<PageName>.html
+   */
+  async saveSnapshot(page, pageName) {
+    const html = await page.evaluate(() => {
+      const root = document.documentElement.cloneNode(true);
+      root.querySelectorAll('script').forEach((script) => script.remove());
+      return `<!DOCTYPE html>\n${root.outerHTML}`;
+    });
+
+    fs.mkdirSync(this.saveSnapshotsTo, { recursive: true });
+    fs.writeFileSync(path.join(this.saveSnapshotsTo, `${pageName}.html`), html);
+  }
+
+  /**
+   * Registered pages that declare where to lint them
+   * @returns {Array<{name: string, lint: Object}>}
+   */
+  static getLintedPages() {
+    return SelectorRegistry.getPageNames()
+      .map((name) => ({ name, lint: SelectorRegistry.getPage(name).lint }))
+      .filter((entry) => entry.lint);
+  }
+
+  /**
+   * Check the elements declared on one page (inherited elements are linted on their own page)
+   * @param {import('@playwright/test').Page} page - Page showing the registry page
+   * @param {string} pageName
+   * @param {Object} options
+   * @param {boolean} options.checkVisibility - Warn when a 'visible' element is hidden
+   * @returns {Promise<Object[]>} - One result per element
+   */
+  static async checkPage(page, pageName, options) {
+    const results = [];
+
+    for (const element of Object.values(SelectorRegistry.getElements(pageName))) {
+      results.push(await SelectorLinter.checkElement(page, element, options));
+    }
+    return results;
+  }
+
+  /**
+   * Check one element's selectors
+   * @returns {Promise<Object>} - { key, name, severity: 'ok'|'info'|'warning'|'error', messages[] }
+   */
+  static async checkElement(page, element, { checkVisibility }) {
+    const count = async (selector) => {
+      try {
+        return await page.locator(selector).count();
+      } catch (error) {
+        return { invalid: error.message.split('\n')[0] };
+      }
+    };
+
+    const primaryCount = await count(element.selector);
+    const fallbacks = [];
+    for (const selector of element.fallbacks) {
+      fallbacks.push({ selector, count: await count(selector) });
+    }
+
+    const result = { key: element.key, name: element.name, severity: 'ok', messages: [] };
+    const report = (severity, message) => {
+      const rank = ['ok', 'info', 'warning', 'error'];
+      if (rank.indexOf(severity) > rank.indexOf(result.severity)) {
+        result.severity = severity;
+      }
+      result.messages.push(message);
+    };
+
+    for (const { selector, count: matches } of [
+      { selector: element.selector, count: primaryCount },
+      ...fallbacks,
+    ]) {
+      if (matches.invalid) {
+        report('error', `invalid selector ${selector}: ${matches.invalid}`);
+      }
+    }
+
+    if (primaryCount.invalid) {
+      return result;
+    }
+
+    const live = fallbacks.filter((fallback) => fallback.count > 0);
+
+    if (primaryCount === 0) {
+      if (live.length > 0) {
+        report('error', `dead primary ${element.selector} (fallback ${live[0].selector} matches)`);
+      } else if (element.dynamic) {
+        report('info', 'not rendered (dynamic)');
+      } else {
+        report('error', `dead: nothing matches ${element.selector}`);
+      }
+      return result;
+    }
+
+    if (primaryCount > 1 && !element.multiple) {
+      report('warning', `ambiguous: ${element.selector} matches ${primaryCount} elements`);
+    }
+
+    const dead = fallbacks.filter((fallback) => fallback.count === 0);
+    if (dead.length > 0) {
+      report('warning', `dead fallback(s): ${dead.map((fallback) => fallback.selector).join(', ')}`);
+    }
+
+    if (
+      checkVisibility &&
+      element.state === 'visible' &&
+      !element.dynamic &&
+      !(await page.locator(element.selector).first().isVisible())
+    ) {
+      report('warning', 'expected visible, but hidden');
+    }
+
+    return result;
+  }
+
+  /**
+   * Print the lint report
+   * @param {Object} report - run() result
+   */
+  static printReport({ source, pages, errors, warnings }) {
+    const icons = { ok: '✓', info: '⊘', warning: '⚠', error: '✗' };
+
+    console.log(`\n=== SELECTOR REGISTRY LINT (${source}) ===`);
+
+    for (const page of pages) {
+      if (page.skipped) {
+        console.log(`\n⊘ ${page.page}: skipped (${page.skipped})`);
+        continue;
+      }
+
+      console.log(`\n${page.page} (${page.location})`);
+      for (const result of page.results) {
+        const details = result.messages.length > 0 ? ` - ${result.messages.join('; ')}` : '';
+        console.log(`  ${icons[result.severity]} ${result.key}${details}`);
+      }
+    }
+
+    console.log(`\n${errors === 0 ? '✓' : '✗'} ${errors} error(s), ${warnings} warning(s)`);
+  }
+}
+
+module.exports = SelectorLinter;
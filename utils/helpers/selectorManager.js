@@ -6,13 +6,78 @@
  * - Use fallback selectors if primary fails
  * - Log all attempts for debugging
  * - Support XPath, CSS, data-test attribute fallbacks
+ * - Remember what worked across tests, runs and workers (SelectorStore),
+ *   trying the historically best selector first
+ * - Record heal events (primary failed, another selector won) for the
+ *   healed-selector report (utils/reporting/healReportGenerator.js)
+ * - Accessibility-first strategies: getByRole/getByLabel/getByPlaceholder/getByText
+ *   candidates (LocatorStrategies), in a configurable order per element
+ * - Stability stats per strategy family
+ * - Strict matching: a selector matching several elements is ambiguous (its
+ *   own outcome in the stats) unless narrowed by a scope or filter, or the
+ *   caller asks for every match
+ * - One deadline shared by all candidates: once it has passed, the remaining
+ *   candidates are checked without waiting, so the similarity fallback runs
+ *   well within the test timeout
+ * - Per-candidate waits counted in the test's wait budget (WaitTracker)
+ * - Last resort when every selector fails: DOM-similarity match against the
+ *   element's fingerprint from its last successful match (DomFingerprint)
+ * - Behaviour from autonomousConfig.js (selfHealing.selectorManagement)
  */
 
+const ConfigLoader = require('../config/configLoader');
+const SelectorStore = require('./selectorStore');
+const DomFingerprint = require('./domFingerprint');
+const LocatorStrategies = require('./locatorStrategies');
+const WaitTracker = require('../monitoring/waitTracker');
+
+// selectorAttempts key for matches found by DOM similarity
+const SIMILARITY_STAT = 'dom-similarity';
+
+let sharedStore = null;
+
 class SelectorManager {
-  constructor(logger = console) {
+  /**
+   * @param {Object} logger - Console-like logger
+   * @param {Object} options
+   * @param {string} options.pageName - Page object the elements belong to (SelectorStore key)
+   * @param {Object} options.owner - Page object holding the selectors (resolves field names in heal events)
+   * @param {SelectorStore} options.store - Store override (default: shared file-backed store)
+   */
+  constructor(logger = console, { pageName = 'global', owner = null, store } = {}) {
     this.logger = logger;
+    this.pageName = pageName;
+    this.owner = owner;
     this.selectorCache = new Map();
     this.selectorAttempts = new Map();
+    this.strategyStats = new Map();
+    this.healEvents = [];
+    this.ambiguities = new Map();
+
+    const settings = ConfigLoader.get('selfHealing.selectorManagement', {});
+    this.healingEnabled = ConfigLoader.isEnabled('selfHealing.selectorManagement');
+    this.cacheEnabled = this.healingEnabled && settings.cacheSuccessfulSelectors !== false;
+    this.generateFallbacks = this.healingEnabled && settings.generateFallbacks !== false;
+    this.strategyOrder = settings.strategyOrder || LocatorStrategies.getFamilies();
+    this.elementStrategies = settings.elementStrategies || {};
+
+    const persistEnabled = this.healingEnabled && settings.persistSelectors !== false;
+    this.store = persistEnabled ? store || SelectorManager.getSharedStore() : null;
+
+    // Fingerprints live in the store, so similarity healing needs persistence
+    this.similarityEnabled = Boolean(this.store) && settings.similarityHealing !== false;
+    this.similarityThreshold = settings.similarityThreshold ?? 0.7;
+  }
+
+  /**
+   * File-backed store shared by all managers in this process
+   * @returns {SelectorStore}
+   */
+  static getSharedStore() {
+    if (!sharedStore) {
+      sharedStore = new SelectorStore();
+    }
+    return sharedStore;
   }
 
   /**
@@ -21,94 +86,519 @@ class SelectorManager {
    * @param {string} elementName - Friendly name for logging
    * @param {string} primarySelector - Primary CSS selector
    * @param {string[]} fallbackSelectors - Array of fallback selectors
-   * @param {number} timeout - Max wait time in ms (default 5000)
-   * @returns {Promise<Locator|null>} - Found locator or null
+   * @param {number} timeout - Max wait time in ms for the whole lookup, shared by every candidate (default 5000)
+   * @param {Object} options
+   * @param {string[]} options.strategies - Strategy family order for this element
+   *   (default: elementStrategies config, then strategyOrder)
+   * @param {Object} options.a11y - Accessibility hints { role, name, label, placeholder, text }
+   * @param {string} options.state - State to wait for: 'attached' (default) or 'visible'
+   * @param {Object} options.source - Registry declaration { page, element } (heal report target)
+   * @param {Locator|string} options.scope - Narrow the search to this locator (or selector)
+   * @param {Object} options.filter - Narrow the matches: locator.filter() options
+   *   { hasText, hasNotText, has, hasNot, visible } and/or { index } (nth match, -1 for last)
+   * @param {boolean} options.multiple - Every match is wanted (lists); skips the ambiguity check
+   * @returns {Promise<Locator|null>} - Found locator, or null when nothing (unambiguous) matched
    */
   async smartSelect(
     page,
     elementName,
     primarySelector,
     fallbackSelectors = [],
-    timeout = 5000
+    timeout = 5000,
+    options = {}
   ) {
     const cacheKey = `${elementName}_${primarySelector}`;
+    const { state = 'attached', source, scope, filter, multiple = false } = options;
+    const root = SelectorManager.resolveScope(page, scope);
     
-    // Return cached selector if successful before
-    if (this.selectorCache.has(cacheKey)) {
-      return page.locator(this.selectorCache.get(cacheKey));
+    // Return cached selector if successful before - unless it is ambiguous in this scope
+    if (this.cacheEnabled && this.selectorCache.has(cacheKey)) {
+      const cached = SelectorManager.narrow(this.selectorCache.get(cacheKey).locate(root), filter);
+      if (multiple || (await cached.count()) <= 1) {
+        return cached;
+      }
     }
 
-    const allSelectors = [primarySelector, ...fallbackSelectors];
+    const candidates = this.buildCandidates(elementName, primarySelector, fallbackSelectors, options);
+    const healDetails = source ? { registry: source } : {};
+    const attempts = [];
+    const deadline = Date.now() + timeout;
+    this.ambiguities.delete(elementName);
     
-    for (const selector of allSelectors) {
+    for (const candidate of candidates) {
+      const { key: selector, strategy } = candidate;
+      let match;
+
       try {
-        const locator = page.locator(selector);
-        
         // Verify element is visible/exists
-        await locator.waitFor({ state: 'attached', timeout });
-        
-        this.logger.log(
-          `✓ [${elementName}] Found with selector: ${selector}`
-        );
-        
-        // Cache successful selector
-        this.selectorCache.set(cacheKey, selector);
-        
-        // Track attempts
-        this.recordAttempt(elementName, selector, true);
-        
-        return locator;
+        match = await this.matchLocator(candidate.locate(root), {
+          state,
+          timeout: Math.max(deadline - Date.now(), 0),
+          filter,
+          multiple,
+          label: `${elementName} ${candidate.description}`,
+        });
       } catch (error) {
-        this.recordAttempt(elementName, selector, false);
+        this.recordAttempt(elementName, selector, false, { strategy });
+        attempts.push({ selector, success: false, strategy });
         this.logger.debug(
-          `✗ [${elementName}] Selector failed: ${selector}`
+          `✗ [${elementName}] Selector failed: ${candidate.description}`
+        );
+        continue;
+      }
+
+      const { locator, matches } = match;
+
+      if (matches > 1) {
+        this.recordAttempt(elementName, selector, false, { strategy, ambiguous: true });
+        attempts.push({ selector, success: false, ambiguous: true, matches, strategy });
+        this.logger.warn(
+          `⚠ [${elementName}] Ambiguous selector: ${candidate.description} matches ${matches} elements`
         );
         continue;
       }
+
+      this.logger.log(
+        `✓ [${elementName}] Found with selector: ${candidate.description}`
+      );
+
+      // Cache successful selector
+      if (this.cacheEnabled) {
+        this.selectorCache.set(cacheKey, candidate);
+      }
+
+      // Track attempts
+      this.recordAttempt(elementName, selector, true, { strategy });
+      attempts.push({ selector, success: true, strategy });
+      await this.persistAttempts(elementName, attempts, locator);
+
+      if (selector !== primarySelector && this.isPrimaryBroken(elementName, primarySelector, attempts)) {
+        const css = strategy === 'css';
+        const primary = attempts.find((attempt) => attempt.selector === primarySelector);
+        const details = primary && primary.ambiguous
+          ? { ...healDetails, primaryMatches: primary.matches }
+          : healDetails;
+        this.recordHeal(
+          elementName,
+          primarySelector,
+          css ? selector : null,
+          fallbackSelectors,
+          css ? details : { ...details, strategy, winningLocator: candidate.description }
+        );
+      }
+      
+      return locator;
+    }
+
+    await this.persistAttempts(elementName, attempts);
+
+    const ambiguous = attempts.filter((attempt) => attempt.ambiguous);
+    if (ambiguous.length > 0) {
+      // The element is on the page; picking one of its matches would be a guess
+      this.ambiguities.set(elementName, ambiguous);
+      this.logger.error(
+        `✗ [${elementName}] No unambiguous match: ` +
+          `${ambiguous.map(({ selector, matches }) => `${selector} (${matches})`).join(' | ')}` +
+          ' - narrow it with a scope or filter'
+      );
+      return null;
     }
 
     // All selectors failed
     this.logger.error(
-      `✗ [${elementName}] All selectors failed. Tried: ${allSelectors.join(' | ')}`
+      `✗ [${elementName}] All selectors failed. Tried: ${candidates.map((c) => c.description).join(' | ')}`
     );
     
-    return null;
+    return this.healBySimilarity(root, elementName, primarySelector, fallbackSelectors, healDetails);
+  }
+
+  /**
+   * Wait for a locator's first match and count its matches
+   * Waiting on the first match keeps waitFor() out of strict mode, so a
+   * multi-match selector is reported as ambiguous rather than as failing.
+   * @param {Locator} locator - Candidate locator
+   * @param {Object} options - { state, timeout, filter, multiple } (see smartSelect);
+   *   timeout 0 checks the current page without waiting
+   * @param {string} options.label - Wait budget name ('<element> <candidate>')
+   * @returns {Promise<{locator: Locator, matches: number}>} - Narrowed locator and its
+   *   match count (1 when every match is wanted)
+   */
+  async matchLocator(locator, { state, timeout, filter, multiple, label }) {
+    const narrowed = SelectorManager.narrow(locator, filter);
+    await WaitTracker.track('SelectorManager', `${this.pageName}::${label}`, timeout, async () => {
+      if (timeout > 0) {
+        await narrowed.first().waitFor({ state, timeout });
+        return;
+      }
+
+      // Lookup deadline spent (waitFor would treat 0 as no timeout)
+      const present = state === 'visible' ? await narrowed.first().isVisible() : (await narrowed.count()) > 0;
+      if (!present) {
+        throw new Error(`Timeout: no ${state} match when checked after the lookup deadline`);
+      }
+    });
+
+    return { locator: narrowed, matches: multiple ? 1 : await narrowed.count() };
+  }
+
+  /**
+   * Search root for a lookup
+   * @param {Page|Locator} page - Page (or locator) passed to smartSelect
+   * @param {Locator|string} scope - Narrower scope, as a locator or a selector within page
+   * @returns {Page|Locator}
+   */
+  static resolveScope(page, scope) {
+    if (!scope) {
+      return page;
+    }
+    return typeof scope === 'string' ? page.locator(scope) : scope;
+  }
+
+  /**
+   * Apply a match filter to a locator
+   * @param {Locator} locator
+   * @param {Object} filter - locator.filter() options and/or { index }
+   * @returns {Locator}
+   */
+  static narrow(locator, filter) {
+    if (!filter) {
+      return locator;
+    }
+
+    const { index, ...options } = filter;
+    let narrowed = Object.keys(options).length > 0 ? locator.filter(options) : locator;
+
+    if (index !== undefined) {
+      narrowed = index === -1 ? narrowed.last() : narrowed.nth(index);
+    }
+    return narrowed;
+  }
+
+  /**
+   * Ambiguous selectors from an element's last lookup, when that lookup found no unique match
+   * @param {string} elementName - Friendly name
+   * @returns {Array<{selector: string, matches: number}>|null}
+   */
+  getAmbiguity(elementName) {
+    const ambiguous = this.ambiguities.get(elementName);
+    return ambiguous ? ambiguous.map(({ selector, matches }) => ({ selector, matches })) : null;
+  }
+
+  /**
+   * Ordered candidates for an element: CSS (ranked by history) plus
+   * accessibility locators, arranged by the element's strategy order
+   * @returns {Object[]} - LocatorStrategies candidates
+   */
+  buildCandidates(elementName, primarySelector, fallbackSelectors, { strategies, a11y } = {}) {
+    const cssCandidates = this.rankSelectors(
+      elementName,
+      this.getCandidateSelectors(primarySelector, fallbackSelectors)
+    ).map(LocatorStrategies.css);
+
+    if (!this.healingEnabled) {
+      return cssCandidates;
+    }
+
+    const entry = this.store ? this.store.getEntry(this.pageName, elementName) : null;
+    const hints = LocatorStrategies.getHints(entry && entry.fingerprint, a11y);
+
+    return LocatorStrategies.arrange(
+      this.getStrategyOrder(elementName, strategies),
+      cssCandidates,
+      hints
+    );
+  }
+
+  /**
+   * Strategy family order for an element
+   * @param {string} elementName - Friendly name
+   * @param {string[]} override - Order passed by the caller
+   * @returns {string[]}
+   */
+  getStrategyOrder(elementName, override) {
+    return (
+      override ||
+      this.elementStrategies[SelectorStore.getKey(this.pageName, elementName)] ||
+      this.strategyOrder
+    );
+  }
+
+  /**
+   * Whether a non-primary win means the primary is broken (a heal), rather
+   * than a strategy order that deliberately tries something else first
+   * @returns {boolean} - Primary failed now, or its last recorded outcome was a failure
+   */
+  isPrimaryBroken(elementName, primarySelector, attempts) {
+    if (attempts.some(({ selector, success }) => selector === primarySelector && !success)) {
+      return true;
+    }
+
+    const entry = this.store ? this.store.getEntry(this.pageName, elementName) : null;
+    const stats = entry && entry.selectors[primarySelector];
+
+    if (!stats || !(stats.failure || stats.ambiguous)) {
+      return false;
+    }
+
+    // ISO timestamps compare in time order; an ambiguous match counts as a failure here
+    const lastBadAt = [stats.lastFailureAt, stats.lastAmbiguousAt].filter(Boolean).sort().pop();
+    return !stats.lastSuccessAt || lastBadAt > stats.lastSuccessAt;
   }
 
   /**
-   * Find any element from multiple options (first match wins)
+   * Find any element from multiple options (first unambiguous match wins)
    * @param {Page} page - Playwright page object
    * @param {string} elementName - Friendly name
    * @param {string[]} selectors - Array of selectors to try
-   * @param {number} timeout - Max wait time
+   * @param {number} timeout - Max wait time for the whole lookup, shared by every selector
+   * @param {Object} options - { state, scope, filter, multiple } (see smartSelect)
    * @returns {Promise<Locator|null>}
    */
   async smartSelectAny(
     page,
     elementName,
     selectors = [],
-    timeout = 5000
+    timeout = 5000,
+    { state = 'attached', scope, filter, multiple = false } = {}
   ) {
-    for (const selector of selectors) {
+    // Without self-healing only the first (primary) selector is tried
+    const candidates = this.healingEnabled ? selectors : selectors.slice(0, 1);
+    const root = SelectorManager.resolveScope(page, scope);
+    // Only ambiguity is tracked here: these are alternatives, not primary and fallbacks
+    const ambiguous = [];
+    const deadline = Date.now() + timeout;
+    this.ambiguities.delete(elementName);
+
+    for (const selector of candidates) {
+      let match;
       try {
-        const locator = page.locator(selector);
-        await locator.waitFor({ state: 'attached', timeout });
-        
-        this.logger.log(
-          `✓ [${elementName}] Found via smartSelectAny: ${selector}`
-        );
-        
-        return locator;
+        match = await this.matchLocator(root.locator(selector), {
+          state,
+          timeout: Math.max(deadline - Date.now(), 0),
+          filter,
+          multiple,
+          label: `${elementName} ${selector}`,
+        });
       } catch {
         continue;
       }
+
+      if (match.matches > 1) {
+        this.recordAttempt(elementName, selector, false, { ambiguous: true });
+        ambiguous.push({ selector, success: false, ambiguous: true, matches: match.matches, strategy: 'css' });
+        this.logger.warn(
+          `⚠ [${elementName}] Ambiguous selector: ${selector} matches ${match.matches} elements`
+        );
+        continue;
+      }
+
+      this.logger.log(
+        `✓ [${elementName}] Found via smartSelectAny: ${selector}`
+      );
+      await this.persistAttempts(elementName, ambiguous, match.locator);
+      
+      return match.locator;
+    }
+
+    await this.persistAttempts(elementName, ambiguous);
+
+    if (ambiguous.length > 0) {
+      this.ambiguities.set(elementName, ambiguous);
+      this.logger.error(
+        `✗ [${elementName}] No unambiguous match: ` +
+          `${ambiguous.map(({ selector, matches }) => `${selector} (${matches})`).join(' | ')}` +
+          ' - narrow it with a scope or filter'
+      );
+      return null;
     }
 
     this.logger.error(
       `✗ [${elementName}] No selector matched from: ${selectors.join(' | ')}`
     );
     
-    return null;
+    return this.healBySimilarity(root, elementName, selectors[0], selectors.slice(1));
+  }
+
+  /**
+   * Last-resort healing: find the element most similar to its stored fingerprint
+   * @param {Page|Locator} root - Search scope
+   * @param {string} elementName - Friendly name
+   * @param {string} primarySelector - Declared primary (for the heal event)
+   * @param {string[]} fallbackSelectors - Declared fallbacks (for the heal event)
+   * @param {Object} details - Extra heal event fields (e.g. { registry })
+   * @returns {Promise<Locator|null>} - Match at or above similarityThreshold, else null
+   */
+  async healBySimilarity(root, elementName, primarySelector, fallbackSelectors = [], details = {}) {
+    if (!this.similarityEnabled) {
+      return null;
+    }
+
+    const entry = this.store.getEntry(this.pageName, elementName);
+    if (!entry || !entry.fingerprint) {
+      return null;
+    }
+
+    let match;
+    try {
+      match = await DomFingerprint.findBestMatch(root, entry.fingerprint, {
+        threshold: this.similarityThreshold,
+      });
+    } catch (error) {
+      this.logger.warn(`⚠ [${elementName}] Similarity healing failed: ${error.message}`);
+      return null;
+    }
+
+    if (!match) {
+      this.logger.warn(
+        `⚠ [${elementName}] No element similar enough to its last match (threshold ${this.similarityThreshold})`
+      );
+      return null;
+    }
+
+    this.recordAttempt(elementName, SIMILARITY_STAT, true, { healed: true, strategy: 'similarity' });
+    this.recordHeal(elementName, primarySelector, match.selector, fallbackSelectors, {
+      ...details,
+      strategy: 'similarity',
+      score: Number(match.score.toFixed(3)),
+    });
+
+    try {
+      await this.store.recordSimilarityHeal(this.pageName, elementName, match.score);
+    } catch (error) {
+      this.logger.warn(`⚠ [${elementName}] Could not persist similarity heal: ${error.message}`);
+    }
+
+    return match.locator;
+  }
+
+  /**
+   * Build the ordered list of selectors to try for an element
+   * @param {string} primarySelector - Primary CSS selector
+   * @param {string[]} fallbackSelectors - Explicit fallbacks
+   * @returns {string[]} - De-duplicated selectors, primary first
+   */
+  getCandidateSelectors(primarySelector, fallbackSelectors = []) {
+    if (!this.healingEnabled) {
+      return [primarySelector];
+    }
+
+    const generated = this.generateFallbacks
+      ? this.generateFallbackSelectors(primarySelector)
+      : [];
+
+    return [...new Set([primarySelector, ...fallbackSelectors, ...generated])];
+  }
+
+  /**
+   * Order selectors by persisted history (unchanged without a store)
+   * @param {string} elementName - Friendly name
+   * @param {string[]} selectors - Candidates in declared order
+   * @returns {string[]}
+   */
+  rankSelectors(elementName, selectors) {
+    if (!this.store) {
+      return selectors;
+    }
+
+    const ranked = this.store.rankSelectors(this.pageName, elementName, selectors);
+    if (ranked[0] !== selectors[0]) {
+      this.logger.log(
+        `↻ [${elementName}] Trying historically best selector first: ${ranked[0]}`
+      );
+    }
+    return ranked;
+  }
+
+  /**
+   * Write lookup outcomes to the store; store errors never fail the lookup
+   * @param {string} elementName - Friendly name
+   * @param {Array<{selector: string, success: boolean, strategy: string}>} attempts
+   * @param {Locator} matched - Matched element, fingerprinted for similarity healing
+   */
+  async persistAttempts(elementName, attempts, matched = null) {
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      const fingerprint =
+        matched && this.similarityEnabled ? await DomFingerprint.capture(matched) : null;
+      await this.store.recordAttempts(this.pageName, elementName, attempts, { fingerprint });
+    } catch (error) {
+      this.logger.warn(`⚠ [${elementName}] Could not persist selector history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that an element was found by something other than its primary selector
+   * @param {string} elementName - Friendly name
+   * @param {string} primarySelector - Declared primary that did not win
+   * @param {string} winningSelector - Selector that found the element
+   * @param {string[]} fallbackSelectors - Declared fallbacks
+   * @param {Object} details - Extra event fields (e.g. { strategy: 'similarity', score },
+   *   { primaryMatches } when the primary was ambiguous,
+   *   { registry: { page, element } } for selectors declared in the selector registry)
+   */
+  recordHeal(elementName, primarySelector, winningSelector, fallbackSelectors, details = {}) {
+    const { registry } = details;
+    const field = registry ? registry.element : this.findOwnerField((value) => value === primarySelector);
+    const fallbacksField = registry
+      ? 'fallbacks'
+      : this.findOwnerField((value) => value === fallbackSelectors) ||
+        (field && this.owner && Array.isArray(this.owner[`${field}Fallbacks`])
+          ? `${field}Fallbacks`
+          : null);
+
+    const event = {
+      page: this.pageName,
+      element: elementName,
+      field,
+      fallbacksField,
+      failingSelector: primarySelector,
+      winningSelector,
+      fallbacks: fallbackSelectors,
+      ...details,
+    };
+
+    this.healEvents.push(event);
+    this.logger.warn(
+      `⚠ [${elementName}] Healed${details.strategy ? ` by ${details.strategy}` : ''}: ` +
+        `${primarySelector} → ${winningSelector || details.winningLocator || 'positional match'}` +
+        (details.score !== undefined ? ` (score ${details.score})` : '') +
+        (details.primaryMatches ? ` (primary matched ${details.primaryMatches} elements)` : '') +
+        (field ? ` (${registry ? registry.page : this.pageName}.${field})` : '')
+    );
+
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      this.store.recordHeal(event);
+    } catch (error) {
+      this.logger.warn(`⚠ [${elementName}] Could not record heal event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Name of the owner property whose value matches
+   * @param {Function} predicate - Receives each property value
+   * @returns {string|null}
+   */
+  findOwnerField(predicate) {
+    if (!this.owner) {
+      return null;
+    }
+
+    return Object.keys(this.owner).find((key) => predicate(this.owner[key])) || null;
+  }
+
+  /**
+   * Get heal events recorded by this manager
+   * @returns {Object[]}
+   */
+  getHealEvents() {
+    return [...this.healEvents];
   }
 
   /**
@@ -155,20 +645,38 @@ class SelectorManager {
 
   /**
    * Record selector attempt for analytics
+   * @param {Object} options
+   * @param {boolean} options.healed - Match came from a healing strategy (counted separately)
+   * @param {string} options.strategy - Strategy family ('css', 'role', ..., 'similarity')
+   * @param {boolean} options.ambiguous - Matched several elements (counted instead of a failure)
    */
-  recordAttempt(elementName, selector, success) {
+  recordAttempt(elementName, selector, success, { healed = false, strategy = 'css', ambiguous = false } = {}) {
     const key = `${elementName}_${selector}`;
+    const outcome = success ? 'success' : ambiguous ? 'ambiguous' : 'failure';
     
     if (!this.selectorAttempts.has(key)) {
-      this.selectorAttempts.set(key, { success: 0, failure: 0 });
+      this.selectorAttempts.set(key, { success: 0, failure: 0, ambiguous: 0 });
     }
 
     const stats = this.selectorAttempts.get(key);
-    if (success) {
-      stats.success++;
-    } else {
-      stats.failure++;
+    stats[outcome]++;
+
+    if (healed) {
+      stats.healed = (stats.healed || 0) + 1;
     }
+
+    if (!this.strategyStats.has(strategy)) {
+      this.strategyStats.set(strategy, { success: 0, failure: 0, ambiguous: 0 });
+    }
+    this.strategyStats.get(strategy)[outcome]++;
+  }
+
+  /**
+   * Success rate per strategy family, most stable first
+   * @returns {Array<{strategy: string, success: number, failure: number, ambiguous: number, successRate: number}>}
+   */
+  getStrategyStats() {
+    return SelectorStore.rankStrategies(this.strategyStats);
   }
 
   /**
@@ -187,9 +695,18 @@ class SelectorManager {
     console.log('\nSelector Success Rates:');
     
     for (const [key, stats] of this.selectorAttempts) {
-      const total = stats.success + stats.failure;
+      const total = stats.success + stats.failure + stats.ambiguous;
       const rate = ((stats.success / total) * 100).toFixed(1);
-      console.log(`  ${key}: ${rate}% (${stats.success}/${total})`);
+      const healed = stats.healed ? `, healed ${stats.healed}` : '';
+      const ambiguous = stats.ambiguous ? `, ambiguous ${stats.ambiguous}` : '';
+      console.log(`  ${key}: ${rate}% (${stats.success}/${total}${healed}${ambiguous})`);
+    }
+
+    console.log('\nStrategy Stability:');
+    for (const { strategy, success, failure, ambiguous, successRate } of this.getStrategyStats()) {
+      const total = success + failure + ambiguous;
+      const note = ambiguous ? `, ambiguous ${ambiguous}` : '';
+      console.log(`  ${strategy}: ${(successRate * 100).toFixed(1)}% (${success}/${total}${note})`);
     }
   }
 }
@@ -0,0 +1,208 @@
+/**
+ * SelectorRegistry - Declarative Page Object Selectors
+ *
+ * Features:
+ * - Loads pages/selectors.js (elements keyed by page object and element key)
+ * - Schema validation on load, every problem reported at once (ConfigValidator)
+ * - Per-class element maps that include inherited entries (BasePage, desktop
+ *   entries for mobile variants)
+ * - Normalized definitions with defaults (no fallbacks, 'attached' state)
+ *
+ * Page objects look elements up by key through BasePage (findElement('loginButton')).
+ */
+
+const path = require('path');
+const ConfigValidator = require('../config/configValidator');
+const LocatorStrategies = require('./locatorStrategies');
+
+const REGISTRY_PATH = path.resolve(__dirname, '../../pages/selectors.js');
+const REGISTRY_VERSION = 1;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const bool = { type: 'boolean' };
+
+const ELEMENT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'selector'],
+  properties: {
+    name: nonEmptyString,
+    selector: nonEmptyString,
+    fallbacks: { type: 'array', items: nonEmptyString },
+    state: { type: 'string', enum: ['attached', 'visible'] },
+    a11y: {
+      type: 'object',
+      properties: {
+        role: nonEmptyString,
+        name: nonEmptyString,
+        label: nonEmptyString,
+        placeholder: nonEmptyString,
+        text: nonEmptyString,
+      },
+    },
+    strategies: {
+      type: 'array',
+      items: { type: 'string', enum: LocatorStrategies.getFamilies() },
+    },
+    multiple: bool,
+    dynamic: bool,
+  },
+};
+
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  required: ['version', 'pages'],
+  properties: {
+    version: { type: 'number', integer: true, min: 1 },
+    pages: {
+      type: 'object',
+      values: {
+        type: 'object',
+        required: ['elements'],
+        properties: {
+          lint: {
+            type: 'object',
+            required: ['path'],
+            properties: { path: nonEmptyString, auth: bool },
+          },
+          elements: { type: 'object', values: ELEMENT_SCHEMA },
+        },
+      },
+    },
+  },
+};
+
+let cachedRegistry = null;
+const classCache = new Map();
+
+class SelectorRegistry {
+  /**
+   * Path of the registry module
+   * @returns {string}
+   */
+  static getPath() {
+    return REGISTRY_PATH;
+  }
+
+  /**
+   * Load and validate the registry (cached)
+   * @returns {Object} - { version, pages: { [pageName]: { lint, elements } } }
+   */
+  static load() {
+    if (!cachedRegistry) {
+      const registry = require(REGISTRY_PATH);
+      SelectorRegistry.assertValid(registry);
+      cachedRegistry = registry;
+    }
+    return cachedRegistry;
+  }
+
+  /**
+   * Validate a registry
+   * @param {Object} registry
+   * @returns {Array<{path: string, message: string}>} - Empty when valid
+   */
+  static validate(registry) {
+    const errors = ConfigValidator.validate(registry, REGISTRY_SCHEMA);
+
+    if (errors.length === 0 && registry.version !== REGISTRY_VERSION) {
+      errors.push({
+        path: 'version',
+        message: `unsupported registry version ${registry.version} (expected ${REGISTRY_VERSION})`,
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and throw listing every problem
+   * @param {Object} registry
+   */
+  static assertValid(registry) {
+    const errors = SelectorRegistry.validate(registry);
+
+    if (errors.length > 0) {
+      throw new Error(
+        `[SelectorRegistry] Invalid ${path.relative(process.cwd(), REGISTRY_PATH)}:\n` +
+          ConfigValidator.formatErrors(errors)
+      );
+    }
+  }
+
+  /**
+   * Names of all registered pages, in declaration order
+   * @returns {string[]}
+   */
+  static getPageNames() {
+    return Object.keys(SelectorRegistry.load().pages);
+  }
+
+  /**
+   * Entry of one page, without inherited elements
+   * @param {string} pageName
+   * @returns {Object|null} - { lint, elements }
+   */
+  static getPage(pageName) {
+    return SelectorRegistry.load().pages[pageName] || null;
+  }
+
+  /**
+   * Elements of a page object class, parents first so subclasses can override
+   * @param {Function} PageClass - Page object class (e.g. MobileLoginPage)
+   * @returns {Object} - { [key]: definition } (see normalize())
+   */
+  static forClass(PageClass) {
+    if (classCache.has(PageClass)) {
+      return classCache.get(PageClass);
+    }
+
+    const chain = [];
+    for (let current = PageClass; current && current.name; current = Object.getPrototypeOf(current)) {
+      chain.unshift(current.name);
+    }
+
+    const elements = {};
+    for (const pageName of chain) {
+      Object.assign(elements, SelectorRegistry.getElements(pageName));
+    }
+
+    classCache.set(PageClass, elements);
+    return elements;
+  }
+
+  /**
+   * Normalized elements declared on one page
+   * @param {string} pageName
+   * @returns {Object} - { [key]: definition }
+   */
+  static getElements(pageName) {
+    const entry = SelectorRegistry.getPage(pageName);
+    const elements = {};
+
+    for (const [key, element] of Object.entries(entry ? entry.elements : {})) {
+      elements[key] = SelectorRegistry.normalize(pageName, key, element);
+    }
+    return elements;
+  }
+
+  /**
+   * Fill in defaults
+   * @returns {Object} - { page, key, name, selector, fallbacks, state, a11y, strategies, multiple, dynamic }
+   */
+  static normalize(pageName, key, element) {
+    return {
+      page: pageName,
+      key,
+      name: element.name,
+      selector: element.selector,
+      fallbacks: element.fallbacks || [],
+      state: element.state || 'attached',
+      a11y: element.a11y,
+      strategies: element.strategies,
+      multiple: element.multiple === true,
+      dynamic: element.dynamic === true,
+    };
+  }
+}
+
+module.exports = SelectorRegistry;
@@ -0,0 +1,314 @@
+/**
+ * SelectorStore - Persistent Self-Healing Selector History
+ *
+ * Features:
+ * - One JSON file shared by every run and every Playwright worker
+ * - Entries keyed by page object and element name
+ * - Per-selector success/failure/ambiguous counts and the selector that last worked
+ * - Success rate per locator strategy family (css, role, label, ...)
+ * - DOM fingerprint of the element from its last successful match (similarity healing)
+ * - Ranking of candidate selectors, historically best first
+ * - Cross-process lock file around read-modify-write, atomic renames for readers (FileLock)
+ * - Append-only log of heal events (primary selector failed, a fallback won)
+ * - Behaviour from autonomousConfig.js (selfHealing.selectorManagement)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const FileLock = require('./fileLock');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const DEFAULT_STORE_PATH = '.selector-store/selectors.json';
+const STORE_VERSION = 1;
+
+class SelectorStore {
+  /**
+   * @param {string} filePath - Store file (relative paths resolve from the repo root)
+   */
+  constructor(
+    filePath = ConfigLoader.get('selfHealing.selectorManagement.storePath', DEFAULT_STORE_PATH)
+  ) {
+    this.filePath = path.resolve(ROOT_DIR, filePath);
+    this.lock = new FileLock(`${this.filePath}.lock`, 'selector store');
+    this.healLogPath = path.join(path.dirname(this.filePath), 'heals.jsonl');
+  }
+
+  /**
+   * Key of an element entry
+   * @param {string} pageName - Page object name (e.g. 'LoginPage')
+   * @param {string} elementName - Friendly element name (e.g. 'Login Button')
+   * @returns {string}
+   */
+  static getKey(pageName, elementName) {
+    return `${pageName}::${elementName}`;
+  }
+
+  /**
+   * Read the whole store (empty store when missing or unreadable)
+   * Writers rename complete files into place, so no lock is needed here.
+   * @returns {Object} - { version, elements: { [key]: entry } }
+   */
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data && data.version === STORE_VERSION && data.elements) {
+        return data;
+      }
+    } catch {
+      // Missing or corrupt file - start fresh
+    }
+
+    return { version: STORE_VERSION, elements: {} };
+  }
+
+  /**
+   * Get the history of one element
+   * @param {string} pageName
+   * @param {string} elementName
+   * @returns {Object|null} - { page, element, lastWorked, lastWorkedAt, selectors: { [selector]: stats },
+   *   fingerprint, similarity: { heals, lastScore, lastHealedAt } }
+   */
+  getEntry(pageName, elementName) {
+    return this.load().elements[SelectorStore.getKey(pageName, elementName)] || null;
+  }
+
+  /**
+   * Get all element histories
+   * @returns {Object[]}
+   */
+  getEntries() {
+    return Object.values(this.load().elements);
+  }
+
+  /**
+   * Order candidate selectors by history
+   * The selector that last worked comes first, then by success minus failures
+   * and ambiguous matches.
+   * Selectors without history keep their given order; unknown stored selectors are not added.
+   * @param {string} pageName
+   * @param {string} elementName
+   * @param {string[]} candidates - Selectors in declared order
+   * @returns {string[]}
+   */
+  rankSelectors(pageName, elementName, candidates) {
+    const entry = this.getEntry(pageName, elementName);
+
+    if (!entry) {
+      return candidates;
+    }
+
+    const score = (selector) => {
+      if (selector === entry.lastWorked) {
+        return Infinity;
+      }
+
+      const stats = entry.selectors[selector];
+      return stats ? stats.success - stats.failure - (stats.ambiguous || 0) : 0;
+    };
+
+    // Array.prototype.sort is stable, so ties keep the declared order
+    return [...candidates].sort((a, b) => score(b) - score(a));
+  }
+
+  /**
+   * Record the outcome of one lookup
+   * @param {string} pageName
+   * @param {string} elementName
+   * @param {Array<{selector: string, success: boolean, strategy: string, ambiguous: boolean, matches: number}>} attempts
+   *   In the order they were tried; ambiguous attempts matched several elements
+   * @param {Object} options
+   * @param {Object} options.fingerprint - DomFingerprint of the matched element (kept when omitted)
+   */
+  async recordAttempts(pageName, elementName, attempts, { fingerprint = null } = {}) {
+    if (attempts.length === 0 && !fingerprint) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+
+    await this.updateEntry(pageName, elementName, (entry) => {
+      if (fingerprint) {
+        entry.fingerprint = { ...fingerprint, capturedAt: now };
+      }
+
+      for (const { selector, success, strategy = 'css', ambiguous, matches } of attempts) {
+        const stats = entry.selectors[selector] || { strategy, success: 0, failure: 0 };
+
+        if (success) {
+          stats.success++;
+          stats.lastSuccessAt = now;
+          entry.lastWorked = selector;
+          entry.lastWorkedAt = now;
+        } else if (ambiguous) {
+          stats.ambiguous = (stats.ambiguous || 0) + 1;
+          stats.lastAmbiguousAt = now;
+          stats.lastMatchCount = matches;
+        } else {
+          stats.failure++;
+          stats.lastFailureAt = now;
+        }
+
+        entry.selectors[selector] = stats;
+      }
+    });
+  }
+
+  /**
+   * Success rate per strategy family across all elements
+   * Similarity heals count as successes of the 'similarity' family.
+   * @returns {Array<{strategy: string, success: number, failure: number, ambiguous: number, successRate: number}>}
+   */
+  getStrategyStats() {
+    const totals = new Map();
+    const add = (strategy, success, failure, ambiguous = 0) => {
+      const stats = totals.get(strategy) || { success: 0, failure: 0, ambiguous: 0 };
+      stats.success += success;
+      stats.failure += failure;
+      stats.ambiguous += ambiguous;
+      totals.set(strategy, stats);
+    };
+
+    for (const entry of this.getEntries()) {
+      for (const stats of Object.values(entry.selectors)) {
+        add(stats.strategy || 'css', stats.success, stats.failure, stats.ambiguous);
+      }
+      if (entry.similarity) {
+        add('similarity', entry.similarity.heals, 0);
+      }
+    }
+
+    return SelectorStore.rankStrategies(totals);
+  }
+
+  /**
+   * Most stable strategy family first (ambiguous matches count against the rate)
+   * @param {Map<string, {success: number, failure: number, ambiguous: number}>} totals
+   * @returns {Array<{strategy: string, success: number, failure: number, ambiguous: number, successRate: number}>}
+   */
+  static rankStrategies(totals) {
+    return [...totals.entries()]
+      .map(([strategy, { success, failure, ambiguous = 0 }]) => {
+        const total = success + failure + ambiguous;
+        return {
+          strategy,
+          success,
+          failure,
+          ambiguous,
+          successRate: total === 0 ? 0 : success / total,
+        };
+      })
+      .sort((a, b) => b.successRate - a.successRate || b.success - a.success);
+  }
+
+  /**
+   * Count a similarity heal (element found by fingerprint after all selectors failed)
+   * @param {string} pageName
+   * @param {string} elementName
+   * @param {number} score - Similarity of the accepted match
+   */
+  async recordSimilarityHeal(pageName, elementName, score) {
+    await this.updateEntry(pageName, elementName, (entry) => {
+      const similarity = entry.similarity || { heals: 0 };
+
+      similarity.heals++;
+      similarity.lastScore = Number(score.toFixed(3));
+      similarity.lastHealedAt = new Date().toISOString();
+      entry.similarity = similarity;
+    });
+  }
+
+  /**
+   * Update one element entry under the lock, creating it when new
+   * @param {string} pageName
+   * @param {string} elementName
+   * @param {Function} mutator - Receives the entry and edits it in place
+   */
+  async updateEntry(pageName, elementName, mutator) {
+    const key = SelectorStore.getKey(pageName, elementName);
+
+    await this.update((data) => {
+      const entry = data.elements[key] || {
+        page: pageName,
+        element: elementName,
+        lastWorked: null,
+        lastWorkedAt: null,
+        selectors: {},
+      };
+
+      mutator(entry);
+      data.elements[key] = entry;
+    });
+  }
+
+  /**
+   * Read-modify-write the store under the cross-process lock
+   * @param {Function} mutator - Receives the store data and edits it in place
+   */
+  async update(mutator) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    await this.lock.withLock(() => {
+      const data = this.load();
+      mutator(data);
+      data.updatedAt = new Date().toISOString();
+      FileLock.writeJsonAtomic(this.filePath, data);
+    });
+  }
+
+  /**
+   * Append a heal event
+   * One appendFileSync per line: small O_APPEND writes do not interleave
+   * between workers, so no lock is needed.
+   * @param {Object} event - { page, element, field, fallbacksField, failingSelector, winningSelector, fallbacks }
+   */
+  recordHeal(event) {
+    fs.mkdirSync(path.dirname(this.healLogPath), { recursive: true });
+    fs.appendFileSync(
+      this.healLogPath,
+      `${JSON.stringify({ ...event, timestamp: new Date().toISOString() })}\n`
+    );
+  }
+
+  /**
+   * Read all heal events since the log was last cleared
+   * @returns {Object[]}
+   */
+  getHeals() {
+    let content;
+    try {
+      content = fs.readFileSync(this.healLogPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    const heals = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        heals.push(JSON.parse(line));
+      } catch {
+        // Skip a line cut short by a crashed worker
+      }
+    }
+    return heals;
+  }
+
+  /**
+   * Start a new heal log (called at the beginning of a run)
+   */
+  clearHeals() {
+    fs.rmSync(this.healLogPath, { force: true });
+  }
+
+  /**
+   * Delete all history
+   */
+  clear() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = SelectorStore;
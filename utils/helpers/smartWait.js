@@ -6,18 +6,62 @@
  * - Wait for any of multiple elements
  * - Wait for network idle
  * - Wait for stable DOM
+ * - Event-driven waits that report how long they took: matching requests
+ *   settled, DOM quiet (MutationObserver), CSS animations/transitions finished
  * - Configurable timeout and visibility checks
+ * - Every wait is timed per test (WaitTracker), including timeouts that are
+ *   swallowed, for the wait budget report
+ * - Defaults from autonomousConfig.js (selfHealing.smartWaiting)
  */
 
+const { errors } = require('@playwright/test');
+const ConfigLoader = require('../config/configLoader');
+const WaitTracker = require('../monitoring/waitTracker');
+
 class SmartWait {
+  /**
+   * Get wait behaviour from autonomousConfig.js
+   * Disabling smartWaiting turns every optional check off.
+   * @returns {{waitForVisibility: boolean, waitForStability: boolean, waitForNetworkIdle: boolean}}
+   */
+  static getSettings() {
+    const enabled = ConfigLoader.isEnabled('selfHealing.smartWaiting');
+    const settings = ConfigLoader.get('selfHealing.smartWaiting', {});
+
+    return {
+      waitForVisibility: enabled && settings.waitForVisibility !== false,
+      waitForStability: enabled && settings.waitForStability !== false,
+      waitForNetworkIdle: enabled && settings.waitForNetworkIdle !== false,
+    };
+  }
+
+  /**
+   * Time a wait for the wait budget (see WaitTracker.track)
+   * @param {string} name - What is waited for
+   * @param {number} timeout - Timeout given to the wait
+   * @param {Function} wait - Async wait (receives WaitTracker's untimed helper)
+   */
+  static track(name, timeout, wait) {
+    return WaitTracker.track('SmartWait', name, timeout, wait);
+  }
+
+  /**
+   * Readable wait target for budget entries
+   * @param {Locator|string} selector
+   * @returns {string}
+   */
+  static describe(selector) {
+    return typeof selector === 'string' ? selector : String(selector);
+  }
+
   /**
    * Wait for element with visibility and stability checks
    * @param {Page} page - Playwright page
    * @param {Locator|string} selector - Element selector or locator
    * @param {Object} options
    * @param {number} options.timeout - Max wait time (default: 5000)
-   * @param {boolean} options.visible - Require visibility (default: true)
-   * @param {boolean} options.stable - Wait for stable position (default: true)
+   * @param {boolean} options.visible - Require visibility (default: smartWaiting.waitForVisibility)
+   * @param {boolean} options.stable - Wait for stable position (default: smartWaiting.waitForStability)
    * @param {string} options.name - Name for logging
    * @returns {Promise<Locator>}
    */
@@ -26,8 +70,8 @@ class SmartWait {
     selector,
     {
       timeout = 5000,
-      visible = true,
-      stable = true,
+      visible = this.getSettings().waitForVisibility,
+      stable = this.getSettings().waitForStability,
       name = 'Element',
     } = {}
   ) {
@@ -37,10 +81,12 @@ class SmartWait {
 
     try {
       // Wait for element to be attached to DOM using locator
-      await locator.waitFor({
-        state: visible ? 'visible' : 'attached',
-        timeout,
-      });
+      await this.track(`${name} (${this.describe(selector)})`, timeout, () =>
+        locator.waitFor({
+          state: visible ? 'visible' : 'attached',
+          timeout,
+        })
+      );
 
       // If stability check enabled, wait for position to stabilize
       if (stable) {
@@ -67,7 +113,7 @@ class SmartWait {
     selectors = [],
     {
       timeout = 5000,
-      visible = true,
+      visible = this.getSettings().waitForVisibility,
       name = 'Any Element',
     } = {}
   ) {
@@ -81,10 +127,12 @@ class SmartWait {
 
         const locator = page.locator(selector);
         
-        await locator.waitFor({
-          state: visible ? 'visible' : 'attached',
-          timeout: remainingTimeout,
-        });
+        await this.track(`${name} (${selector})`, remainingTimeout, () =>
+          locator.waitFor({
+            state: visible ? 'visible' : 'attached',
+            timeout: remainingTimeout,
+          })
+        );
 
         console.log(`✓ [${name}] Found element: ${selector}`);
         return locator;
@@ -102,19 +150,335 @@ class SmartWait {
 
   /**
    * Wait for network idle state
+   * Falls back to DOM content loaded when smartWaiting.waitForNetworkIdle is off.
    * @param {Page} page - Playwright page
    * @param {number} timeout - Max wait time (default: 30000)
    * @param {string} name - Name for logging
    */
   static async waitForNetworkIdle(page, timeout = 30000, name = 'Network') {
+    if (!this.getSettings().waitForNetworkIdle) {
+      await page.waitForLoadState('domcontentloaded', { timeout });
+      return;
+    }
+
     try {
-      await page.waitForLoadState('networkidle', { timeout });
+      await this.track(`${name} network idle`, timeout, () =>
+        page.waitForLoadState('networkidle', { timeout })
+      );
       console.log(`✓ [${name}] Network idle`);
     } catch (error) {
       console.warn(`⚠ [${name}] Network idle timeout (continuing anyway)`);
     }
   }
 
+  /**
+   * Wait until matching requests have settled
+   * Listens to request events instead of polling: resolves once no matching
+   * request has been in flight for quietTime ms. Unlike networkidle, other
+   * traffic (analytics, long polling) is ignored.
+   * @param {Page} page - Playwright page
+   * @param {Object} options
+   * @param {string|RegExp|Function} options.url - URL substring, pattern or predicate (default: any)
+   * @param {string[]} options.methods - HTTP methods to track (default: any)
+   * @param {string[]} options.resourceTypes - Resource types to track, e.g. ['document', 'fetch']
+   * @param {Function} options.action - Async action that triggers the requests (run once listening)
+   * @param {number} options.quietTime - Idle time that counts as settled (default: 500)
+   * @param {number} options.timeout - Max wait time (default: 10000)
+   * @param {string} options.name - Name for logging
+   * @returns {Promise<{duration: number, requests: number, failed: number}>}
+   */
+  static async waitForRequestsSettled(
+    page,
+    {
+      url,
+      methods,
+      resourceTypes,
+      action,
+      quietTime = 500,
+      timeout = 10000,
+      name = 'Requests',
+    } = {}
+  ) {
+    // The action's time (and its own tracked waits) is not part of this wait
+    return this.track(`${name} requests settled`, timeout, (untimed) =>
+      this.settleRequests(page, {
+        url,
+        methods,
+        resourceTypes,
+        action: action && (() => untimed(action)),
+        quietTime,
+        timeout,
+        name,
+      })
+    );
+  }
+
+  /**
+   * waitForRequestsSettled() without wait budget tracking
+   */
+  static async settleRequests(page, { url, methods, resourceTypes, action, quietTime, timeout, name }) {
+    const startTime = Date.now();
+    const methodSet = methods && methods.map((method) => method.toUpperCase());
+    const inFlight = new Set();
+    let requests = 0;
+    let failed = 0;
+    let settle;
+    let quietTimer = null;
+
+    const tracked = (request) =>
+      (!methodSet || methodSet.includes(request.method())) &&
+      (!resourceTypes || resourceTypes.includes(request.resourceType())) &&
+      this.urlMatches(url, request.url());
+
+    const armQuietTimer = () => {
+      clearTimeout(quietTimer);
+      if (inFlight.size === 0) {
+        quietTimer = setTimeout(() => settle(), quietTime);
+      }
+    };
+    const onRequest = (request) => {
+      if (tracked(request)) {
+        requests++;
+        inFlight.add(request);
+        clearTimeout(quietTimer);
+      }
+    };
+    const onDone = (request) => {
+      if (inFlight.delete(request)) {
+        armQuietTimer();
+      }
+    };
+    const onFailed = (request) => {
+      if (inFlight.has(request)) {
+        failed++;
+      }
+      onDone(request);
+    };
+
+    const settled = new Promise((resolve) => {
+      settle = resolve;
+    });
+
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onFailed);
+
+    let deadline = null;
+    try {
+      if (action) {
+        await action();
+      }
+      armQuietTimer();
+
+      const timedOut = new Promise((resolve) => {
+        deadline = setTimeout(() => resolve(false), Math.max(timeout - (Date.now() - startTime), 0));
+      });
+
+      if ((await Promise.race([settled.then(() => true), timedOut])) === false) {
+        const pending = [...inFlight].map((request) => `${request.method()} ${request.url()}`);
+        throw new errors.TimeoutError(
+          `[${name}] ${pending.length} request(s) still in flight after ${timeout}ms: ${pending.join(', ')}`
+        );
+      }
+    } finally {
+      clearTimeout(quietTimer);
+      clearTimeout(deadline);
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onFailed);
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `✓ [${name}] ${requests} request(s) settled in ${duration}ms` +
+        (failed ? ` (${failed} failed)` : '')
+    );
+    return { duration, requests, failed };
+  }
+
+  /**
+   * Whether a request URL matches a waitForRequestsSettled url filter
+   * @param {string|RegExp|Function} matcher - Substring, pattern or predicate (none matches all)
+   * @param {string} requestUrl
+   * @returns {boolean}
+   */
+  static urlMatches(matcher, requestUrl) {
+    if (!matcher) {
+      return true;
+    }
+    if (matcher instanceof RegExp) {
+      return matcher.test(requestUrl);
+    }
+    if (typeof matcher === 'function') {
+      return Boolean(matcher(requestUrl));
+    }
+    return requestUrl.includes(matcher);
+  }
+
+  /**
+   * Wait until the DOM stops changing
+   * A MutationObserver in the page restarts a quietTime timer on every
+   * mutation (child list, attributes, text) under the root.
+   * @param {Page} page - Playwright page
+   * @param {Object} options
+   * @param {Locator|string} options.root - Subtree to observe (default: the whole document)
+   * @param {number} options.quietTime - Mutation-free time that counts as quiet (default: 300)
+   * @param {number} options.timeout - Max wait time (default: 5000)
+   * @param {string} options.name - Name for logging
+   * @returns {Promise<{duration: number, mutations: number}>}
+   */
+  static async waitForDomQuiet(
+    page,
+    { root = ':root', quietTime = 300, timeout = 5000, name = 'DOM' } = {}
+  ) {
+    return this.track(`${name} quiet (${this.describe(root)})`, timeout, () =>
+      this.observeQuiet(page, { root, quietTime, timeout, name })
+    );
+  }
+
+  /**
+   * waitForDomQuiet() without wait budget tracking
+   */
+  static async observeQuiet(page, { root, quietTime, timeout, name }) {
+    const startTime = Date.now();
+    const locator = typeof root === 'string' ? page.locator(root) : root;
+    let result;
+
+    for (;;) {
+      const remaining = timeout - (Date.now() - startTime);
+
+      try {
+        result = await locator.evaluate(
+          (target, { quietMs, timeoutMs }) =>
+            new Promise((resolve) => {
+              let mutations = 0;
+              let quietTimer = null;
+              let deadline = null;
+              let observer = null;
+
+              const done = (quiet) => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(deadline);
+                resolve({ quiet, mutations });
+              };
+
+              observer = new MutationObserver((records) => {
+                mutations += records.length;
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(() => done(true), quietMs);
+              });
+              observer.observe(target, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                characterData: true,
+              });
+
+              quietTimer = setTimeout(() => done(true), quietMs);
+              deadline = setTimeout(() => done(false), timeoutMs);
+            }),
+          { quietMs: quietTime, timeoutMs: Math.max(remaining, 0) },
+          { timeout: Math.max(remaining, 1) }
+        );
+        break;
+      } catch (error) {
+        // A navigation replaced the document: observe the new one
+        if (!/Execution context was destroyed/.test(error.message) || remaining <= 0) {
+          throw error;
+        }
+        await page.waitForLoadState('domcontentloaded', { timeout: Math.max(remaining, 1) });
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    if (!result.quiet) {
+      throw new errors.TimeoutError(
+        `[${name}] DOM still changing after ${timeout}ms (${result.mutations} mutation(s))`
+      );
+    }
+
+    console.log(`✓ [${name}] DOM quiet after ${duration}ms (${result.mutations} mutation(s))`);
+    return { duration, mutations: result.mutations };
+  }
+
+  /**
+   * Wait for CSS animations and transitions on an element (and its subtree) to finish
+   * Uses the Web Animations API (Element.getAnimations) instead of polling
+   * bounding boxes. Infinite animations (spinners) are ignored; animations
+   * started while waiting (chained transitions) are waited for too.
+   * @param {Page} page - Playwright page
+   * @param {Locator|string} selector - Element selector or locator
+   * @param {Object} options
+   * @param {boolean} options.subtree - Include descendants' animations (default: true)
+   * @param {number} options.timeout - Max wait time (default: 5000)
+   * @param {string} options.name - Name for logging
+   * @returns {Promise<{duration: number, animations: number}>}
+   */
+  static async waitForAnimationsFinished(
+    page,
+    selector,
+    { subtree = true, timeout = 5000, name = 'Animations' } = {}
+  ) {
+    return this.track(`${name} finished (${this.describe(selector)})`, timeout, () =>
+      this.awaitAnimations(page, selector, { subtree, timeout, name })
+    );
+  }
+
+  /**
+   * waitForAnimationsFinished() without wait budget tracking
+   */
+  static async awaitAnimations(page, selector, { subtree, timeout, name }) {
+    const startTime = Date.now();
+    const locator = typeof selector === 'string'
+      ? page.locator(selector)
+      : selector;
+
+    const result = await locator.evaluate(
+      async (element, { includeSubtree, timeoutMs }) => {
+        const deadline = Date.now() + timeoutMs;
+        const seen = new Set();
+
+        for (;;) {
+          const running = element
+            .getAnimations({ subtree: includeSubtree })
+            .filter((animation) =>
+              animation.playState !== 'finished' &&
+              Number.isFinite(animation.effect ? animation.effect.getComputedTiming().endTime : 0)
+            );
+
+          if (running.length === 0) {
+            return { finished: true, animations: seen.size };
+          }
+          running.forEach((animation) => seen.add(animation));
+
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) {
+            return { finished: false, animations: seen.size, running: running.length };
+          }
+
+          // finished rejects when an animation is cancelled, which also ends it
+          await Promise.race([
+            Promise.allSettled(running.map((animation) => animation.finished)),
+            new Promise((resolve) => setTimeout(resolve, remaining)),
+          ]);
+        }
+      },
+      { includeSubtree: subtree, timeoutMs: timeout },
+      { timeout }
+    );
+
+    const duration = Date.now() - startTime;
+    if (!result.finished) {
+      throw new errors.TimeoutError(
+        `[${name}] ${result.running} animation(s) still running after ${timeout}ms`
+      );
+    }
+
+    console.log(`✓ [${name}] ${result.animations} animation(s) finished in ${duration}ms`);
+    return { duration, animations: result.animations };
+  }
+
   /**
    * Wait for page load
    * @param {Page} page - Playwright page
@@ -123,7 +487,7 @@ class SmartWait {
    */
   static async waitForPageLoad(page, timeout = 30000, name = 'Page') {
     try {
-      await page.waitForLoadState('load', { timeout });
+      await this.track(`${name} load`, timeout, () => page.waitForLoadState('load', { timeout }));
       console.log(`✓ [${name}] Page loaded`);
     } catch (error) {
       console.warn(`⚠ [${name}] Page load timeout`);
@@ -146,6 +510,15 @@ class SmartWait {
     let previousBox = null;
     let stableCount = 0;
     const requiredStableChecks = 3; // Must be stable for 3 checks
+    // Times out without throwing, so the outcome is recorded here
+    const record = (outcome) =>
+      WaitTracker.record({
+        source: 'SmartWait',
+        name: `Position stable (${this.describe(locator)})`,
+        timeout,
+        duration: Date.now() - startTime,
+        outcome,
+      });
 
     while (Date.now() - startTime < timeout) {
       try {
@@ -155,6 +528,7 @@ class SmartWait {
           stableCount++;
           
           if (stableCount >= requiredStableChecks) {
+            record('resolved');
             return; // Position is stable
           }
         } else {
@@ -171,9 +545,33 @@ class SmartWait {
       }
     }
 
+    record('timeout');
     console.warn('⚠ Position stability timeout');
   }
 
+  /**
+   * Check visibility within a timeout, without throwing
+   * Swallowed timeouts still count against the wait budget.
+   * @param {Page} page - Playwright page
+   * @param {Locator|string} selector - Element selector or locator
+   * @param {number} timeout - Max wait time (default: 2000)
+   * @returns {Promise<boolean>}
+   */
+  static async isVisible(page, selector, timeout = 2000) {
+    const locator = typeof selector === 'string'
+      ? page.locator(selector)
+      : selector;
+
+    try {
+      await this.track(`Visible (${this.describe(selector)})`, timeout, () =>
+        locator.first().waitFor({ state: 'visible', timeout })
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Wait for element to become hidden
    * @param {Page} page - Playwright page
@@ -186,7 +584,9 @@ class SmartWait {
       : selector;
 
     try {
-      await locator.waitFor({ state: 'hidden', timeout });
+      await this.track(`Hidden (${this.describe(selector)})`, timeout, () =>
+        locator.waitFor({ state: 'hidden', timeout })
+      );
       console.log('✓ Element hidden');
     } catch (error) {
       console.error('✗ Timeout waiting for element to hide');
@@ -207,24 +607,26 @@ class SmartWait {
     pollInterval = 100,
     name = 'Condition'
   ) {
-    const startTime = Date.now();
+    return this.track(name, timeout, async () => {
+      const startTime = Date.now();
 
-    while (Date.now() - startTime < timeout) {
-      try {
-        if (await condition()) {
-          console.log(`✓ [${name}] Condition met`);
-          return;
+      while (Date.now() - startTime < timeout) {
+        try {
+          if (await condition()) {
+            console.log(`✓ [${name}] Condition met`);
+            return;
+          }
+        } catch (error) {
+          // Continue polling
         }
-      } catch (error) {
-        // Continue polling
-      }
 
-      await new Promise((resolve) =>
-        setTimeout(resolve, pollInterval)
-      );
-    }
+        await new Promise((resolve) =>
+          setTimeout(resolve, pollInterval)
+        );
+      }
 
-    throw new Error(`[${name}] Condition not met within ${timeout}ms`);
+      throw new Error(`[${name}] Condition not met within ${timeout}ms`);
+    });
   }
 
   /**
@@ -254,22 +656,24 @@ class SmartWait {
     expectedCount,
     timeout = 5000
   ) {
-    const startTime = Date.now();
+    return this.track(`Count ${expectedCount} (${selector})`, timeout, async () => {
+      const startTime = Date.now();
 
-    while (Date.now() - startTime < timeout) {
-      const count = await page.locator(selector).count();
+      while (Date.now() - startTime < timeout) {
+        const count = await page.locator(selector).count();
       
-      if (count === expectedCount) {
-        console.log(`✓ Found ${expectedCount} elements`);
-        return;
-      }
+        if (count === expectedCount) {
+          console.log(`✓ Found ${expectedCount} elements`);
+          return;
+        }
 
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
 
-    throw new Error(
-      `[Count] Expected ${expectedCount} elements, timeout reached`
-    );
+      throw new Error(
+        `[Count] Expected ${expectedCount} elements, timeout reached`
+      );
+    });
   }
 }
 
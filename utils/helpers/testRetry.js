@@ -3,88 +3,337 @@
  * 
  * Features:
  * - Exponential backoff strategy
- * - Custom retry logic per error type
- * - Retry metrics and analytics
+ * - Custom retry logic per error type: errors are classified by ErrorAnalyzer,
+ *   and each type has its own max attempts, backoff curve and jitter
+ * - Types that are never retried (ASSERTION_ERROR and AUTH_ERROR by default)
+ * - Named retry policies (the error types a call retries), referenced by name
+ * - Retry metrics and analytics: every executeWithRetry call is recorded in the
+ *   shared registry (getRegistry()) with its attempts, delays, error types and outcome
+ * - The test fixture attaches each test's calls as 'retry-stats';
+ *   RetryReporter aggregates them across workers into the per-run retry report
+ * - Run-wide circuit breaker (CircuitBreaker): once the target is down, calls
+ *   fail fast instead of each burning its backoff
  * - Configurable max attempts and delays
+ * - Defaults from autonomousConfig.js (selfHealing.retryStrategy)
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const ConfigLoader = require('../config/configLoader');
+const ErrorAnalyzer = require('../reporting/errorAnalyzer');
+const CircuitBreaker = require('./circuitBreaker');
+
+// Never retried unless selfHealing.retryStrategy.errorTypes says otherwise
+const NEVER_RETRY = ['ASSERTION_ERROR', 'AUTH_ERROR'];
+const BACKOFF_CURVES = {
+  exponential: ({ initialDelay, multiplier }, retry) => initialDelay * multiplier ** (retry - 1),
+  linear: ({ initialDelay }, retry) => initialDelay * retry,
+  constant: ({ initialDelay }) => initialDelay,
+};
+// Set while an executeWithRetry call runs its function, to spot nested calls
+const activeCall = new AsyncLocalStorage();
+const ATTACHMENT_NAME = 'retry-stats';
+
+// Registry of this process (one per Playwright worker)
+let registry = null;
+
 class TestRetryManager {
   constructor(logger = console) {
     this.logger = logger;
     this.retryStats = new Map();
     this.errorClassification = new Map();
+    this.calls = [];
   }
 
   /**
-   * Execute function with exponential backoff retry
-   * @param {Function} testFunc - Async function to execute
-   * @param {Object} config - Configuration
-   * @param {number} config.maxRetries - Max retry attempts (default: 3)
-   * @param {number} config.initialDelay - Initial delay in ms (default: 500)
-   * @param {number} config.backoffMultiplier - Multiplier for delay (default: 2)
-   * @param {string} config.testName - Test name for logging
-   * @param {string[]} config.retryableErrors - Error patterns to retry
-   * @returns {Promise} - Result from testFunc
+   * Shared registry every executeWithRetry call records into
+   * @returns {TestRetryManager}
+   */
+  static getRegistry() {
+    if (!registry) {
+      registry = new TestRetryManager();
+    }
+    return registry;
+  }
+
+  /**
+   * Name of the per-test attachment holding the recorded calls
+   * @returns {string}
+   */
+  static getAttachmentName() {
+    return ATTACHMENT_NAME;
+  }
+
+  /**
+   * Get retry defaults from autonomousConfig.js
+   * @returns {Object}
    */
-  static async executeWithRetry(
-    testFunc,
-    {
-      maxRetries = 3,
-      initialDelay = 500,
-      backoffMultiplier = 2,
-      testName = 'Unknown',
-      retryableErrors = [
+  static getDefaults() {
+    const strategy = ConfigLoader.get('selfHealing.retryStrategy', {});
+
+    return {
+      maxRetries: strategy.maxRetries ?? 3,
+      initialDelay: strategy.initialDelay ?? 500,
+      backoffMultiplier: strategy.backoffMultiplier ?? 2,
+      retryableErrors: strategy.retryableErrors || [
         'timeout',
         'Timeout',
         'Navigation',
         'ERR_NAME_NOT_RESOLVED',
         'net::ERR',
       ],
+    };
+  }
+
+  /**
+   * Retry tuning for an error type: retryStrategy.maxRetries, initialDelay and
+   * backoffMultiplier, then errorTypes.default, then errorTypes[type]
+   * @param {string} type - ErrorAnalyzer type
+   * @returns {{retry: boolean, maxAttempts: number, backoff: string, initialDelay: number,
+   *   multiplier: number, maxDelay: number, jitter: number}}
+   */
+  static getErrorTypeSettings(type) {
+    const defaults = this.getDefaults();
+    const errorTypes = ConfigLoader.get('selfHealing.retryStrategy.errorTypes', {});
+
+    return {
+      retry: !NEVER_RETRY.includes(type),
+      maxAttempts: defaults.maxRetries,
+      backoff: 'exponential',
+      initialDelay: defaults.initialDelay,
+      multiplier: defaults.backoffMultiplier,
+      maxDelay: Infinity,
+      jitter: 0,
+      ...errorTypes.default,
+      ...errorTypes[type],
+    };
+  }
+
+  /**
+   * Named retry policy from selfHealing.retryStrategy.policies
+   * @param {string} name - Policy name (e.g. 'interaction')
+   * @returns {{name: string, retryOn: string[], maxAttempts: number}}
+   */
+  static getPolicy(name) {
+    const policies = ConfigLoader.get('selfHealing.retryStrategy.policies', {});
+
+    if (!policies[name]) {
+      throw new Error(
+        `Unknown retry policy "${name}" (defined: ${Object.keys(policies).join(', ') || 'none'})`
+      );
     }
-  ) {
-    let lastError;
-    let delay = initialDelay;
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    return { name, ...policies[name] };
+  }
+
+  /**
+   * Delay before a retry: the type's backoff curve, capped at maxDelay, with jitter
+   * @param {Object} settings - getErrorTypeSettings() result
+   * @param {number} retry - 1 for the first retry of this error type
+   * @param {Function} random - Random source in [0, 1) (for tests)
+   * @returns {number} - Delay in ms
+   */
+  static computeDelay(settings, retry, random = Math.random) {
+    const curve = BACKOFF_CURVES[settings.backoff] || BACKOFF_CURVES.exponential;
+    const delay = Math.min(curve(settings, retry), settings.maxDelay);
+    const spread = delay * settings.jitter;
+
+    return Math.max(0, Math.round(delay - spread + random() * 2 * spread));
+  }
+
+  /**
+   * Execute function with exponential backoff retry
+   * Unset options fall back to selfHealing.retryStrategy in autonomousConfig.js.
+   * With a policy, errors are classified (ErrorAnalyzer) and retried when the
+   * policy lists their type, with that type's attempts, backoff and jitter.
+   * Without one, error messages are matched against retryableErrors.
+   * ASSERTION_ERROR and AUTH_ERROR are never retried either way (errorTypes.<type>.retry).
+   * A call that fails after retries throws "[name] Failed after N attempts. Last error: ..."
+   * (error.attempts, error.cause: the last attempt's error); a first-try failure is rethrown as is.
+   * Every attempt passes the circuit breaker first; while it is open the call
+   * fails fast with an "Environment unavailable" error. Only the outermost call
+   * reports to the breaker, once, with its final outcome; nested calls leave it
+   * alone. Breaker store errors are logged and never replace the call's own.
+   * @param {Function} testFunc - Async function to execute
+   * @param {Object} config - Configuration
+   * @param {string} config.policy - Named retry policy (retryStrategy.policies)
+   * @param {number} config.maxRetries - Max attempts (default: retryStrategy.maxRetries;
+   *   with a policy, caps the policy and error type attempts)
+   * @param {number} config.initialDelay - Initial delay in ms (default: retryStrategy.initialDelay)
+   * @param {number} config.backoffMultiplier - Multiplier for delay (default: retryStrategy.backoffMultiplier)
+   * @param {string} config.testName - Test name for logging
+   * @param {string[]} config.retryableErrors - Error patterns to retry (default: retryStrategy.retryableErrors)
+   * @param {CircuitBreaker|false} config.circuitBreaker - Breaker to use (default: CircuitBreaker.getShared()), false for none
+   * @returns {Promise} - Result from testFunc
+   */
+  static async executeWithRetry(testFunc, config = {}) {
+    const options = { ...this.getDefaults(), ...config };
+    const { testName = 'Unknown' } = options;
+    const policy = config.policy
+      ? { ...this.getPolicy(config.policy), callerMaxRetries: config.maxRetries }
+      : null;
+    // A disabled retry strategy runs every call exactly once
+    const enabled = ConfigLoader.isEnabled('selfHealing.retryStrategy');
+    // Nested calls: the outermost call talks to the breaker
+    const breaker = activeCall.getStore() ? null : (config.circuitBreaker ?? CircuitBreaker.getShared());
+    const retriesByType = new Map();
+    const failures = [];
+    const startTime = Date.now();
+    const record = (outcome) =>
+      this.getRegistry().recordCall({
+        name: testName,
+        policy: policy ? policy.name : null,
+        outcome,
+        attempts: failures.length + (['passed', 'recovered'].includes(outcome) ? 1 : 0),
+        failures,
+        duration: Date.now() - startTime,
+      });
+
+    for (let attempt = 1; ; attempt++) {
       try {
-        const result = await testFunc();
+        await this.updateBreaker(breaker, () => breaker.beforeCall(testName));
+
+        const result = await activeCall.run(true, testFunc);
         
         if (attempt > 1) {
           console.log(
-            `✓ [${testName}] Passed on attempt ${attempt}/${maxRetries}`
+            `✓ [${testName}] Passed on attempt ${attempt}`
           );
         }
         
+        await this.updateBreaker(breaker, () => breaker.recordSuccess());
+        record(attempt > 1 ? 'recovered' : 'passed');
         return result;
       } catch (error) {
-        lastError = error;
+        // Open circuit, here or in a nested call: nothing to retry
+        if (CircuitBreaker.isOpenError(error)) {
+          record('rejected');
+          throw error;
+        }
 
-        const shouldRetry = this.shouldRetry(
-          error,
+        const plan = enabled
+          ? this.planRetry(error, attempt, options, policy, retriesByType)
+          : { retry: false, type: ErrorAnalyzer.classifyError(error) };
+
+        failures.push({
           attempt,
-          maxRetries,
-          retryableErrors
-        );
+          type: plan.type,
+          message: (error.message || String(error)).split('\n')[0],
+          delay: plan.retry ? plan.delay : 0,
+        });
 
-        if (shouldRetry) {
-          console.warn(
-            `⚠ [${testName}] Attempt ${attempt}/${maxRetries} failed: ${error.message}`
-          );
-          console.log(
-            `  Retrying in ${delay}ms... (Exponential backoff)`
+        if (!plan.retry) {
+          await this.updateBreaker(breaker, () =>
+            breaker.recordFailure(plan.type, failures[failures.length - 1].message)
           );
-          
-          await new Promise((resolve) => setTimeout(resolve, delay));
-          delay *= backoffMultiplier;
-        } else {
-          throw error;
+          record('failed');
+          throw attempt > 1 ? this.exhaustedError(testName, attempt, error) : error;
+        }
+
+        console.warn(
+          `⚠ [${testName}] Attempt ${attempt}/${plan.maxAttempts} failed (${plan.type}): ${error.message}`
+        );
+        // No point waiting for an open circuit: the next attempt fails fast or probes
+        if (breaker && breaker.isOpen()) {
+          failures[failures.length - 1].delay = 0;
+          continue;
         }
+
+        console.log(
+          `  Retrying in ${plan.delay}ms... (${plan.backoff} backoff${policy ? `, policy ${policy.name}` : ''})`
+        );
+        
+        await new Promise((resolve) => setTimeout(resolve, plan.delay));
       }
     }
+  }
 
-    throw new Error(
-      `[${testName}] Failed after ${maxRetries} attempts. Last error: ${lastError.message}`
+  /**
+   * Error of a call that failed after retries: the message says how many
+   * attempts were made, the last attempt's error is the cause
+   * @param {string} testName - Call name
+   * @param {number} attempts - Attempts made
+   * @param {Error} error - Error of the last attempt
+   * @returns {Error} - With attempts and cause
+   */
+  static exhaustedError(testName, attempts, error) {
+    const exhausted = new Error(
+      `[${testName}] Failed after ${attempts} attempts. Last error: ${error.message || String(error)}`,
+      { cause: error }
     );
+    exhausted.attempts = attempts;
+    return exhausted;
+  }
+
+  /**
+   * Run a circuit breaker step, logging store errors (e.g. a FileLock timeout)
+   * instead of throwing them; only an open circuit is rethrown
+   * @param {CircuitBreaker|null} breaker - null for nested calls and calls without a breaker
+   * @param {Function} step - Async breaker call
+   */
+  static async updateBreaker(breaker, step) {
+    if (!breaker) {
+      return;
+    }
+
+    try {
+      await step();
+    } catch (error) {
+      if (CircuitBreaker.isOpenError(error)) {
+        throw error;
+      }
+      console.warn(`⚠ [CircuitBreaker] State not updated: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decide whether and when to retry a failed attempt
+   * @param {Error} error - Failure of this attempt
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @param {Object} options - executeWithRetry options merged with defaults
+   * @param {Object} policy - getPolicy() result plus callerMaxRetries, or null for message matching
+   * @param {Map<string, number>} retriesByType - Retries so far per error type (updated)
+   * @returns {{retry: boolean, type: string, maxAttempts: number, delay: number, backoff: string}}
+   */
+  static planRetry(error, attempt, options, policy, retriesByType) {
+    const type = ErrorAnalyzer.classifyError(error);
+    const settings = this.getErrorTypeSettings(type);
+
+    if (!settings.retry) {
+      return { retry: false, type };
+    }
+
+    if (!policy) {
+      const { maxRetries, initialDelay, backoffMultiplier, retryableErrors } = options;
+      return {
+        retry: this.shouldRetry(error, attempt, maxRetries, retryableErrors),
+        type,
+        maxAttempts: maxRetries,
+        delay: initialDelay * backoffMultiplier ** (attempt - 1),
+        backoff: 'Exponential',
+      };
+    }
+
+    // options.maxRetries only caps a policy when the caller passed it
+    const maxAttempts = Math.min(
+      settings.maxAttempts,
+      policy.maxAttempts ?? Infinity,
+      policy.callerMaxRetries ?? Infinity
+    );
+
+    if (!policy.retryOn.includes(type) || attempt >= maxAttempts) {
+      return { retry: false, type, maxAttempts };
+    }
+
+    const retry = (retriesByType.get(type) || 0) + 1;
+    retriesByType.set(type, retry);
+
+    return {
+      retry: true,
+      type,
+      maxAttempts,
+      delay: this.computeDelay(settings, retry),
+      backoff: settings.backoff,
+    };
   }
 
   /**
@@ -104,8 +353,42 @@ class TestRetryManager {
     );
   }
 
+  /**
+   * Record a finished executeWithRetry call
+   * @param {Object} call
+   * @param {string} call.name - Call name (testName option)
+   * @param {string|null} call.policy - Retry policy name
+   * @param {string} call.outcome - 'passed', 'recovered' (passed after retrying), 'failed'
+   *   or 'rejected' (failed fast by the open circuit breaker)
+   * @param {number} call.attempts - Attempts made
+   * @param {Object[]} call.failures - Failed attempts: { attempt, type, message, delay }
+   * @param {number} call.duration - Call duration including delays (ms)
+   */
+  recordCall(call) {
+    this.calls.push(call);
+
+    for (const failure of call.failures) {
+      this.recordRetryAttempt(call.name, failure.attempt, false, failure);
+    }
+    if (['passed', 'recovered'].includes(call.outcome)) {
+      this.recordRetryAttempt(call.name, call.attempts, true);
+    }
+  }
+
+  /**
+   * Calls recorded so far
+   * @returns {Object[]}
+   */
+  getCalls() {
+    return [...this.calls];
+  }
+
   /**
    * Record retry statistics
+   * @param {string} testName - Call name
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {boolean} success - Whether the attempt passed
+   * @param {Object} error - Error or failure ({ message, type }) of a failed attempt
    */
   recordRetryAttempt(testName, attempt, success, error = null) {
     const key = testName;
@@ -129,8 +412,12 @@ class TestRetryManager {
     }
 
     if (error) {
+      const type = error.type || ErrorAnalyzer.classifyError(error);
+      this.errorClassification.set(type, (this.errorClassification.get(type) || 0) + 1);
+
       stats.errors.push({
         message: error.message,
+        type,
         timestamp: new Date().toISOString(),
       });
     }
@@ -158,32 +445,145 @@ class TestRetryManager {
   }
 
   /**
-   * Print retry report
+   * Aggregate the recorded calls into a retry report
+   * Calls fed in by RetryReporter carry test and project; tests[] lists the
+   * tests whose calls were retried.
+   * @param {Object} circuitBreaker - CircuitBreaker.getSummary() to include, if any
+   * @returns {Object} - { totals, byErrorType, byPolicy, calls[], tests[], circuitBreaker }
    */
-  printRetryReport() {
-    console.log('\n=== RETRY MANAGER REPORT ===');
-    console.log('Test Retry Statistics:\n');
+  getRetryReport(circuitBreaker = null) {
+    const totals = {
+      calls: 0,
+      attempts: 0,
+      retries: 0,
+      retried: 0,
+      recovered: 0,
+      failed: 0,
+      rejected: 0,
+      retryDelay: 0,
+    };
+    const byErrorType = {};
+    const byPolicy = {};
+    const byName = new Map();
+    const byTest = new Map();
 
-    for (const [testName, stats] of this.retryStats) {
-      const successRate = (
-        ((stats.totalAttempts - stats.failureAttempts) / stats.totalAttempts) *
-        100
-      ).toFixed(1);
+    for (const call of this.calls) {
+      // A rejected call may not have made a single attempt
+      const retries = Math.max(0, call.attempts - 1);
+      const counts = {
+        calls: 1,
+        attempts: call.attempts,
+        retries,
+        retried: retries > 0 ? 1 : 0,
+        recovered: call.outcome === 'recovered' ? 1 : 0,
+        failed: call.outcome === 'failed' ? 1 : 0,
+        rejected: call.outcome === 'rejected' ? 1 : 0,
+        retryDelay: call.failures.reduce((total, failure) => total + failure.delay, 0),
+      };
+      const add = (target) => {
+        for (const [field, value] of Object.entries(counts)) {
+          target[field] = (target[field] || 0) + value;
+        }
+        return target;
+      };
 
-      console.log(`${testName}:`);
-      console.log(`  Total Attempts: ${stats.totalAttempts}`);
-      console.log(`  Success Rate: ${successRate}%`);
-      console.log(`  Successes on Retry: ${stats.successOnRetry}`);
-      console.log(`  Permanent Failures: ${stats.failureAttempts}`);
-      
-      if (stats.errors.length > 0) {
-        console.log(`  Recent Errors:`);
-        stats.errors.slice(-3).forEach((err) => {
-          console.log(`    - ${err.message}`);
+      add(totals);
+      add((byPolicy[call.policy || 'none'] = byPolicy[call.policy || 'none'] || {}));
+
+      const row = byName.get(call.name) || {
+        name: call.name,
+        policy: call.policy,
+        errorTypes: {},
+        lastError: null,
+      };
+      add(row);
+      byName.set(call.name, row);
+
+      for (const failure of call.failures) {
+        const typeStats = (byErrorType[failure.type] = byErrorType[failure.type] || {
+          failures: 0,
+          retried: 0,
+          recoveredCalls: 0,
+          failedCalls: 0,
         });
+        typeStats.failures++;
+        if (failure.attempt < call.attempts) {
+          typeStats.retried++;
+        }
+        row.errorTypes[failure.type] = (row.errorTypes[failure.type] || 0) + 1;
+        row.lastError = failure.message;
       }
-      
-      console.log();
+
+      const last = call.failures[call.failures.length - 1];
+      if (last && call.outcome === 'recovered') {
+        byErrorType[last.type].recoveredCalls++;
+      } else if (last && call.outcome === 'failed') {
+        byErrorType[last.type].failedCalls++;
+      }
+
+      if (call.test) {
+        const key = `${call.project || ''}::${call.test}`;
+        const test = byTest.get(key) || { test: call.test, project: call.project || '' };
+        byTest.set(key, add(test));
+      }
+    }
+
+    const byRetries = (a, b) => b.retries - a.retries || b.failed - a.failed;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totals,
+      byErrorType,
+      byPolicy,
+      calls: [...byName.values()].sort(byRetries),
+      tests: [...byTest.values()].filter((test) => test.retried > 0).sort(byRetries),
+      circuitBreaker,
+    };
+  }
+
+  /**
+   * Print retry report
+   * @param {Object} report - getRetryReport() result
+   */
+  printRetryReport(report = this.getRetryReport()) {
+    const { totals, byErrorType, calls, circuitBreaker } = report;
+
+    console.log('\n=== RETRY MANAGER REPORT ===');
+    console.log(
+      `Calls: ${totals.calls} | Attempts: ${totals.attempts} | Retried: ${totals.retried} | ` +
+        `Recovered: ${totals.recovered} | Failed: ${totals.failed} | Rejected: ${totals.rejected} | ` +
+        `Retry delay: ${totals.retryDelay}ms`
+    );
+
+    if (circuitBreaker && circuitBreaker.opened > 0) {
+      console.log(
+        `✗ Circuit breaker opened ${circuitBreaker.opened} time(s), ` +
+          `${circuitBreaker.rejected} call(s) failed fast, now ${circuitBreaker.state}`
+      );
+      circuitBreaker.events.forEach(({ event, detail, at }) => {
+        console.log(`    ${at} ${event}: ${detail}`);
+      });
+    }
+
+    for (const [type, stats] of Object.entries(byErrorType)) {
+      console.log(
+        `  ${type}: ${stats.failures} failure(s), ${stats.retried} retried, ` +
+          `${stats.recoveredCalls} call(s) recovered, ${stats.failedCalls} call(s) failed`
+      );
+    }
+
+    const retried = calls.filter((call) => call.retried > 0);
+    if (retried.length > 0) {
+      console.log('Most retried:');
+      retried.slice(0, 5).forEach((call) => {
+        console.log(
+          `  ${call.name}${call.policy ? ` (${call.policy})` : ''}: ${call.retries} retry(ies) ` +
+            `in ${call.calls} call(s), ${call.failed} failed`
+        );
+        if (call.lastError) {
+          console.log(`    - ${call.lastError}`);
+        }
+      });
     }
   }
 
@@ -193,6 +593,7 @@ class TestRetryManager {
   clearStats() {
     this.retryStats.clear();
     this.errorClassification.clear();
+    this.calls = [];
   }
 }
 
@@ -0,0 +1,304 @@
+/**
+ * FlakinessTracker - Flaky Test History and Quarantine List
+ *
+ * Features:
+ * - One JSON file shared by every run, written by FlakinessReporter and the CLI
+ * - Per test and project (one execution per run): the outcome of its most
+ *   recent runs - 'passed', 'recovered' (passed, but executeWithRetry calls
+ *   needed retries), 'flaky' (passed on a Playwright retry) or 'failed'
+ * - Flakiness score 0..1 over that window; failures only count while the
+ *   test also passes on that project, so a test that always fails on one
+ *   browser is broken there rather than flaky
+ * - Quarantine list: chronically flaky tests are added automatically and
+ *   released after enough consecutive clean passes in quarantine; manual
+ *   entries stay until released
+ * - Quarantined tests still run, annotated 'quarantine', and their failures
+ *   do not fail the build (FlakinessReporter)
+ * - Behaviour from autonomousConfig.js (reporting.flakiness)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const FileLock = require('../helpers/fileLock');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const DEFAULT_STORE_PATH = '.flaky-store/flakiness.json';
+const STORE_VERSION = 2;
+const FLAKY_WEIGHT = { passed: 0, flaky: 1, failed: 1 };
+const OUTCOME_RANK = ['passed', 'recovered', 'flaky', 'failed'];
+
+class FlakinessTracker {
+  /**
+   * @param {string} filePath - Store file (relative paths resolve from the repo root)
+   */
+  constructor(filePath = ConfigLoader.get('reporting.flakiness.storePath', DEFAULT_STORE_PATH)) {
+    this.filePath = path.resolve(ROOT_DIR, filePath);
+    this.lock = new FileLock(`${this.filePath}.lock`, 'flakiness store');
+    this.settings = FlakinessTracker.getSettings();
+  }
+
+  /**
+   * Settings from autonomousConfig.js
+   * @returns {{enabled: boolean, window: number, minExecutions: number, quarantineThreshold: number,
+   *   recoveredWeight: number, releaseAfter: number}}
+   */
+  static getSettings() {
+    const settings = ConfigLoader.get('reporting.flakiness', {});
+
+    return {
+      enabled: ConfigLoader.isEnabled('reporting.flakiness'),
+      window: settings.window ?? 20,
+      minExecutions: settings.minExecutions ?? 5,
+      quarantineThreshold: settings.quarantineThreshold ?? 0.3,
+      recoveredWeight: settings.recoveredWeight ?? 0.25,
+      releaseAfter: settings.releaseAfter ?? 10,
+    };
+  }
+
+  /**
+   * Id of a test on one project: its file, titles and project
+   * @param {string[]} titlePath - testInfo.titlePath, or a reporter test's titlePath() without root and project
+   * @param {string} project - Project name
+   * @returns {string} - e.g. 'ui/ui.login.spec.js › Sauce Demo - ... › Logout settles on the login page [webkit]'
+   */
+  static getTestId(titlePath, project) {
+    return `${titlePath.join(' › ')} [${project}]`;
+  }
+
+  /**
+   * Split a test id into the test and its project
+   * @param {string} id - getTestId() result
+   * @returns {{test: string, project: string}|null} - null when the id names no project
+   */
+  static parseTestId(id) {
+    const match = id.match(/^(.+) \[([^\]]+)\]$/);
+    return match ? { test: match[1], project: match[2] } : null;
+  }
+
+  /**
+   * Flakiness score of executions: flaky share, failures counted only when the test also passed
+   * @param {Object[]} executions - { outcome }
+   * @param {number} recoveredWeight - Weight of a 'recovered' pass
+   * @returns {number} - 0..1
+   */
+  static score(executions, recoveredWeight) {
+    if (executions.length === 0) {
+      return 0;
+    }
+
+    const weights = { ...FLAKY_WEIGHT, recovered: recoveredWeight };
+    const passes = executions.some(({ outcome }) => outcome !== 'failed');
+    const total = executions.reduce(
+      (sum, { outcome }) => sum + (outcome === 'failed' && !passes ? 0 : weights[outcome]),
+      0
+    );
+
+    return Number((total / executions.length).toFixed(3));
+  }
+
+  /**
+   * Read the whole store (empty store when missing or unreadable)
+   * @returns {Object} - { version, runs, tests: { [id]: entry } }
+   */
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data && data.version === STORE_VERSION && data.tests) {
+        return data;
+      }
+    } catch {
+      // Missing or corrupt file - start fresh
+    }
+
+    return { version: STORE_VERSION, runs: 0, tests: {} };
+  }
+
+  /**
+   * Read-modify-write the store under the cross-process lock
+   * @param {Function} mutator - Receives the store data, edits it in place and may return a value
+   * @returns {Promise<*>} - The mutator's return value
+   */
+  async update(mutator) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    return this.lock.withLock(() => {
+      const data = this.load();
+      const result = mutator(data);
+      data.updatedAt = new Date().toISOString();
+      FileLock.writeJsonAtomic(this.filePath, data);
+      return result;
+    });
+  }
+
+  /**
+   * Get the history of one test
+   * @param {string} id - Test id (getTestId)
+   * @returns {Object|null} - { id, executions[], score, quarantine }
+   */
+  getTest(id) {
+    return this.load().tests[id] || null;
+  }
+
+  /**
+   * Get all test histories, most flaky first
+   * @returns {Object[]}
+   */
+  getTests() {
+    return Object.values(this.load().tests).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Quarantine entry of a test
+   * @param {string} id
+   * @returns {Object|null} - { source: 'auto'|'manual', since, reason, cleanPasses }
+   */
+  getQuarantine(id) {
+    const entry = this.getTest(id);
+    return entry ? entry.quarantine : null;
+  }
+
+  /**
+   * Quarantined tests
+   * @returns {Object[]} - { id, score, executions, source, since, reason }
+   */
+  getQuarantined() {
+    return this.getTests()
+      .filter((entry) => entry.quarantine)
+      .map((entry) => ({
+        id: entry.id,
+        score: entry.score,
+        executions: entry.executions.length,
+        ...entry.quarantine,
+      }));
+  }
+
+  /**
+   * Merge the executions of one run to one per test id (repeatEach), keeping
+   * the worst outcome and summing retries and recovered calls
+   * @param {Object[]} executions - { id, project, outcome, retries, recoveredCalls }
+   * @returns {Object[]}
+   */
+  static mergeExecutions(executions) {
+    const merged = new Map();
+
+    for (const execution of executions) {
+      const previous = merged.get(execution.id);
+      merged.set(execution.id, previous ? {
+        ...previous,
+        outcome: OUTCOME_RANK[Math.max(
+          OUTCOME_RANK.indexOf(previous.outcome),
+          OUTCOME_RANK.indexOf(execution.outcome)
+        )],
+        retries: previous.retries + execution.retries,
+        recoveredCalls: previous.recoveredCalls + execution.recoveredCalls,
+      } : execution);
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Record the executions of one run, rescore and update the quarantine list
+   * @param {Object[]} executions - { id, project, outcome, retries, recoveredCalls }
+   * @returns {Promise<{quarantined: Object[], released: string[]}>} - Automatic changes of this run
+   */
+  async recordRun(executions) {
+    const { window, minExecutions, quarantineThreshold, recoveredWeight, releaseAfter } = this.settings;
+    const at = new Date().toISOString();
+
+    return this.update((data) => {
+      const changes = { quarantined: [], released: [] };
+      data.runs++;
+
+      const merged = FlakinessTracker.mergeExecutions(executions);
+
+      for (const { id, project, outcome, retries, recoveredCalls } of merged) {
+        const entry = this.ensureEntry(data, id);
+        entry.executions = [
+          ...entry.executions,
+          { at, project, outcome, retries, recoveredCalls },
+        ].slice(-window);
+        entry.score = FlakinessTracker.score(entry.executions, recoveredWeight);
+
+        if (entry.quarantine) {
+          entry.quarantine.cleanPasses = outcome === 'passed' ? (entry.quarantine.cleanPasses || 0) + 1 : 0;
+        }
+      }
+
+      for (const { id } of merged) {
+        const entry = data.tests[id];
+
+        if (
+          !entry.quarantine &&
+          entry.executions.length >= minExecutions &&
+          entry.score >= quarantineThreshold
+        ) {
+          entry.quarantine = {
+            source: 'auto',
+            since: at,
+            reason: `flakiness ${entry.score} over ${entry.executions.length} executions`,
+            cleanPasses: 0,
+          };
+          changes.quarantined.push({ id, score: entry.score });
+        } else if (
+          entry.quarantine &&
+          entry.quarantine.source === 'auto' &&
+          entry.quarantine.cleanPasses >= releaseAfter
+        ) {
+          entry.quarantine = null;
+          changes.released.push(id);
+        }
+      }
+
+      return changes;
+    });
+  }
+
+  /**
+   * Quarantine a test by hand (stays until released)
+   * @param {string} id - Test id (getTestId)
+   * @param {string} reason
+   */
+  async quarantine(id, reason = 'added manually') {
+    await this.update((data) => {
+      this.ensureEntry(data, id).quarantine = {
+        source: 'manual',
+        since: new Date().toISOString(),
+        reason,
+        cleanPasses: 0,
+      };
+    });
+  }
+
+  /**
+   * Take a test off the quarantine list
+   * @param {string} id - Test id (getTestId)
+   * @throws {Error} - When the test is not quarantined
+   */
+  async release(id) {
+    await this.update((data) => {
+      const entry = data.tests[id];
+      if (!entry || !entry.quarantine) {
+        throw new Error(`Not quarantined: ${id}`);
+      }
+      entry.quarantine = null;
+    });
+  }
+
+  /**
+   * Delete all history and the quarantine list
+   */
+  clear() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+
+  ensureEntry(data, id) {
+    if (!data.tests[id]) {
+      data.tests[id] = { id, executions: [], score: 0, quarantine: null };
+    }
+    return data.tests[id];
+  }
+}
+
+module.exports = FlakinessTracker;
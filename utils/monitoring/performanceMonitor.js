@@ -6,9 +6,11 @@
  * - Memory usage monitoring
  * - Browser performance metrics
  * - Performance trends
- * - Performance alerts/thresholds
+ * - Performance alerts/thresholds (performance.thresholds in autonomousConfig.js)
  */
 
+const ConfigLoader = require('../config/configLoader');
+
 class PerformanceMonitor {
   constructor() {
     this.metrics = [];
@@ -16,7 +18,9 @@ class PerformanceMonitor {
       maxTestDuration: 30000, // 30 seconds
       maxMemoryUsage: 500, // MB
       maxResponseTime: 5000, // 5 seconds
+      ...ConfigLoader.get('performance.thresholds', {}),
     };
+    this.trackMemory = ConfigLoader.get('performance.monitoring.trackMemory', true);
     this.performanceAlerts = [];
   }
 
@@ -104,7 +108,7 @@ class PerformanceMonitor {
       );
     }
 
-    if (metrics.memoryDelta > this.thresholds.maxMemoryUsage) {
+    if (this.trackMemory && metrics.memoryDelta > this.thresholds.maxMemoryUsage) {
       const alert = {
         type: 'HIGH_MEMORY_USAGE',
         testName: metrics.testName,
@@ -0,0 +1,185 @@
+/**
+ * WaitTracker - Per-Test Wait Time Accounting
+ *
+ * Features:
+ * - Records every SmartWait, SelectorManager and page probe wait of the running test
+ * - Outcome per wait: 'instant' (resolved within instantThreshold), 'resolved',
+ *   'timeout' (including timeouts the caller swallows) or 'error'
+ * - Per-test summary: total wait time and waits grouped by source and name
+ * - The test fixture begins/ends tracking and attaches the summary;
+ *   WaitBudgetReporter aggregates the attachments across workers
+ * - Behaviour from autonomousConfig.js (selfHealing.smartWaiting.budget)
+ *
+ * Each Playwright worker runs one test at a time, so the current test is
+ * module state of the worker process.
+ */
+
+const ConfigLoader = require('../config/configLoader');
+
+const ATTACHMENT_NAME = 'wait-budget';
+
+let current = null;
+
+class WaitTracker {
+  /**
+   * Budget settings from autonomousConfig.js
+   * @returns {{enabled: boolean, instantThreshold: number, dominatedRatio: number,
+   *   minWaitTime: number, minSamples: number}}
+   */
+  static getSettings() {
+    const settings = ConfigLoader.get('selfHealing.smartWaiting.budget', {});
+
+    return {
+      enabled: ConfigLoader.isEnabled('selfHealing.smartWaiting') && settings.enabled !== false,
+      instantThreshold: settings.instantThreshold ?? 20,
+      dominatedRatio: settings.dominatedRatio ?? 0.5,
+      minWaitTime: settings.minWaitTime ?? 2000,
+      minSamples: settings.minSamples ?? 2,
+    };
+  }
+
+  /**
+   * Name of the per-test attachment holding the summary
+   * @returns {string}
+   */
+  static getAttachmentName() {
+    return ATTACHMENT_NAME;
+  }
+
+  /**
+   * Start tracking a test (ends any test still being tracked)
+   * @param {string} testName - Test identifier for the summary
+   */
+  static begin(testName) {
+    const { enabled, instantThreshold } = this.getSettings();
+    current = enabled ? { test: testName, instantThreshold, waits: new Map() } : null;
+  }
+
+  /**
+   * Stop tracking and summarize the test's waits
+   * @returns {Object|null} - { test, totalWait, count, timeouts, instant, waits[] }, null when not tracking
+   */
+  static end() {
+    const summary = this.snapshot();
+    current = null;
+    return summary;
+  }
+
+  /**
+   * Summarize the waits of the running test so far, without ending it
+   * @returns {Object|null} - Same shape as end()
+   */
+  static snapshot() {
+    const tracked = current;
+
+    if (!tracked) {
+      return null;
+    }
+
+    const waits = [...tracked.waits.values()]
+      .map((wait) => ({ ...wait }))
+      .sort((a, b) => b.totalWait - a.totalWait);
+    const sum = (field) => waits.reduce((total, wait) => total + wait[field], 0);
+
+    return {
+      test: tracked.test,
+      totalWait: sum('totalWait'),
+      count: sum('count'),
+      timeouts: sum('timeouts'),
+      instant: sum('instant'),
+      waits,
+    };
+  }
+
+  /**
+   * Time a wait and record its outcome; errors are rethrown
+   * @param {string} source - Waiting component ('SmartWait', 'SelectorManager', ...)
+   * @param {string} name - What is waited for (grouping key within the source)
+   * @param {number} timeout - Timeout the wait was given (ms)
+   * @param {Function} wait - Async wait; receives untimed(fn), which runs fn (e.g. the
+   *   action that triggers the wait, whose own waits are tracked separately) off the clock
+   * @returns {Promise<*>} - The wait's result
+   */
+  static async track(source, name, timeout, wait) {
+    const startTime = Date.now();
+    let excluded = 0;
+    const untimed = async (fn) => {
+      const fnStart = Date.now();
+      try {
+        return await fn();
+      } finally {
+        excluded += Date.now() - fnStart;
+      }
+    };
+
+    try {
+      const result = await wait(untimed);
+      const duration = Date.now() - startTime - excluded;
+      this.record({
+        source,
+        name,
+        timeout,
+        duration,
+        outcome: current && duration <= current.instantThreshold ? 'instant' : 'resolved',
+      });
+      return result;
+    } catch (error) {
+      this.record({
+        source,
+        name,
+        timeout,
+        duration: Date.now() - startTime - excluded,
+        outcome: this.isTimeout(error) ? 'timeout' : 'error',
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a finished wait (for waits that time out without throwing)
+   * Ignored when no test is being tracked (CLIs, setup outside fixtures).
+   * @param {Object} wait - { source, name, timeout, duration, outcome }
+   */
+  static record({ source, name, timeout, duration, outcome }) {
+    if (!current) {
+      return;
+    }
+
+    const key = `${source}: ${name}`;
+    if (!current.waits.has(key)) {
+      current.waits.set(key, {
+        key,
+        source,
+        name,
+        timeout,
+        count: 0,
+        totalWait: 0,
+        maxWait: 0,
+        instant: 0,
+        resolved: 0,
+        timeouts: 0,
+        errors: 0,
+      });
+    }
+
+    const stats = current.waits.get(key);
+    stats.count++;
+    stats.totalWait += duration;
+    stats.maxWait = Math.max(stats.maxWait, duration);
+    stats[{ instant: 'instant', resolved: 'resolved', timeout: 'timeouts', error: 'errors' }[outcome]]++;
+  }
+
+  /**
+   * Whether an error is a wait timing out
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isTimeout(error) {
+    return (
+      Boolean(error) &&
+      (error.name === 'TimeoutError' || /timeout|timed out|not met within/i.test(error.message || ''))
+    );
+  }
+}
+
+module.exports = WaitTracker;
@@ -7,15 +7,22 @@
  * - Execution time analytics
  * - Device-specific statistics
  * - Trend analysis
+ * - Retry analytics from the per-run retry report (RetryReporter)
+ * - Output directory, retention and formats from autonomousConfig.js (reporting)
  */
 
 const fs = require('fs');
 const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const RetryReporter = require('./retryReporter');
 
 class DashboardGenerator {
-  constructor(outputDir = 'test-reports') {
+  constructor(outputDir = ConfigLoader.get('reporting.dashboard.outputDir', 'test-reports')) {
     this.outputDir = outputDir;
+    this.retentionDays = ConfigLoader.get('reporting.dashboard.retentionDays', 30);
+    this.formats = ConfigLoader.get('reporting.formats', { html: true, json: true });
     this.testResults = [];
+    this.retryReport = null;
     this.startTime = null;
     this.endTime = null;
 
@@ -54,6 +61,26 @@ class DashboardGenerator {
     });
   }
 
+  /**
+   * Use a retry report (TestRetryManager.getRetryReport() shape)
+   * @param {Object} report
+   */
+  setRetryReport(report) {
+    this.retryReport = report;
+  }
+
+  /**
+   * Load the per-run retry report written by RetryReporter
+   * @param {string} filepath - Defaults to retry-report.json in the output directory
+   * @returns {Object|null} - The report, null when the run recorded no retries
+   */
+  loadRetryReport(filepath = path.join(this.outputDir, RetryReporter.getReportFile())) {
+    this.retryReport = fs.existsSync(filepath)
+      ? JSON.parse(fs.readFileSync(filepath, 'utf8'))
+      : null;
+    return this.retryReport;
+  }
+
   /**
    * Set test execution start time
    */
@@ -85,6 +112,7 @@ class DashboardGenerator {
       byDevice: {},
       failedTests: [],
       slowestTests: [],
+      retries: this.retryReport,
     };
 
     // Calculate basic stats
@@ -516,6 +544,136 @@ class DashboardGenerator {
         </div>
         ` : ''}
 
+        ${stats.retries ? `
+        <div class="section">
+            <h2>🔁 Retries</h2>
+            <div class="browser-stats">
+                <div class="stat-box">
+                    <h4>Calls</h4>
+                    <div class="stat-row">
+                        <span class="stat-label">Total:</span>
+                        <span class="stat-value">${stats.retries.totals.calls}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Retried:</span>
+                        <span class="stat-value">${stats.retries.totals.retried}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Recovered:</span>
+                        <span class="stat-value" style="color: #10b981">${stats.retries.totals.recovered}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Failed:</span>
+                        <span class="stat-value" style="color: #ef4444">${stats.retries.totals.failed}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Retry delay:</span>
+                        <span class="stat-value">${stats.retries.totals.retryDelay}ms</span>
+                    </div>
+                </div>
+                ${stats.retries.circuitBreaker ? `
+                <div class="stat-box">
+                    <h4>Circuit Breaker</h4>
+                    <div class="stat-row">
+                        <span class="stat-label">State:</span>
+                        <span class="stat-value">${stats.retries.circuitBreaker.state}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Opened:</span>
+                        <span class="stat-value" style="color: #ef4444">${stats.retries.circuitBreaker.opened}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Failed fast:</span>
+                        <span class="stat-value">${stats.retries.circuitBreaker.rejected}</span>
+                    </div>
+                </div>
+                ` : ''}
+                ${Object.entries(stats.retries.byErrorType)
+                  .map(
+                    ([type, data]) => `
+                    <div class="stat-box">
+                        <h4>${type}</h4>
+                        <div class="stat-row">
+                            <span class="stat-label">Failures:</span>
+                            <span class="stat-value">${data.failures}</span>
+                        </div>
+                        <div class="stat-row">
+                            <span class="stat-label">Retried:</span>
+                            <span class="stat-value">${data.retried}</span>
+                        </div>
+                        <div class="stat-row">
+                            <span class="stat-label">Recovered calls:</span>
+                            <span class="stat-value" style="color: #10b981">${data.recoveredCalls}</span>
+                        </div>
+                        <div class="stat-row">
+                            <span class="stat-label">Failed calls:</span>
+                            <span class="stat-value" style="color: #ef4444">${data.failedCalls}</span>
+                        </div>
+                    </div>
+                `
+                  )
+                  .join('')}
+            </div>
+            ${stats.retries.circuitBreaker && stats.retries.circuitBreaker.events.length > 0 ? `
+            <table style="margin-top: 20px">
+                <thead>
+                    <tr>
+                        <th>Circuit Event</th>
+                        <th>Detail</th>
+                        <th>Time</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stats.retries.circuitBreaker.events
+                      .map(
+                        (event) => `
+                        <tr>
+                            <td>${event.event}</td>
+                            <td><small>${event.detail}</small></td>
+                            <td class="duration">${event.at}</td>
+                        </tr>
+                    `
+                      )
+                      .join('')}
+                </tbody>
+            </table>
+            ` : ''}
+            ${stats.retries.calls.some((call) => call.retried > 0) ? `
+            <table style="margin-top: 20px">
+                <thead>
+                    <tr>
+                        <th>Call</th>
+                        <th>Policy</th>
+                        <th>Calls</th>
+                        <th>Retries</th>
+                        <th>Failed</th>
+                        <th>Error Types</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stats.retries.calls
+                      .filter((call) => call.retried > 0)
+                      .map(
+                        (call) => `
+                        <tr>
+                            <td>${call.name}</td>
+                            <td>${call.policy || '-'}</td>
+                            <td>${call.calls}</td>
+                            <td>${call.retries}</td>
+                            <td>${call.failed}</td>
+                            <td><small>${Object.entries(call.errorTypes)
+                              .map(([type, count]) => `${type} ×${count}`)
+                              .join(', ')}</small></td>
+                        </tr>
+                    `
+                      )
+                      .join('')}
+                </tbody>
+            </table>
+            ` : ''}
+        </div>
+        ` : ''}
+
         ${stats.failedTests.length > 0 ? `
         <div class="section">
             <h2>❌ Failed Tests</h2>
@@ -598,6 +756,61 @@ class DashboardGenerator {
     console.log(`✓ Results saved: ${filepath}`);
     return filepath;
   }
+
+  /**
+   * Save every report format enabled in reporting.formats
+   * Skipped entirely when reporting or the dashboard is disabled.
+   * @returns {string[]} - Paths to generated files
+   */
+  saveReports() {
+    if (!ConfigLoader.isEnabled('reporting.dashboard')) {
+      console.log('⊘ Dashboard disabled in autonomousConfig.js (reporting.dashboard)');
+      return [];
+    }
+
+    const saved = [];
+
+    if (this.formats.html) {
+      saved.push(this.saveDashboard());
+    }
+    if (this.formats.json) {
+      saved.push(this.saveResults());
+    }
+
+    this.pruneOldReports();
+    return saved;
+  }
+
+  /**
+   * Delete dashboard/results files older than reporting.dashboard.retentionDays
+   * @returns {number} - Number of files removed
+   */
+  pruneOldReports() {
+    if (!this.retentionDays || !fs.existsSync(this.outputDir)) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const file of fs.readdirSync(this.outputDir)) {
+      if (!/^(dashboard|results)-\d{4}-\d{2}-\d{2}\.(html|json)$/.test(file)) {
+        continue;
+      }
+
+      const filepath = path.join(this.outputDir, file);
+      if (fs.statSync(filepath).mtimeMs < cutoff) {
+        fs.unlinkSync(filepath);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`✓ Pruned ${removed} report(s) older than ${this.retentionDays} days`);
+    }
+
+    return removed;
+  }
 }
 
 module.exports = DashboardGenerator;
@@ -2,14 +2,37 @@
  * ErrorAnalyzer - Intelligent Error Classification & Analysis
  * 
  * Features:
- * - Error type classification
+ * - Error type classification (including Playwright timeouts, expect() failures
+ *   and strict-mode violations)
  * - Severity assessment
  * - Root cause analysis
  * - Recommendations for fixes
  * - Error trending and analytics
  */
 
+const ERROR_TYPES = [
+  'NETWORK_ERROR',
+  'ELEMENT_NOT_FOUND',
+  'NAVIGATION_ERROR',
+  'ASSERTION_ERROR',
+  'SELECTOR_ERROR',
+  'VISIBILITY_ERROR',
+  'AUTH_ERROR',
+  'SERVER_ERROR',
+  'RESOURCE_ERROR',
+  'TIMEOUT_ERROR',
+  'UNKNOWN_ERROR',
+];
+
 class ErrorAnalyzer {
+  /**
+   * Every type classifyError() can return
+   * @returns {string[]}
+   */
+  static getErrorTypes() {
+    return [...ERROR_TYPES];
+  }
+
   constructor(logger = console) {
     this.logger = logger;
     this.errors = [];
@@ -44,6 +67,31 @@ class ErrorAnalyzer {
     const message = error.message || '';
     const stack = error.stack || '';
 
+    // expect() failures carry the matcher result (messages read "expect(...)")
+    if (error.matcherResult || message.includes('expect(')) {
+      return 'ASSERTION_ERROR';
+    }
+
+    // Playwright timeouts: classified by what was being waited for
+    if (error.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(message)) {
+      if (/waiting for (navigation|load state|event "load")|waitForURL|page\.goto/.test(message)) {
+        return 'NAVIGATION_ERROR';
+      }
+      if (/to be visible|not visible|intercepts pointer events|not stable/.test(message)) {
+        return 'VISIBILITY_ERROR';
+      }
+      if (/waiting for (locator|selector|getBy)/.test(message)) {
+        return 'ELEMENT_NOT_FOUND';
+      }
+      // A page that did not settle (SmartWait, waitForFunction) says nothing about the network
+      return 'TIMEOUT_ERROR';
+    }
+
+    // Several elements where one was expected
+    if (message.includes('strict mode violation') || message.includes('is ambiguous')) {
+      return 'SELECTOR_ERROR';
+    }
+
     // Network errors
     if (
       message.includes('timeout') ||
@@ -209,6 +257,12 @@ class ErrorAnalyzer {
         recommendations.push('Retry operation');
         break;
 
+      case 'TIMEOUT_ERROR':
+        recommendations.push('Check what the page was still doing (requests, DOM, animations)');
+        recommendations.push('Wait for a specific element or response instead');
+        recommendations.push('Raise the wait timeout if the page is just slow');
+        break;
+
       case 'RESOURCE_ERROR':
         recommendations.push('Close unnecessary processes');
         recommendations.push('Increase system memory');
@@ -0,0 +1,171 @@
+/**
+ * FlakinessReporter - Playwright Reporter for Flaky Test Tracking
+ *
+ * Features:
+ * - Records every test's final outcome in the FlakinessTracker store at the
+ *   end of the run: Playwright retries and recovered executeWithRetry calls
+ *   (the 'retry-stats' attachment) count as flaky
+ * - Prints tests quarantined or released by this run and the most flaky tests
+ * - A run whose only failures are quarantined tests passes the build
+ *
+ * Registered in playwright.config.js.
+ */
+
+const FlakinessTracker = require('../monitoring/flakinessTracker');
+const TestRetryManager = require('../helpers/testRetry');
+
+class FlakinessReporter {
+  constructor() {
+    this.tracker = new FlakinessTracker();
+    this.suite = null;
+    this.quarantined = new Set();
+    this.errors = 0;
+  }
+
+  onBegin(config, suite) {
+    this.suite = suite;
+    // The list the tests ran with; changes made by this run apply to the next one
+    this.quarantined = new Set(this.tracker.getQuarantined().map(({ id }) => id));
+  }
+
+  onError() {
+    this.errors++;
+  }
+
+  async onEnd(result) {
+    if (!this.tracker.settings.enabled || !this.suite) {
+      return undefined;
+    }
+
+    try {
+      const executions = this.collectExecutions();
+      if (executions.length > 0) {
+        const changes = await this.tracker.recordRun(executions);
+        this.printSummary(changes);
+      }
+    } catch (error) {
+      console.warn(`⚠ Could not record test flakiness: ${error.message}`);
+    }
+
+    return this.getBuildStatus(result);
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  /**
+   * Final outcome of every test that ran
+   * @returns {Object[]} - { id, project, outcome, retries, recoveredCalls }
+   */
+  collectExecutions() {
+    const executions = [];
+
+    for (const test of this.suite.allTests()) {
+      const status = test.outcome();
+      const last = test.results[test.results.length - 1];
+
+      if (status === 'skipped' || !last) {
+        continue;
+      }
+
+      const recoveredCalls = this.countRecoveredCalls(last);
+      const project = this.getProjectName(test);
+      let outcome = 'passed';
+      if (status === 'unexpected') {
+        outcome = 'failed';
+      } else if (status === 'flaky') {
+        outcome = 'flaky';
+      } else if (recoveredCalls > 0) {
+        outcome = 'recovered';
+      }
+
+      executions.push({
+        id: FlakinessTracker.getTestId(test.titlePath().slice(2), project),
+        project,
+        outcome,
+        retries: test.results.length - 1,
+        recoveredCalls,
+      });
+    }
+
+    return executions;
+  }
+
+  getProjectName(test) {
+    const project = test.parent.project();
+    return project ? project.name : '';
+  }
+
+  countRecoveredCalls(result) {
+    const attachment = result.attachments.find(
+      ({ name, body }) => name === TestRetryManager.getAttachmentName() && body
+    );
+    if (!attachment) {
+      return 0;
+    }
+
+    try {
+      return JSON.parse(attachment.body.toString()).filter(({ outcome }) => outcome === 'recovered').length;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Pass a failed run when every failure is a quarantined test
+   * @param {Object} result - FullResult
+   * @returns {Object|undefined} - { status: 'passed' } to override the run status
+   */
+  getBuildStatus(result) {
+    if (result.status !== 'failed' || this.errors > 0) {
+      return undefined;
+    }
+
+    const failed = this.suite
+      .allTests()
+      .filter((test) => test.outcome() === 'unexpected')
+      .map((test) => FlakinessTracker.getTestId(test.titlePath().slice(2), this.getProjectName(test)));
+
+    if (failed.length === 0 || !failed.every((id) => this.quarantined.has(id))) {
+      return undefined;
+    }
+
+    console.warn(`⚠ Only quarantined tests failed (${failed.length}) - not failing the build:`);
+    for (const id of new Set(failed)) {
+      console.warn(`  ${id}`);
+    }
+    return { status: 'passed' };
+  }
+
+  /**
+   * Print this run's quarantine changes and the most flaky tests
+   */
+  printSummary({ quarantined, released }) {
+    const flaky = this.tracker.getTests().filter((entry) => entry.score > 0);
+    const quarantine = this.tracker.getQuarantined();
+
+    console.log('\n=== FLAKY TESTS ===');
+    console.log(`Tracked: ${this.tracker.getTests().length} | Flaky: ${flaky.length} | Quarantined: ${quarantine.length}`);
+
+    for (const { id, score } of quarantined) {
+      console.log(`⚠ Quarantined (flakiness ${score}): ${id}`);
+    }
+    for (const id of released) {
+      console.log(`✓ Released from quarantine: ${id}`);
+    }
+
+    flaky.slice(0, 5).forEach((entry) => {
+      const counts = {};
+      entry.executions.forEach(({ outcome }) => {
+        counts[outcome] = (counts[outcome] || 0) + 1;
+      });
+      console.log(
+        `  ${entry.score.toFixed(2)} ${entry.id}${entry.quarantine ? ' [quarantined]' : ''} ` +
+          `(${Object.entries(counts).map(([outcome, count]) => `${outcome} ${count}`).join(', ')})`
+      );
+    });
+  }
+}
+
+module.exports = FlakinessReporter;
@@ -0,0 +1,426 @@
+/**
+ * HealReportGenerator - Healed Selector Report with Suggested Patches
+ *
+ * Features:
+ * - Groups heal events from SelectorStore (page, field, failing → winning selector)
+ *   for fallback, accessibility-locator and DOM-similarity heals alike
+ * - Locates the selector declaration in the selector registry (pages/selectors.js),
+ *   or in page object fields for selectors declared outside it
+ * - Suggests a unified diff promoting the winning selector to primary and
+ *   demoting the failing one to the front of the fallback array
+ * - Lists heals it cannot patch automatically, with the reason
+ * - Writes healed-selectors.json and healed-selectors.patch next to the dashboard
+ *
+ * The patch applies with `git apply test-reports/healed-selectors.patch`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const SelectorStore = require('../helpers/selectorStore');
+const SelectorRegistry = require('../helpers/selectorRegistry');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const PAGES_DIR = path.join(ROOT_DIR, 'pages');
+const DIFF_CONTEXT = 3;
+
+class HealReportGenerator {
+  /**
+   * @param {string} outputDir - Report directory
+   * @param {Object} options
+   * @param {SelectorStore} options.store - Heal event source
+   * @param {string} options.pagesDir - Page object sources to patch
+   * @param {string} options.registryFile - Selector registry to patch
+   */
+  constructor(
+    outputDir = ConfigLoader.get('reporting.dashboard.outputDir', 'test-reports'),
+    { store = new SelectorStore(), pagesDir = PAGES_DIR, registryFile = SelectorRegistry.getPath() } = {}
+  ) {
+    this.outputDir = outputDir;
+    this.store = store;
+    this.pagesDir = pagesDir;
+    this.registryFile = registryFile;
+  }
+
+  /**
+   * Group identical heals, most frequent first
+   * @param {Object[]} heals - SelectorStore.getHeals()
+   * @returns {Object[]} - One record per page/element/failing/winning combination
+   */
+  groupHeals(heals) {
+    const groups = new Map();
+
+    for (const heal of heals) {
+      const key = [
+        heal.page,
+        heal.element,
+        heal.failingSelector,
+        heal.winningSelector || heal.winningLocator,
+      ].join('|');
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          page: heal.page,
+          element: heal.element,
+          field: heal.field,
+          fallbacksField: heal.fallbacksField,
+          registry: heal.registry,
+          failingSelector: heal.failingSelector,
+          winningSelector: heal.winningSelector,
+          winningLocator: heal.winningLocator,
+          fallbacks: heal.fallbacks || [],
+          strategy: heal.strategy || 'fallback',
+          count: 0,
+          firstSeen: heal.timestamp,
+          lastSeen: heal.timestamp,
+        });
+      }
+
+      const group = groups.get(key);
+      group.count++;
+      group.lastSeen = heal.timestamp;
+      if (heal.score !== undefined) {
+        group.score = heal.score;
+      }
+    }
+
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Build the report from the recorded heals
+   * @returns {Object} - { generatedAt, heals[], changes[], unresolved[], patch }
+   */
+  generate() {
+    const heals = this.groupHeals(this.store.getHeals());
+    const files = new Map(); // absolute path -> { original[], updated[], changed: Map(line -> heal) }
+    const changes = [];
+    const unresolved = [];
+
+    for (const heal of heals) {
+      if (!heal.winningSelector) {
+        unresolved.push({
+          ...heal,
+          reason: heal.winningLocator
+            ? `no CSS selector to promote - fix the selector or order '${heal.strategy}' first in elementStrategies`
+            : `matched by ${heal.strategy || 'healing'} without a stable selector to promote`,
+        });
+        continue;
+      }
+
+      const location = heal.registry
+        ? this.findRegistryDeclaration(heal.registry, heal.failingSelector)
+        : this.findDeclaration(heal.field, heal.failingSelector, heal.fallbacksField);
+
+      if (!location) {
+        unresolved.push({ ...heal, reason: 'primary selector declaration not found in pages/' });
+        continue;
+      }
+
+      if (!files.has(location.file)) {
+        const original = HealReportGenerator.readLines(location.file);
+        files.set(location.file, { original, updated: [...original], changed: new Map() });
+      }
+
+      const source = files.get(location.file);
+      const owner = source.changed.get(location.line);
+
+      // The same declaration healed two ways (e.g. desktop and mobile) - keep the most frequent
+      if (owner) {
+        unresolved.push({
+          ...heal,
+          reason: `conflicts with ${owner.page} heal to ${owner.winningSelector}`,
+        });
+        continue;
+      }
+
+      // Function replacement: selectors may contain `$` patterns
+      source.updated[location.line] = source.original[location.line].replace(
+        HealReportGenerator.quote(heal.failingSelector),
+        () => HealReportGenerator.quote(heal.winningSelector)
+      );
+      source.changed.set(location.line, heal);
+
+      const change = {
+        file: path.relative(ROOT_DIR, location.file),
+        line: location.line + 1,
+        field: location.field,
+        page: heal.page,
+        from: heal.failingSelector,
+        to: heal.winningSelector,
+        strategy: heal.strategy,
+        count: heal.count,
+      };
+
+      const { fallbacksLine } = location;
+      if (fallbacksLine === -1) {
+        change.note = 'fallback array not updated (not declared on one line)';
+      } else if (!source.changed.has(fallbacksLine)) {
+        const fallbacks = [
+          heal.failingSelector,
+          ...heal.fallbacks.filter((selector) => selector !== heal.winningSelector),
+        ];
+        const indent = source.original[fallbacksLine].match(/^\s*/)[0];
+
+        source.updated[fallbacksLine] =
+          indent + location.formatFallbacks(fallbacks.map(HealReportGenerator.quote).join(', '));
+        source.changed.set(fallbacksLine, heal);
+      }
+
+      changes.push(change);
+    }
+
+    const patch = [...files.entries()]
+      .map(([file, { original, updated }]) =>
+        HealReportGenerator.createUnifiedDiff(path.relative(ROOT_DIR, file), original, updated)
+      )
+      .join('');
+
+    return {
+      generatedAt: new Date().toISOString(),
+      heals,
+      changes,
+      unresolved,
+      patch,
+    };
+  }
+
+  /**
+   * Find an element's `selector:` and `fallbacks:` lines in the selector registry
+   * @param {{page: string, element: string}} registry - Declaring page and element key
+   * @param {string} selector - Declared (failing) primary selector
+   * @returns {Object|null} - { file, line, field, fallbacksLine, formatFallbacks } (0-based lines)
+   */
+  findRegistryDeclaration({ page, element }, selector) {
+    const lines = HealReportGenerator.readLines(this.registryFile);
+    const pageLine = lines.findIndex((line) => line === `    ${page}: {`);
+    if (pageLine === -1) {
+      return null;
+    }
+
+    const pageEnd = lines.findIndex((line, i) => i > pageLine && line === '    },');
+    const elementPattern = new RegExp(`^\\s+${element}: \\{$`);
+    const elementLine = lines.findIndex(
+      (line, i) => i > pageLine && i < pageEnd && elementPattern.test(line)
+    );
+
+    if (elementLine === -1) {
+      return null;
+    }
+
+    const indent = lines[elementLine].match(/^\s*/)[0];
+    const literal = HealReportGenerator.quote(selector);
+    let line = -1;
+    let fallbacksLine = -1;
+
+    for (let i = elementLine + 1; i < lines.length && !lines[i].startsWith(`${indent}}`); i++) {
+      const match = lines[i].match(/^\s*(selector|fallbacks): (.+),$/);
+
+      if (match && match[1] === 'selector' && match[2] === literal) {
+        line = i;
+      } else if (match && match[1] === 'fallbacks' && /^\[.*\]$/.test(match[2])) {
+        fallbacksLine = i;
+      }
+    }
+
+    if (line === -1) {
+      return null;
+    }
+
+    return {
+      file: this.registryFile,
+      line,
+      field: element,
+      fallbacksLine,
+      formatFallbacks: (list) => `fallbacks: [${list}],`,
+    };
+  }
+
+  /**
+   * Find the `this.<field> = '<selector>';` line in pages/
+   * Without a field name, any property declared with the selector is accepted.
+   * @param {string|null} field - Page object property name
+   * @param {string} selector - Declared (failing) primary selector
+   * @param {string|null} fallbacksField - Property holding the fallback array
+   * @returns {Object|null} - { file, line, field, fallbacksLine, formatFallbacks } (0-based lines)
+   */
+  findDeclaration(field, selector, fallbacksField) {
+    const literal = HealReportGenerator.quote(selector);
+
+    for (const file of this.listPageFiles()) {
+      const lines = HealReportGenerator.readLines(file);
+
+      for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^\s*this\.(\w+) = (.+);\s*$/);
+
+        if (match && match[2] === literal && (!field || match[1] === field)) {
+          return {
+            file,
+            line: i,
+            field: match[1],
+            fallbacksLine: this.findFallbacksLine(lines, fallbacksField),
+            formatFallbacks: (list) => `this.${fallbacksField} = [${list}];`,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a one-line `this.<fallbacksField> = [...];` declaration
+   * @returns {number} - 0-based line, -1 when absent
+   */
+  findFallbacksLine(lines, fallbacksField) {
+    if (!fallbacksField) {
+      return -1;
+    }
+
+    const pattern = new RegExp(`^\\s*this\\.${fallbacksField} = \\[.*\\];\\s*$`);
+    return lines.findIndex((line) => pattern.test(line));
+  }
+
+  /**
+   * All page object files, recursively
+   * @returns {string[]}
+   */
+  listPageFiles(dir = this.pagesDir) {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .flatMap((entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          return this.listPageFiles(fullPath);
+        }
+        return entry.name.endsWith('.js') ? [fullPath] : [];
+      })
+      .sort();
+  }
+
+  /**
+   * Save healed-selectors.json and healed-selectors.patch
+   * Nothing is written when no selector healed.
+   * @returns {string[]} - Paths to generated files
+   */
+  saveReport() {
+    const report = this.generate();
+
+    if (report.heals.length === 0) {
+      console.log('✓ No healed selectors this run');
+      return [];
+    }
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const { patch, ...summary } = report;
+    const jsonPath = path.join(this.outputDir, 'healed-selectors.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2));
+    const saved = [jsonPath];
+
+    if (patch) {
+      const patchPath = path.join(this.outputDir, 'healed-selectors.patch');
+      fs.writeFileSync(patchPath, patch);
+      saved.push(patchPath);
+    }
+
+    this.printSummary(report);
+    console.log(`✓ Heal report saved: ${saved.join(', ')}`);
+    return saved;
+  }
+
+  /**
+   * Print each heal and its suggested change
+   */
+  printSummary({ heals, changes, unresolved }) {
+    console.log('\n=== HEALED SELECTORS ===');
+    console.log(`Heals: ${heals.length} | Patchable: ${changes.length} | Manual: ${unresolved.length}`);
+
+    for (const change of changes) {
+      console.log(
+        `  ${change.page}.${change.field} (${change.file}:${change.line}) x${change.count}` +
+          `${change.strategy === 'similarity' ? ' [similarity]' : ''}: ` +
+          `${change.from} → ${change.to}${change.note ? ` - ${change.note}` : ''}`
+      );
+    }
+
+    for (const heal of unresolved) {
+      console.log(
+        `  ⚠ ${heal.page} "${heal.element}" x${heal.count}: ` +
+          `${heal.failingSelector} → ${heal.winningSelector || heal.winningLocator || 'positional match'} - ` +
+          heal.reason
+      );
+    }
+  }
+
+  /**
+   * Lines of a file without the empty entry after the final newline
+   * @returns {string[]}
+   */
+  static readLines(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Single-quoted JS string literal as written in page files
+   * @param {string} value
+   * @returns {string}
+   */
+  static quote(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * Unified diff for line-for-line replacements (line counts are unchanged)
+   * @param {string} relativePath - Path shown in the diff header
+   * @param {string[]} original
+   * @param {string[]} updated
+   * @returns {string} - Empty when nothing changed
+   */
+  static createUnifiedDiff(relativePath, original, updated) {
+    const changed = original
+      .map((line, i) => (line !== updated[i] ? i : -1))
+      .filter((i) => i !== -1);
+
+    if (changed.length === 0) {
+      return '';
+    }
+
+    // Merge changes whose context windows touch into one hunk
+    const hunks = [];
+    for (const i of changed) {
+      const start = Math.max(0, i - DIFF_CONTEXT);
+      const end = Math.min(original.length - 1, i + DIFF_CONTEXT);
+      const last = hunks[hunks.length - 1];
+
+      if (last && start <= last.end + 1) {
+        last.end = end;
+      } else {
+        hunks.push({ start, end });
+      }
+    }
+
+    let diff = `--- a/${relativePath}\n+++ b/${relativePath}\n`;
+
+    for (const { start, end } of hunks) {
+      const length = end - start + 1;
+      diff += `@@ -${start + 1},${length} +${start + 1},${length} @@\n`;
+
+      for (let i = start; i <= end; i++) {
+        if (original[i] === updated[i]) {
+          diff += ` ${original[i]}\n`;
+        } else {
+          diff += `-${original[i]}\n+${updated[i]}\n`;
+        }
+      }
+    }
+
+    return diff;
+  }
+}
+
+module.exports = HealReportGenerator;
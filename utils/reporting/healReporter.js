@@ -0,0 +1,29 @@
+/**
+ * HealReporter - Playwright Reporter for Healed Selectors
+ *
+ * Clears the heal log when the run begins and writes the healed-selector
+ * report (HealReportGenerator) when it ends. Registered in playwright.config.js.
+ */
+
+const SelectorStore = require('../helpers/selectorStore');
+const HealReportGenerator = require('./healReportGenerator');
+
+class HealReporter {
+  onBegin() {
+    new SelectorStore().clearHeals();
+  }
+
+  onEnd() {
+    try {
+      new HealReportGenerator().saveReport();
+    } catch (error) {
+      console.warn(`⚠ Could not generate heal report: ${error.message}`);
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = HealReporter;
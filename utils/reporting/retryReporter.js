@@ -0,0 +1,100 @@
+/**
+ * RetryReporter - Playwright Reporter for the Per-Run Retry Report
+ *
+ * Features:
+ * - Collects the 'retry-stats' attachment of every test (executeWithRetry calls
+ *   recorded in each worker's TestRetryManager registry by the test fixture)
+ * - Aggregates them across workers: attempts, delays, outcomes and error types
+ *   per call, per policy and per test
+ * - Resets the run-wide circuit breaker when the run begins and adds its
+ *   state and events to the report
+ * - Writes test-reports/retry-report.json (shown by DashboardGenerator) and
+ *   prints a summary at the end of the run
+ *
+ * Registered in playwright.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const TestRetryManager = require('../helpers/testRetry');
+const CircuitBreaker = require('../helpers/circuitBreaker');
+
+const REPORT_FILE = 'retry-report.json';
+
+class RetryReporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.outputDir - Report directory
+   */
+  constructor({ outputDir = ConfigLoader.get('reporting.dashboard.outputDir', 'test-reports') } = {}) {
+    this.outputDir = outputDir;
+    this.registry = new TestRetryManager();
+  }
+
+  /**
+   * Name of the report file in the report directory
+   * @returns {string}
+   */
+  static getReportFile() {
+    return REPORT_FILE;
+  }
+
+  onBegin() {
+    CircuitBreaker.getShared().reset();
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find(
+      ({ name, body }) => name === TestRetryManager.getAttachmentName() && body
+    );
+    if (!attachment) {
+      return;
+    }
+
+    try {
+      const project = test.parent.project() ? test.parent.project().name : '';
+      const testName = test.titlePath().slice(3).join(' › ');
+
+      for (const call of JSON.parse(attachment.body.toString())) {
+        this.registry.recordCall({ ...call, test: testName, project });
+      }
+    } catch (error) {
+      console.warn(`⚠ Unreadable retry stats for "${test.title}": ${error.message}`);
+    }
+  }
+
+  onEnd() {
+    try {
+      this.saveReport();
+    } catch (error) {
+      console.warn(`⚠ Could not generate retry report: ${error.message}`);
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  /**
+   * Write the aggregated report as JSON and print its summary
+   * @returns {string|null} - Report path, null when no call was recorded
+   */
+  saveReport() {
+    if (this.registry.getCalls().length === 0) {
+      return null;
+    }
+
+    const report = this.registry.getRetryReport(CircuitBreaker.getShared().getSummary());
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const reportPath = path.join(this.outputDir, REPORT_FILE);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    this.registry.printRetryReport(report);
+    console.log(`✓ Retry report saved: ${reportPath}`);
+    return reportPath;
+  }
+}
+
+module.exports = RetryReporter;
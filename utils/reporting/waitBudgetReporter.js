@@ -0,0 +1,203 @@
+/**
+ * WaitBudgetReporter - Playwright Reporter for Wait Time Accounting
+ *
+ * Features:
+ * - Collects the 'wait-budget' attachment of every test (WaitTracker summaries,
+ *   recorded in each worker by the test fixture)
+ * - Flags tests whose time is dominated by waiting (selfHealing.smartWaiting.budget)
+ * - Flags waits that timed out on every call, across all tests of the run
+ * - Writes test-reports/wait-budget.json and prints the flags at the end of the run
+ *
+ * Registered in playwright.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/configLoader');
+const WaitTracker = require('../monitoring/waitTracker');
+
+class WaitBudgetReporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.outputDir - Report directory
+   */
+  constructor({ outputDir = ConfigLoader.get('reporting.dashboard.outputDir', 'test-reports') } = {}) {
+    this.outputDir = outputDir;
+    this.tests = [];
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find(
+      ({ name, body }) => name === WaitTracker.getAttachmentName() && body
+    );
+    if (!attachment) {
+      return;
+    }
+
+    try {
+      const summary = JSON.parse(attachment.body.toString());
+      this.tests.push({
+        ...summary,
+        project: test.parent.project() ? test.parent.project().name : '',
+        file: path.relative(process.cwd(), test.location.file),
+        status: result.status,
+        retry: result.retry,
+        duration: result.duration,
+      });
+    } catch (error) {
+      console.warn(`⚠ Unreadable wait budget for "${test.title}": ${error.message}`);
+    }
+  }
+
+  onEnd() {
+    try {
+      this.saveReport();
+    } catch (error) {
+      console.warn(`⚠ Could not generate wait budget report: ${error.message}`);
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  /**
+   * Build the report from the collected test summaries
+   * @param {Object[]} tests - Per-test WaitTracker summaries with run details
+   * @param {Object} settings - WaitTracker.getSettings()
+   * @returns {Object} - { totals, tests[], waits[], dominated[], alwaysTimingOut[] }
+   */
+  generate(tests = this.tests, settings = WaitTracker.getSettings()) {
+    const testRows = tests
+      .map((entry) => {
+        const waitRatio = entry.duration > 0 ? entry.totalWait / entry.duration : 0;
+        return {
+          test: entry.test,
+          project: entry.project,
+          file: entry.file,
+          status: entry.status,
+          retry: entry.retry,
+          duration: entry.duration,
+          totalWait: entry.totalWait,
+          waitRatio: Number(waitRatio.toFixed(3)),
+          waits: entry.count,
+          timeouts: entry.timeouts,
+          instant: entry.instant,
+          dominated: entry.totalWait >= settings.minWaitTime && waitRatio > settings.dominatedRatio,
+        };
+      })
+      .sort((a, b) => b.waitRatio - a.waitRatio);
+
+    const waits = new Map();
+    for (const entry of tests) {
+      for (const wait of entry.waits) {
+        const total = waits.get(wait.key) || {
+          key: wait.key,
+          source: wait.source,
+          name: wait.name,
+          timeout: wait.timeout,
+          count: 0,
+          totalWait: 0,
+          instant: 0,
+          resolved: 0,
+          timeouts: 0,
+          errors: 0,
+          tests: 0,
+        };
+
+        for (const field of ['count', 'totalWait', 'instant', 'resolved', 'timeouts', 'errors']) {
+          total[field] += wait[field];
+        }
+        total.tests++;
+        waits.set(wait.key, total);
+      }
+    }
+
+    const waitRows = [...waits.values()]
+      .map((wait) => ({
+        ...wait,
+        alwaysTimesOut: wait.count >= settings.minSamples && wait.timeouts === wait.count,
+      }))
+      .sort((a, b) => b.totalWait - a.totalWait);
+
+    const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      settings,
+      totals: {
+        tests: testRows.length,
+        duration: sum(testRows, 'duration'),
+        totalWait: sum(testRows, 'totalWait'),
+        waits: sum(testRows, 'waits'),
+        timeouts: sum(testRows, 'timeouts'),
+        instant: sum(testRows, 'instant'),
+      },
+      dominated: testRows.filter((row) => row.dominated),
+      alwaysTimingOut: waitRows.filter((row) => row.alwaysTimesOut),
+      tests: testRows,
+      waits: waitRows,
+    };
+  }
+
+  /**
+   * Write the report as JSON and print its flags
+   * @returns {string|null} - Report path, null when no test recorded waits
+   */
+  saveReport() {
+    if (this.tests.length === 0) {
+      return null;
+    }
+
+    const report = this.generate();
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const reportPath = path.join(this.outputDir, 'wait-budget.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    this.printSummary(report);
+    console.log(`✓ Wait budget report saved: ${reportPath}`);
+    return reportPath;
+  }
+
+  /**
+   * Print totals, tests dominated by waiting and waits that always time out
+   */
+  printSummary({ totals, dominated, alwaysTimingOut }) {
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    const share = totals.duration > 0 ? ((totals.totalWait / totals.duration) * 100).toFixed(0) : 0;
+
+    console.log('\n=== WAIT BUDGET ===');
+    console.log(
+      `Tests: ${totals.tests} | Waiting: ${seconds(totals.totalWait)} of ${seconds(totals.duration)} ` +
+        `(${share}%) | Waits: ${totals.waits} | Timeouts: ${totals.timeouts} | Instant: ${totals.instant}`
+    );
+
+    if (dominated.length === 0 && alwaysTimingOut.length === 0) {
+      console.log('✓ No test dominated by waiting, no wait always timing out');
+      return;
+    }
+
+    if (dominated.length > 0) {
+      console.log(`⚠ Dominated by waiting (${dominated.length}):`);
+      for (const row of dominated) {
+        console.log(
+          `  [${row.project}] ${row.test}: ${seconds(row.totalWait)} of ${seconds(row.duration)} ` +
+            `(${(row.waitRatio * 100).toFixed(0)}%), ${row.timeouts} timeout(s)`
+        );
+      }
+    }
+
+    if (alwaysTimingOut.length > 0) {
+      console.log(`⚠ Always timing out (${alwaysTimingOut.length}):`);
+      for (const wait of alwaysTimingOut) {
+        console.log(
+          `  ${wait.key}: ${wait.timeouts}/${wait.count} in ${wait.tests} test(s), ` +
+            `${seconds(wait.totalWait)} total (timeout ${wait.timeout}ms)`
+        );
+      }
+    }
+  }
+}
+
+module.exports = WaitBudgetReporter;